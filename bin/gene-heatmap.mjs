@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Figures from the command line: reads result tables (or a saved project),
+// applies a settings file and writes the heatmap as SVG and/or PNG and the
+// processed data as XLSX, as the app would. See src/headless.js.
+import { register } from 'node:module';
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+
+const USAGE = `Usage: gene-heatmap <input.xlsx|.csv|.tsv|.heatmap.json> [more inputs...] [options]
+
+Options:
+  --settings <file>  JSON settings by name (see src/heatmapSettings.js), or a
+                     project file whose settings are used
+  --expression       inputs are expression matrices (genes × samples) and
+                     sample sheets (a "Sample" column) instead of results;
+                     the transform is the expressionTransform setting
+  --svg <file>       write the figure as SVG
+  --png <file>       write the figure as PNG
+  --dpi <number>     PNG resolution (default: exportOptions.dpi, 300)
+  --png-font <name>  installed font the PNG uses where the figure's font is
+                     missing, e.g. "Liberation Sans" (default: Arial); a
+                     warning says when it isn't installed either
+  --xlsx <file>      write the processed data as XLSX
+  -h, --help         show this help
+
+The figure uses the exportOptions setting: physical width, font, legend and
+category sidebar. Without --svg, --png or --xlsx the figure is written next
+to the first input as SVG. A project file as input brings its data and
+settings; --settings then overrides settings by name. Needs Node 20.6 or later.`;
+
+register('./loader.mjs', import.meta.url);
+const { readDatasets, settingsFromJson, buildHeatmap, renderSvg, processedDataXlsx } = await import('../src/headless.js');
+const { parseProject, PROJECT_EXTENSION } = await import('../src/projectFile.js');
+const { rasterSize, pngWithDpi } = await import('../src/exportFormats.js');
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+};
+
+// Datasets and settings from the inputs: a project file, or result tables
+const loadInputs = async (inputs, { expression }) => {
+  if (inputs.length === 1 && inputs[0].endsWith(PROJECT_EXTENSION)) {
+    const project = parseProject(await readFile(inputs[0], 'utf8'));
+    return { datasets: project.datasets, settings: project.settings, warnings: [] };
+  }
+  const files = await Promise.all(inputs.map(async (input) => ({
+    fileName: path.basename(input),
+    data: await readFile(input)
+  })));
+  return { settings: {}, ...readDatasets(files, { expression }) };
+};
+
+// A font name no system has, to see what missing fonts fall back to
+const MISSING_FONT = 'gene-heatmap-missing-font';
+
+// Whether resvg finds a font: a word set in it renders differently from the
+// same word in a font that doesn't exist
+const fontInstalled = (Resvg, family) => {
+  const render = name => Buffer.from(new Resvg(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="30"><text x="4" y="22" font-size="20" font-family="${name.replace(/[&<>"]/g, '')}">Heatmap 0.5</text></svg>`,
+    { font: { loadSystemFonts: true, defaultFontFamily: MISSING_FONT } }
+  ).render().asPng());
+  return !render(family).equals(render(MISSING_FONT));
+};
+
+const writePng = async (file, { svg, width, height, widthInches }, { dpi, fallbackFont }) => {
+  const { Resvg } = await import('@resvg/resvg-js');
+  if (!fontInstalled(Resvg, fallbackFont)) {
+    console.warn(`Warning: font "${fallbackFont}" is not installed, so the PNG's text falls back to another font. Pass an installed font with --png-font.`);
+  }
+  const size = rasterSize(width, height, widthInches, dpi);
+  const png = new Resvg(svg, {
+    fitTo: { mode: 'width', value: size.width },
+    background: 'white',
+    font: { loadSystemFonts: true, defaultFontFamily: fallbackFont, sansSerifFamily: fallbackFont }
+  }).render().asPng();
+  await writeFile(file, pngWithDpi(new Uint8Array(png), dpi));
+};
+
+const main = async () => {
+  const { values: options, positionals: inputs } = parseArgs({
+    allowPositionals: true,
+    options: {
+      settings: { type: 'string' },
+      expression: { type: 'boolean' },
+      svg: { type: 'string' },
+      png: { type: 'string' },
+      dpi: { type: 'string' },
+      'png-font': { type: 'string', default: 'Arial' },
+      xlsx: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (options.help || inputs.length === 0) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+  const dpi = options.dpi === undefined ? undefined : Number(options.dpi);
+  if (dpi !== undefined && !(dpi > 0)) {
+    throw new Error(`--dpi must be a positive number, not ${options.dpi}`);
+  }
+
+  const { datasets, settings: inputSettings, warnings } = await loadInputs(inputs, { expression: options.expression });
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  const settings = options.settings
+    ? { ...inputSettings, ...settingsFromJson(await readJson(options.settings)) }
+    : inputSettings;
+  const heatmap = buildHeatmap(datasets, settings);
+
+  const outputs = options.svg || options.png || options.xlsx
+    ? options
+    : { svg: inputs[0].replace(/(\.heatmap\.json|\.[^./\\]+)?$/, '.svg') };
+  if (outputs.svg || outputs.png) {
+    const figure = renderSvg(heatmap);
+    if (outputs.svg) {
+      await writeFile(outputs.svg, figure.svg);
+      console.log(`Wrote ${outputs.svg}`);
+    }
+    if (outputs.png) {
+      await writePng(outputs.png, figure, {
+        dpi: dpi || heatmap.settings.exportOptions.dpi,
+        fallbackFont: options['png-font']
+      });
+      console.log(`Wrote ${outputs.png}`);
+    }
+  }
+  if (outputs.xlsx) {
+    await writeFile(outputs.xlsx, new Uint8Array(processedDataXlsx(heatmap)));
+    console.log(`Wrote ${outputs.xlsx}`);
+  }
+};
+
+main().catch(err => {
+  console.error(`gene-heatmap: ${err.message}`);
+  process.exitCode = 1;
+});
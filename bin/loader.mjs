@@ -0,0 +1,34 @@
+// Module hooks that let Node run the app's modules in src/ as they are:
+// they are ES modules in .js files (package.json has no "type": "module"),
+// import each other without file extensions, as webpack allows, and the
+// components among them are written in JSX, compiled here with Babel.
+import { fileURLToPath } from 'node:url';
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import babel from '@babel/core';
+import presetReact from '@babel/preset-react';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const fromSrc = context.parentURL && context.parentURL.startsWith(SRC_URL);
+  if (fromSrc && /^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    const filename = fileURLToPath(url);
+    const { code } = await babel.transformAsync(await readFile(filename, 'utf8'), {
+      filename,
+      babelrc: false,
+      configFile: false,
+      presets: [[presetReact, { runtime: 'automatic' }]]
+    });
+    return { format: 'module', source: code, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+};
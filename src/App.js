@@ -1,6 +1,6 @@
 import React from 'react';
 import './App.css';
-import ClusteredHeatmap from './ClusteredHeatmap';
+import HeatmapWorkspace from './HeatmapWorkspace';
 
 function App() {
   return (
@@ -9,7 +9,7 @@ function App() {
         <h1>Khushbu's Gene Expression Visualization Tool</h1>
       </header>
       <main className="container mx-auto py-6 px-4">
-        <ClusteredHeatmap />
+        <HeatmapWorkspace />
       </main>
       <footer className="py-4 text-center text-gray-600 text-sm">
         Gene Expression Visualization Tool
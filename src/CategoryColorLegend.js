@@ -0,0 +1,34 @@
+import React from 'react';
+import { Box, Typography, Button } from '@mui/material';
+
+// Category legend with a colour picker per category. Reset drops the saved
+// override so the category goes back to its palette colour.
+const CategoryColorLegend = ({ categories, colors, overrides, onChange }) => (
+  <Box>
+    <Typography sx={{ fontSize: '0.875rem', fontWeight: 600, mb: 1 }}>Category colours</Typography>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5 }}>
+      {categories.map(category => (
+        <Box
+          key={category}
+          sx={{ display: 'flex', alignItems: 'center', gap: 0.75, fontSize: 13, border: '1px solid #e0e0e0', borderRadius: 1, px: 1, py: 0.25 }}
+        >
+          <input
+            type="color"
+            aria-label={`Colour for ${category}`}
+            value={colors[category]}
+            onChange={e => onChange(category, e.target.value)}
+            style={{ width: 28, height: 22, padding: 0, border: 'none', background: 'none' }}
+          />
+          {category}
+          {overrides[category] && (
+            <Button size="small" sx={{ minWidth: 0, py: 0 }} onClick={() => onChange(category, null)}>
+              Reset
+            </Button>
+          )}
+        </Box>
+      ))}
+    </Box>
+  </Box>
+);
+
+export default CategoryColorLegend;
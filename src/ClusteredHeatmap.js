@@ -1,350 +1,285 @@
 import React, { useState, useRef } from 'react';
-import * as d3 from 'd3';
+import { flushSync } from 'react-dom';
 import * as XLSX from 'xlsx';
-import { Card, Typography, Button, Box, Grid, Paper, Slider, FormControl, InputLabel, Select, MenuItem } from '@mui/material';
+import {
+  Typography, Button, Box, Grid, Paper, Slider, FormControl, InputLabel, Select, MenuItem, FormControlLabel, Checkbox,
+  Autocomplete, TextField
+} from '@mui/material';
+import { completeImport } from './importers';
+import { P_ADJUST_METHODS } from './stats';
+import { circleRadius, asterisks, MARKER_STYLES } from './significance';
+import SignificanceSettingsPanel from './SignificanceSettingsPanel';
+import { PALETTES } from './colorScales';
+import ColorScaleSettingsPanel from './ColorScaleSettingsPanel';
+import { assignCategoryColors, loadCategoryColors, saveCategoryColor } from './categoryColors';
+import CategoryColorLegend from './CategoryColorLegend';
+import MergeSettingsPanel from './MergeSettingsPanel';
+import FilterPanel from './FilterPanel';
+import GeneSearch from './GeneSearch';
+import SelectionToolbar from './SelectionToolbar';
+import ExportDialog from './ExportDialog';
+import HeatmapPanelSvg from './HeatmapPanelSvg';
+import { EXPORT_FONTS, toInches, rasterSize, pngWithDpi, encodeTiff } from './exportFormats';
+import { svgToPdf } from './svgToPdf';
+import { SORT_KEYS, SORT_SCOPES, DEFAULT_SORT, sortUsesComparison, describeSort } from './sorting';
+import { moveItem } from './ordering';
+import { rectangleCells, updateSelection, selectedSubset, selectionToImport } from './selection';
+import { CATEGORY_DELIMITERS, MULTI_CATEGORY_MODES } from './categories';
+import { measureTextWidth } from './textMeasure';
+import { panelLayout, measurePanel, rowHeight, MIN_COLUMN_WIDTH } from './heatmapLayout';
+import { ROW_SCALINGS } from './expression';
+import { NUMERIC_TRACK_STYLES, annotationTracks as buildAnnotationTracks, formatAnnotation } from './annotationTracks';
+import useVisibleRows from './useVisibleRows';
+import { DISTANCE_METRICS, LINKAGE_METHODS, MAX_CLUSTER_SIZE } from './clustering';
+import {
+  mergeDatasets, shownDatasetsOf, hasAdjustedPValues, activeSignificanceSource, buildPanels,
+  correctionLabelFor, significanceLegend, panelsColorScale, isExpressionData, valueLabelOf
+} from './heatmapModel';
+import { DEFAULT_HEATMAP_SETTINGS, fillSettings } from './heatmapSettings';
+import useControlledState, { useControlledSettings } from './useControlledState';
+import { downloadBlob, safeFileName } from './download';
+import { exportWorkbook, processedDataWorkbook } from './dataExport';
 
-const ClusteredHeatmap = () => {
-  // Toggle for showing/hiding fold change values
-  const [showFoldChange, setShowFoldChange] = useState(true);
-  // ... existing state declarations ...
-  const [colWidthsState, setColWidthsState] = useState(null); // null until data loaded
-  // ... other state ...
+// Above this many cells the heatmap only renders the rows on screen
+const LARGE_MATRIX_CELLS = 20000;
 
+// Font the heatmap is drawn and measured in
+const FIGURE_FONT = 'Arial, Helvetica, sans-serif';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Clustered heatmap of fold changes (or of expression matrices, see
+// expression.js), driven by props so it can be embedded
+// in other apps and fed data already in memory. Every prop is optional:
+// - datasets: [{ sheetName, imports }], one dataset per sheet, each holding
+//   tables from the importers (see importers.js) that are joined on gene ID.
+//   onDatasetsChange(datasets) hears when the heatmap adds one, e.g. a new
+//   heatmap from the selection.
+// - data: one { comparisons, genes } table instead of datasets, with genes
+//   as { id, category, values, pValues, adjPValues }
+// - settings: view settings by name (see heatmapSettings.js), e.g.
+//   { colorScaleType, fontSizes, significanceSettings }; settings left out
+//   are kept by the heatmap. onSettingsChange(changes) gets the settings
+//   that changed.
+// - selection: the selected cells as [{ panel, row, col }] (see
+//   selection.js); onSelectionChange(cells, { geneIds }) hears about changes
+// - onGeneClick(geneId, { gene, panel, comparison }): a gene name or one of
+//   its cells was clicked; comparison is null for names
+// - onExport({ blob, fileName }): every download, figures and tables alike;
+//   return false to take the file over instead of downloading it
+// Loading files is left to HeatmapUploader.
+const ClusteredHeatmap = ({
+  datasets: datasetsProp, data: dataProp, onDatasetsChange, settings: settingsProp, onSettingsChange,
+  selection, onSelectionChange, onGeneClick, onExport
+}) => {
+  // Imports per dataset: one dataset per sheet name, or one for single-sheet files.
+  // Each holds the imports of every file in the session, joined on gene ID below.
+  const dataDatasets = React.useMemo(
+    () => (dataProp ? [{ sheetName: null, imports: [completeImport(dataProp)] }] : undefined),
+    [dataProp]
+  );
+  const [datasets, setDatasets] = useControlledState(datasetsProp || dataDatasets, [], onDatasetsChange);
+
+  const givenSettings = React.useMemo(() => settingsProp && fillSettings(settingsProp), [settingsProp]);
+  const [settings, settingSetter] = useControlledSettings(
+    givenSettings,
+    () => ({ ...DEFAULT_HEATMAP_SETTINGS, categoryColors: loadCategoryColors() }),
+    onSettingsChange
+  );
+  const {
+    activeDataset, mergeSettings, comparisonRenames, showFoldChange, colWidths: colWidthsState, fontSizes,
+    expressionTransform, annotationTracks: shownAnnotationTracks, numericTrackStyle, colorScaleType, colorSettings, categoryColors: categoryColorOverrides, categoryDelimiter, multiCategoryMode,
+    rowClustering, distanceMetric, linkageMethod, columnOrderMode, significanceSource, pAdjustMethod,
+    significanceSettings, filters, sortSettings, customColumnOrder, categoryOrder, manualGeneOrder,
+    headerClickMode, highlightedGenes, labelMode, renderMode, exportOptions
+  } = settings;
+  const setActiveDataset = settingSetter('activeDataset');
+  const setMergeSettings = settingSetter('mergeSettings');
+  const setComparisonRenames = settingSetter('comparisonRenames');
+  const setShowFoldChange = settingSetter('showFoldChange');
+  const setColWidthsState = settingSetter('colWidths');
+  const setFontSizes = settingSetter('fontSizes');
+  const setExpressionTransform = settingSetter('expressionTransform');
+  const setShownAnnotationTracks = settingSetter('annotationTracks');
+  const setNumericTrackStyle = settingSetter('numericTrackStyle');
+  const setColorScaleType = settingSetter('colorScaleType');
+  const setColorSettings = settingSetter('colorSettings');
+  const setCategoryColorOverrides = settingSetter('categoryColors');
+  const setCategoryDelimiter = settingSetter('categoryDelimiter');
+  const setMultiCategoryMode = settingSetter('multiCategoryMode');
+  const setRowClustering = settingSetter('rowClustering');
+  const setDistanceMetric = settingSetter('distanceMetric');
+  const setLinkageMethod = settingSetter('linkageMethod');
+  const setColumnOrderMode = settingSetter('columnOrderMode');
+  const setSignificanceSource = settingSetter('significanceSource');
+  const setPAdjustMethod = settingSetter('pAdjustMethod');
+  const setSignificanceSettings = settingSetter('significanceSettings');
+  const setFilters = settingSetter('filters');
+  const setSortSettings = settingSetter('sortSettings');
+  const setCustomColumnOrder = settingSetter('customColumnOrder');
+  const setCategoryOrder = settingSetter('categoryOrder');
+  const setManualGeneOrder = settingSetter('manualGeneOrder');
+  const setHeaderClickMode = settingSetter('headerClickMode');
+  const setHighlightedGenes = settingSetter('highlightedGenes');
+  const setLabelMode = settingSetter('labelMode');
+  const setRenderMode = settingSetter('renderMode');
+  const setExportOptions = settingSetter('exportOptions');
 
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [file, setFile] = useState(null);
-  const [colorScaleType, setColorScaleType] = useState('linear'); // linear, log, quantile
-  const [fontSizes, setFontSizes] = useState({
-    geneName: 12,
-    header: 12,
-    cellValue: 12,
-    categoryName: 12
-  });
+  const [dropIndicator, setDropIndicator] = useState(null); // { panel, axis, offset } while dragging
+  const [renderAllRows, setRenderAllRows] = useState(false); // set while exporting a virtualized heatmap
+  const [exportLayout, setExportLayout] = useState(null); // { legend, sidebar } while rendering a publication export
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
 
-  // Initialize column widths state if not set or if column count changed
-  React.useEffect(() => {
-    if (data && (!colWidthsState || colWidthsState.length !== (data.comparisons?.length || 0))) {
-      // Recompute colWidthsRaw using current font sizes and data
-      const headerFont = `bold ${fontSizes.header}px Arial`;
-      const cellFont = `${fontSizes.foldChange}px Arial`;
-      const minColWidth = 50;
-      const colWidthsRaw = data.comparisons.map((comparison, j) => {
-        let maxWidth = measureTextWidth(comparison, headerFont);
-        data.genes.forEach(gene => {
-          const value = gene.values[j];
-          const text = value !== undefined && value !== null ? value.toFixed(1) : "N/A";
-          maxWidth = Math.max(maxWidth, measureTextWidth(text, cellFont));
-        });
-        return Math.ceil(Math.max(maxWidth + 18, minColWidth));
-      });
-      setColWidthsState([...colWidthsRaw]);
-    }
-    // eslint-disable-next-line
-  }, [data && data.comparisons?.length, fontSizes.header, fontSizes.foldChange]);
+  // Datasets joined on gene ID, with the chosen merge rules and comparison names
+  const mergedDatasets = React.useMemo(
+    () => mergeDatasets(datasets, { mergeSettings, categoryDelimiter, comparisonRenames }),
+    [datasets, mergeSettings, categoryDelimiter, comparisonRenames]
+  );
+  const shownDatasets = shownDatasetsOf(mergedDatasets, activeDataset);
+  const data = shownDatasets.length > 0 ? shownDatasets[0].data : null;
+  const hasAdjPValues = hasAdjustedPValues(shownDatasets);
+  const significanceSourceUsed = activeSignificanceSource(shownDatasets, { significanceSource, pAdjustMethod });
+
+  // Panels shown: the selected dataset, or every dataset side by side
+  const panels = React.useMemo(() => buildPanels(shownDatasetsOf(mergedDatasets, activeDataset), {
+    pAdjustMethod, categoryDelimiter, multiCategoryMode, rowClustering, columnOrderMode, distanceMetric, linkageMethod,
+    filters, pValueSource: significanceSourceUsed, sortSettings, significanceSettings,
+    categoryOrder, manualGeneOrder, customColumnOrder, expressionTransform
+  }), [
+    mergedDatasets, activeDataset, pAdjustMethod, categoryDelimiter, multiCategoryMode, rowClustering, columnOrderMode,
+    distanceMetric, linkageMethod, filters, significanceSourceUsed, sortSettings, significanceSettings,
+    categoryOrder, manualGeneOrder, customColumnOrder, expressionTransform
+  ]);
+  const heatmapData = panels.length > 0 ? panels[0].heatmapData : null;
+  // Expression matrices show transformed values instead of fold changes
+  const expressionData = isExpressionData(panels);
+  const valueLabel = valueLabelOf(panels, expressionTransform);
+  // Extra table columns that can be shown as row annotation tracks
+  const annotationColumnNames = [...new Set(panels.flatMap(panel => (panel.heatmapData.rowAnnotations || []).map(column => column.name)))];
 
-  const [selectedCells, setSelectedCells] = useState([]); // [{row, col}]
-  const resizingCol = useRef(null); // Track which column is being resized
+  // Measured text per panel, cached so large matrices aren't re-measured on every render
+  const panelMeasurements = React.useMemo(
+    () => panels.map(panel => measurePanel(panel.heatmapData, fontSizes)),
+    [panels, fontSizes]
+  );
+
+  // The selection split by panel: [{ panel, p, cells, subset }] for panels with selected cells
+  const selectionByPanelOf = (cells) => panels.map((panel, p) => {
+    const panelCells = cells.filter(c => c.panel === p);
+    return { panel, p, cells: panelCells, subset: panelCells.length ? selectedSubset(panel.heatmapData, panelCells) : null };
+  }).filter(entry => entry.cells.length > 0);
+  const geneIdsOf = (selectionByPanel) => [...new Set(selectionByPanel.flatMap(entry => entry.subset.genes.map(gene => gene.id)))];
+
+  const [selectedCells, setSelectedCells] = useControlledState(selection, [], cells => {
+    if (onSelectionChange) onSelectionChange(cells, { geneIds: geneIdsOf(selectionByPanelOf(cells)) });
+  }); // [{panel, row, col}], see selection.js
+  const [selectionBox, setSelectionBox] = useState(null); // { panel, rowA, rowB, colA, colB } while dragging over cells
+  const [selectionMessage, setSelectionMessage] = useState('');
+  const selectionAnchorRef = useRef(null); // range of the last selection click, for shift-click
+  // Selected rows are indices into the displayed order, so reset them when it
+  // changes, unless a new selection came with it (e.g. from a project file)
+  const shownRef = useRef({ panels, selectedCells });
+  React.useEffect(() => {
+    const shown = shownRef.current;
+    shownRef.current = { panels, selectedCells };
+    if (shown.panels === panels) return;
+    selectionAnchorRef.current = null;
+    if (shown.selectedCells === selectedCells && selectedCells.length > 0) setSelectedCells([]);
+  }, [panels, selectedCells, setSelectedCells]);
+  React.useEffect(() => {
+    setSelectionMessage('');
+  }, [selectedCells]);
+  const resizingCol = useRef(null); // Name of the comparison being resized
   const startX = useRef(null); // Track mouse X position on resize start
   const startWidth = useRef(null); // Track initial width on resize start
   const [tooltip, setTooltip] = useState({ visible: false, x: 0, y: 0, content: null });
-  const svgRef = useRef(null);
+  const svgRef = useRef(null); // first panel's SVG
+  const svgRefs = useRef([]); // every panel's SVG
   const exportContainerRef = useRef(null);
 
 
-  // Enhanced color scale
-  const colorScale = (value) => {
-    if (value === undefined || value === null) return "#f9f9f9";
-    let v = value;
-    if (colorScaleType === 'log') {
-      v = value === 0 ? 0 : (value > 0 ? Math.log2(Math.abs(value) + 1) : -Math.log2(Math.abs(value) + 1));
-    } else if (colorScaleType === 'quantile' && data) {
-      // Quantile scaling based on all values
-      const allVals = data.genes.flatMap(g => g.values);
-      const scale = d3.scaleQuantile().domain(allVals).range(d3.schemeRdBu[7].reverse());
-      return scale(value);
-    }
-    if (v > 0) {
-      const intensity = Math.min(Math.abs(v) / 3, 1);
-      return d3.interpolateReds(intensity);
-    } else {
-      const intensity = Math.min(Math.abs(v) / 3, 1);
-      return d3.interpolateBlues(intensity);
-    }
-  };
-
+  // Cell colours from the colour settings. The legend is generated from the
+  // same scale so the figure stays consistent.
+  const activeColorScale = React.useMemo(
+    () => panelsColorScale(panels, { colorScaleType, colorSettings }),
+    [panels, colorScaleType, colorSettings]
+  );
 
-  // Handle file upload
-  const handleFileUpload = (event) => {
-    const selectedFile = event.target.files[0];
-    if (!selectedFile) {
-      setError('No file selected');
-      return;
-    }
+  const allGeneIds = React.useMemo(
+    () => [...new Set(panels.flatMap(panel => panel.heatmapData.genes.map(gene => gene.id)))],
+    [panels]
+  );
+  const highlightedSet = React.useMemo(() => new Set(highlightedGenes), [highlightedGenes]);
+  const hiddenGeneCount = panels.reduce((sum, panel) => sum + panel.heatmapData.hiddenGeneCount, 0);
+  // Blocks too large to cluster keep the sort order (see buildHeatmapData)
+  const clusteringSkipped = panels.some(panel => panel.heatmapData.clusteringSkipped);
+  // Rows sorted or clustered across all genes have no category blocks and
+  // show each gene once (see buildHeatmapData)
+  const globalRowOrder = rowClustering === 'all' || (rowClustering === 'none' && sortSettings.scope === 'global');
+  const allCategories = React.useMemo(
+    () => [...new Set(panels.flatMap(panel => panel.heatmapData.categories))],
+    [panels]
+  );
+  const categoryColors = React.useMemo(
+    () => assignCategoryColors(allCategories, categoryColorOverrides),
+    [allCategories, categoryColorOverrides]
+  );
 
-    // Reset states
-    setError(null);
-    setFile(selectedFile);
-    setLoading(true);
-    
-    // Log file info for debugging
-    console.log('Processing file:', {
-      name: selectedFile.name,
-      size: selectedFile.size,
-      type: selectedFile.type
-    });
 
-    // Basic file validation
-    if (!selectedFile.name.match(/\.(xlsx|xls)$/i)) {
-      const errorMsg = 'Invalid file type. Please upload an Excel file (.xlsx or .xls)';
-      console.error(errorMsg);
-      setError(errorMsg);
-      setLoading(false);
-      return;
-    }
+  // Every download goes through here, so onExport can see or take over the file
+  const saveFile = (blob, fileName) => {
+    if (onExport && onExport({ blob, fileName }) === false) return;
+    downloadBlob(blob, fileName);
+  };
+  const saveWorkbook = (workbook, fileName) => {
+    const bytes = (window.XLSX ? window.XLSX : XLSX).write(workbook, { bookType: 'xlsx', type: 'array' });
+    saveFile(new Blob([bytes], { type: XLSX_TYPE }), fileName);
+  };
 
-    if (selectedFile.size > 10 * 1024 * 1024) { // 10MB limit
-      const errorMsg = 'File is too large. Maximum size is 10MB';
-      console.error(errorMsg);
-      setError(errorMsg);
-      setLoading(false);
-      return;
+  // Detached copy of the given panels' SVG, without the sort indicators. A
+  // single panel is exported as is; several are stacked top to bottom in one SVG.
+  const panelSvg = (indices) => {
+    const svgs = indices.map(p => {
+      const svg = svgRefs.current[p] && svgRefs.current[p].cloneNode(true);
+      if (svg) svg.querySelectorAll('.sort-indicator').forEach(el => el.remove());
+      return svg;
+    }).filter(Boolean);
+    if (svgs.length === 1) {
+      const svg = svgs[0];
+      return { svg, width: Number(svg.getAttribute('width')), height: Number(svg.getAttribute('height')) };
     }
-
-    processExcelFile(selectedFile).catch(error => {
-      console.error('Error processing file:', error);
-      setError(`Error processing file: ${error.message || 'Unknown error'}`);
-      setLoading(false);
+    const combined = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    let width = 0;
+    let height = 0;
+    svgs.forEach(svg => {
+      svg.setAttribute('y', height);
+      combined.appendChild(svg);
+      width = Math.max(width, Number(svg.getAttribute('width')));
+      height += Number(svg.getAttribute('height'));
     });
+    combined.setAttribute('width', width);
+    combined.setAttribute('height', height);
+    return { svg: combined, width, height };
   };
-
-  // Process the Excel file with enhanced error handling
-  const processExcelFile = async (selectedFile) => {
-    if (!selectedFile) {
-      throw new Error('No file provided');
-    }
-    try {
-      console.log('Reading Excel file...');
-      const arrayBuffer = await selectedFile.arrayBuffer();
-      let workbook, sheet, rawData;
-      
-      try {
-        workbook = XLSX.read(new Uint8Array(arrayBuffer), { cellDates: true });
-        if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-          throw new Error('No sheets found in the Excel file');
-        }
-        
-        sheet = workbook.Sheets[workbook.SheetNames[0]];
-        if (!sheet) {
-          throw new Error('Could not read the first sheet');
-        }
-        
-        rawData = XLSX.utils.sheet_to_json(sheet);
-        if (!rawData || rawData.length === 0) {
-          throw new Error('No data found in the sheet');
-        }
-        
-        console.log(`Successfully read ${rawData.length} rows of data`);
-      } catch (err) {
-        console.error('Error reading Excel file:', err);
-        throw new Error(`Failed to read Excel file: ${err.message}`);
-      }
-      
-      // Validate and extract headers
-      const headers = Object.keys(rawData[0] || {});
-      if (headers.length === 0) {
-        throw new Error('No headers found in the Excel file');
-      }
-      
-      console.log('Detected headers:', headers);
-      
-      const comparisonPattern = /^Log2FC\s*\((.+)\)$/i;
-      const pValuePattern = /^P value\s*\((.+)\)$/i;
-      
-      // Find all comparison columns and their display names
-      const comparisons = headers.filter(h => comparisonPattern.test(h));
-      if (comparisons.length === 0) {
-        throw new Error('No comparison columns found. Expected columns with pattern: "Log2FC (ComparisonName)"');
-      }
-      
-      const shortNames = comparisons.map(h => {
-        const match = h.match(comparisonPattern);
-        return match ? match[1].trim() : h;
-      });
-      
-      // Find all p-value columns
-      const pValueColumns = headers.filter(h => pValuePattern.test(h));
-      if (pValueColumns.length === 0) {
-        console.warn('No p-value columns found with pattern: "P value (ComparisonName)"');
-      }
-      
-      // Dynamically determine the category column
-      const categoryCol = headers.find(h => h.toLowerCase().includes('category'));
-      if (!categoryCol) {
-        console.warn('No category column found. Using "Uncategorized" for all genes');
-      }
-      
-      // Sort comparisons and p-values by their order in the file
-      // (Optional: you can sort by display name if you prefer)
-      // If you want to pair Log2FC and P value columns by their inner comparison, you can add extra logic here.
-      
-      // Process gene data with validation
-      const geneData = [];
-      const missingGenes = [];
-      
-      rawData.forEach((gene, index) => {
-        // Only accept rows with a valid gene ID (not empty/whitespace)
-        let geneId = gene['Gene ID'] || gene['GeneID'] || gene['gene_id'];
-        if (typeof geneId === 'string') geneId = geneId.trim();
-        // Skip rows without a valid gene ID
-        if (!geneId) {
-          console.warn(`Skipping row ${index + 2}: Missing or blank Gene ID`);
-          console.log('Problematic row data:', gene);
-          return;
-        }
-        
-        // Check for at least one valid value
-        const hasValidValue = comparisons.some(comp => {
-          const val = gene[comp];
-          return val !== undefined && val !== null && val !== '';
-        });
-        
-        if (!hasValidValue) {
-          console.warn(`Gene ${geneId} has no valid comparison values`);
-        }
-        
-        geneData.push({
-          id: geneId,
-          category: gene[categoryCol] || 'Uncategorized',
-          values: comparisons.map(comp => {
-            const val = gene[comp];
-            return val !== undefined && val !== null && val !== '' ? parseFloat(val) : null;
-          }),
-          pValues: pValueColumns.map(comp => {
-            const val = gene[comp];
-            return val !== undefined && val !== null && val !== '' ? parseFloat(val) : null;
-          })
-        });
-      });
-      
-      if (geneData.length === 0) {
-        throw new Error('No valid gene data found in the file');
-      }
-      
-      if (missingGenes.length > 0) {
-        console.warn(`Missing Gene IDs in ${missingGenes.length} rows`);
-        if (missingGenes.length === rawData.length) {
-          throw new Error('No valid Gene IDs found in the file');
-        }
-      }
-      
-      // Group genes by category
-      const categories = [...new Set(geneData.map(gene => gene.category))];
-      const groupedByCategory = {};
-      categories.forEach(category => {
-        const genesInCategory = geneData.filter(gene => gene.category === category);
-        if (genesInCategory.length > 0) {
-          groupedByCategory[category] = genesInCategory;
-        }
-      });
-      
-      console.log(`Processed ${geneData.length} genes across ${categories.length} categories`);
-      
-      // Sort genes within each category from lowest to highest log2FC in the first comparison
-      const sortedGeneData = [];
-      categories.forEach(category => {
-        if (!groupedByCategory[category]) return;
-        const categoryGenes = groupedByCategory[category];
-        
-        // Sort genes within category from lowest to highest log2FC in first comparison
-        categoryGenes.sort((a, b) => {
-          // Sort by the value of the Control vs KD comparison (ascending)
-          return a.values[0] - b.values[0];
-        });
-        
-        // Add to the overall sorted data
-        sortedGeneData.push(...categoryGenes);
-      });
-      
-      // Create category groups for visualization
-      const categoryGroups = [];
-      let currentCategory = null;
-      let startIndex = 0;
-      
-      sortedGeneData.forEach((gene, index) => {
-        if (gene.category !== currentCategory) {
-          if (currentCategory !== null) {
-            categoryGroups.push({
-              category: currentCategory,
-              startIndex: startIndex,
-              endIndex: index - 1,
-              count: index - startIndex
-            });
-          }
-          currentCategory = gene.category;
-          startIndex = index;
-        }
-      });
-      
-      // Add the last group
-      if (currentCategory !== null) {
-        categoryGroups.push({
-          category: currentCategory,
-          startIndex: startIndex,
-          endIndex: sortedGeneData.length - 1,
-          count: sortedGeneData.length - startIndex
-        });
-      }
-      
-      // Debug: log all gene IDs after processing
-      console.log('All processed gene IDs:', geneData.map(g => g.id));
-      
-      // Extract unique categories for category labels
-      const uniqueCategories = Array.from(new Set(sortedGeneData.map(gene => gene.category)));
-      console.log('Categories:', uniqueCategories);
-      
-      setData({
-        genes: sortedGeneData,
-        comparisons: shortNames,
-        comparisonColumns: comparisons,
-        pValueColumns: pValueColumns,
-        categoryGroups: categoryGroups,
-        categories: uniqueCategories
-      });
-      
-      setLoading(false);
-    } catch (err) {
-      console.error('Error processing data:', err);
-      setError('Failed to process gene expression data: ' + err.message);
-      setLoading(false);
-    }
+  const panelSvgMarkup = (indices) => {
+    const { svg, width, height } = panelSvg(indices);
+    return { markup: new XMLSerializer().serializeToString(svg), width, height };
   };
-  
-  // Download as SVG
-  const downloadAsSVG = () => {
-    if (!svgRef.current) return;
-    
-    const svgData = new XMLSerializer().serializeToString(svgRef.current);
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const svgUrl = URL.createObjectURL(svgBlob);
+
+  // Download as SVG: every panel by default, or the given ones
+  const downloadAsSVG = (indices = panels.map((panel, p) => p), fileName = 'gene_heatmap.svg') => {
+    if (!svgRefs.current[indices[0]]) return;
     
-    const downloadLink = document.createElement('a');
-    downloadLink.href = svgUrl;
-    downloadLink.download = 'gene_heatmap.svg';
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
-    document.body.removeChild(downloadLink);
-    URL.revokeObjectURL(svgUrl);
+    const { markup: svgData } = withFullSvg(() => panelSvgMarkup(indices));
+    saveFile(new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' }), fileName);
   };
   
-  // Download as PNG
-  const downloadAsPNG = () => {
-    if (!svgRef.current) return;
+  // Download as PNG: every panel by default, or the given ones
+  const downloadAsPNG = (indices = panels.map((panel, p) => p), fileName = 'gene_heatmap.png') => {
+    if (!svgRefs.current[indices[0]]) return;
     
-    const svg = svgRef.current;
-    const width = svg.getAttribute('width');
-    const height = svg.getAttribute('height');
+    const { markup: svgData, width, height } = withFullSvg(() => panelSvgMarkup(indices));
     
     const canvas = document.createElement('canvas');
     canvas.width = width;
@@ -353,7 +288,6 @@ const ClusteredHeatmap = () => {
     
     // Create an image from the SVG
     const image = new Image();
-    const svgData = new XMLSerializer().serializeToString(svg);
     const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
     const svgUrl = URL.createObjectURL(svgBlob);
     
@@ -365,153 +299,456 @@ const ClusteredHeatmap = () => {
       // Draw the image onto the canvas
       ctx.drawImage(image, 0, 0);
       
-      // Convert canvas to PNG
-      const pngUrl = canvas.toDataURL('image/png');
-      
-      // Trigger download
-      const downloadLink = document.createElement('a');
-      downloadLink.href = pngUrl;
-      downloadLink.download = 'gene_heatmap.png';
-      document.body.appendChild(downloadLink);
-      downloadLink.click();
-      document.body.removeChild(downloadLink);
-      
       // Clean up
       URL.revokeObjectURL(svgUrl);
+
+      // Convert canvas to PNG
+      canvas.toBlob(blob => saveFile(blob, fileName), 'image/png');
     };
     
     image.src = svgUrl;
   };
 
-  // Default cell dimensions
-  const cellHeight = Math.max(30, fontSizes.geneName + 10); // Ensure cell height is at least 10px larger than gene name font
-  
-  // Default margin values - actual left margin will be calculated in renderHeatmap
-  const margin = { top: 100, right: 200, bottom: 50, left: 200 };
+  const cellHeight = rowHeight(fontSizes);
 
+  // Large matrices only render the rows on screen. Exports temporarily render
+  // every row so the SVG stays complete.
+  const rowCount = heatmapData ? heatmapData.genes.length : 0;
+  const virtualized = !renderAllRows && panels.length === 1 && (renderMode === 'virtual'
+    || (renderMode === 'auto' && rowCount * (heatmapData ? heatmapData.comparisons.length : 0) > LARGE_MATRIX_CELLS));
+  const rowsOffsetTopRef = useRef(0); // y of the first row inside the SVG, set by renderPanel
+  const panelLayoutRef = useRef([]); // per panel: { left, top } of the cell grid inside the SVG, set by renderPanel
+  const visibleRows = useVisibleRows(svgRef, rowsOffsetTopRef, { enabled: virtualized, rowCount, rowHeight: cellHeight });
+  const rowStart = virtualized ? visibleRows.start : 0;
+  const rowEnd = virtualized ? Math.min(rowCount, visibleRows.end) : rowCount;
 
+  const selectedCellKeys = React.useMemo(
+    () => new Set(selectedCells.map(c => `${c.panel}:${c.row}:${c.col}`)),
+    [selectedCells]
+  );
 
-  // Significance indicator size scale
-  const getSizeForPValue = (pValue) => {
-    if (pValue >= 0.05) return 0;
-    if (pValue < 0.01) return 5;
-    return 3; // for p-values between 0.01 and 0.05
+  // Header click: sort by that comparison's log2FC, or flip the direction if
+  // it is already the sort column. Clustering gives way to the sort.
+  const sortComparison = data && data.comparisons.includes(sortSettings.comparison) ? sortSettings.comparison : (data ? data.comparisons[0] : '');
+  const sortByComparison = (comparison) => {
+    const flip = sortSettings.key === 'log2FC' && sortComparison === comparison && rowClustering === 'none';
+    setSortSettings({ ...sortSettings, key: 'log2FC', comparison, direction: flip && sortSettings.direction === 'asc' ? 'desc' : 'asc' });
+    if (rowClustering !== 'none') setRowClustering('none');
   };
 
-  // Function to get background color for a category
-  const getCategoryColor = (category) => {
-    // Color code the category groups
-    if (category.includes("Cholesterol")) {
-      return "#e6f7ff"; // light blue
-    } else if (category.includes("Fatty Acid")) {
-      return "#e6ffe6"; // light green
-    } else if (category.includes("Triglyceride")) {
-      return "#fff2e6"; // light orange
-    } else if (category.includes("Immune")) {
-      return "#ffe6e6"; // light red
-    } else if (category.includes("Carbohydrate")) {
-      return "#f9f9e6"; // light yellow
-    } else {
-      return "#f0f0f0"; // default light gray
+  // Drag to reorder: comparisons move along x, category blocks and genes
+  // along y. targetAt maps a position in the cell grid to { index, offset }:
+  // the insert position and where to draw the drop line. A press that
+  // doesn't move is a click.
+  const startDrag = (event, { p, axis, targetAt, onDrop, onClick }) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const startPosition = axis === 'x' ? event.clientX : event.clientY;
+    let moved = false;
+    let target = null;
+    const handleMove = (e) => {
+      const position = axis === 'x' ? e.clientX : e.clientY;
+      if (!moved && Math.abs(position - startPosition) < 4) return;
+      moved = true;
+      document.body.style.cursor = 'grabbing';
+      const rect = svgRefs.current[p].getBoundingClientRect();
+      const layout = panelLayoutRef.current[p];
+      target = targetAt(axis === 'x' ? position - rect.left - layout.left : position - rect.top - layout.top);
+      setDropIndicator({ panel: p, axis, offset: target.offset });
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      document.body.style.cursor = '';
+      setDropIndicator(null);
+      if (moved && target) {
+        onDrop(target.index);
+      } else if (!moved && onClick) {
+        onClick(event);
+      }
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  // Selection clicks on a range of cells: a cell, a gene's row, a column or a
+  // category block, as { rowA, rowB, colA, colB } with A ≤ B. A click toggles
+  // the range; shift-click selects from the last click to this one.
+  const selectRange = (p, { rowA, rowB, colA, colB }, mode) => {
+    setSelectedCells(current => updateSelection(current, rectangleCells(p, rowA, rowB, colA, colB), mode));
+  };
+  const clickSelect = (event, p, range) => {
+    const anchor = selectionAnchorRef.current;
+    if (event.shiftKey && anchor && anchor.panel === p) {
+      selectRange(p, {
+        rowA: Math.min(anchor.rowA, range.rowA),
+        rowB: Math.max(anchor.rowB, range.rowB),
+        colA: Math.min(anchor.colA, range.colA),
+        colB: Math.max(anchor.colB, range.colB)
+      }, event.ctrlKey || event.metaKey ? 'add' : 'replace');
+      return;
     }
+    selectionAnchorRef.current = { panel: p, ...range };
+    selectRange(p, range, 'toggle');
   };
 
-  // Utility function to measure text width using canvas
-const measureTextWidth = (text, font = '11px Arial') => {
-  const canvas = measureTextWidth.canvas || (measureTextWidth.canvas = document.createElement('canvas'));
-  const context = canvas.getContext('2d');
-  context.font = font;
-  return context.measureText(text).width;
-};
+  // Dragging across cells selects the rectangle between the pressed cell and
+  // the one under the pointer, replacing the selection (or adding to it with
+  // Ctrl/⌘). cellAt maps a position in the cell grid to { row, col }. A press
+  // that doesn't move is a click.
+  const startCellSelection = (event, { p, row, col, cellAt, onClick }) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    const originX = event.clientX;
+    const originY = event.clientY;
+    let box = null;
+    const handleMove = (e) => {
+      if (!box && Math.abs(e.clientX - originX) < 4 && Math.abs(e.clientY - originY) < 4) return;
+      const rect = svgRefs.current[p].getBoundingClientRect();
+      const layout = panelLayoutRef.current[p];
+      const end = cellAt(e.clientX - rect.left - layout.left, e.clientY - rect.top - layout.top);
+      box = { panel: p, rowA: row, rowB: end.row, colA: col, colB: end.col };
+      setSelectionBox(box);
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setSelectionBox(null);
+      if (!box) {
+        clickSelect(event, p, { rowA: row, rowB: row, colA: col, colB: col });
+        if (onClick) onClick(event);
+        return;
+      }
+      const range = {
+        rowA: Math.min(box.rowA, box.rowB),
+        rowB: Math.max(box.rowA, box.rowB),
+        colA: Math.min(box.colA, box.colB),
+        colB: Math.max(box.colA, box.colB)
+      };
+      selectionAnchorRef.current = { panel: p, ...range };
+      selectRange(p, range, event.ctrlKey || event.metaKey ? 'add' : 'replace');
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const hasCustomOrder = !!customColumnOrder || !!categoryOrder || sortSettings.key === 'manual';
+  const resetCustomOrder = () => {
+    setCustomColumnOrder(null);
+    setCategoryOrder(null);
+    setManualGeneOrder({});
+    if (columnOrderMode === 'custom') setColumnOrderMode('file');
+    if (sortSettings.key === 'manual') setSortSettings({ ...sortSettings, key: DEFAULT_SORT.key });
+  };
+
+  // Scroll the first row of a gene to the middle of the window. Virtualized
+  // rows render once the scroll brings them into view.
+  const jumpToGene = (id) => {
+    const p = panels.findIndex(panel => panel.heatmapData.genes.some(gene => gene.id === id));
+    const svg = svgRefs.current[p];
+    if (p === -1 || !svg) return;
+    const i = panels[p].heatmapData.genes.findIndex(gene => gene.id === id);
+    const rowTop = svg.getBoundingClientRect().top + window.scrollY + (panelLayoutRef.current[p] ? panelLayoutRef.current[p].top : 0) + i * cellHeight;
+    window.scrollTo({ top: Math.max(0, rowTop - window.innerHeight / 2 + cellHeight / 2), behavior: 'smooth' });
+  };
+
+  // Run an export against the complete SVGs, optionally re-rendered with a
+  // publication layout ({ legend, sidebar })
+  const withFullSvg = (callback, layout = null) => {
+    const rerender = virtualized || layout;
+    if (rerender) {
+      flushSync(() => {
+        setRenderAllRows(true);
+        setExportLayout(layout);
+      });
+    }
+    try {
+      return callback();
+    } finally {
+      if (rerender) {
+        setRenderAllRows(false);
+        setExportLayout(null);
+      }
+    }
+  };
+
+  // Publication export: every panel re-rendered with the chosen layout and
+  // font, sized to a physical width and saved as PDF, SVG, PNG or TIFF
+  const exportFigure = (options) => {
+    if (!svgRefs.current[0]) return;
+    const { svg, width, height } = withFullSvg(
+      () => panelSvg(panels.map((panel, p) => p)),
+      { legend: options.legend, sidebar: options.sidebar }
+    );
+    const font = EXPORT_FONTS[options.font] || EXPORT_FONTS.arial;
+    const embedded = options.font === 'embed' && options.fontFile;
+    const fontFamily = embedded ? `'ExportFont', ${FIGURE_FONT}` : font.css;
+    [svg, ...svg.querySelectorAll('svg')].forEach(el => el.setAttribute('font-family', fontFamily));
+    if (embedded) {
+      const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+      style.textContent = `@font-face { font-family: 'ExportFont'; src: url(${options.fontFile.dataUrl}); }`;
+      svg.insertBefore(style, svg.firstChild);
+    }
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const inches = toInches(options.width, options.unit);
+    setExportDialogOpen(false);
+
+    if (options.format === 'pdf') {
+      const pageWidth = inches * 72;
+      const pdf = svgToPdf(svg, { pageWidth, pageHeight: pageWidth * height / width, font: font.pdf, measure: measureTextWidth });
+      saveFile(new Blob([pdf], { type: 'application/pdf' }), 'gene_heatmap.pdf');
+      return;
+    }
+    if (options.format === 'svg') {
+      const mm = inches * 25.4;
+      svg.setAttribute('width', `${Math.round(mm * 100) / 100}mm`);
+      svg.setAttribute('height', `${Math.round(mm * height / width * 100) / 100}mm`);
+      saveFile(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml;charset=utf-8' }), 'gene_heatmap.svg');
+      return;
+    }
+
+    const size = rasterSize(width, height, inches, options.dpi);
+    if (size.tooLarge) {
+      setError(`The figure would be ${size.width} × ${size.height} pixels, more than the browser can draw. Lower the resolution or the width, or export a PDF or SVG.`);
+      return;
+    }
+    svg.setAttribute('width', size.width);
+    svg.setAttribute('height', size.height);
+    const svgUrl = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, size.width, size.height);
+      ctx.drawImage(image, 0, 0, size.width, size.height);
+      URL.revokeObjectURL(svgUrl);
+      if (options.format === 'tiff') {
+        const tiff = encodeTiff(ctx.getImageData(0, 0, size.width, size.height), options.dpi);
+        saveFile(new Blob([tiff], { type: 'image/tiff' }), 'gene_heatmap.tif');
+        return;
+      }
+      canvas.toBlob(blob => blob.arrayBuffer().then(buffer => {
+        saveFile(new Blob([pngWithDpi(new Uint8Array(buffer), options.dpi)], { type: 'image/png' }), 'gene_heatmap.png');
+      }), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(svgUrl);
+      setError('The figure could not be drawn for the image export');
+    };
+    image.src = svgUrl;
+  };
+
+
+
+  const significanceLabel = significanceSourceUsed !== 'pValue' ? 'adj. p' : 'p';
+  const significanceDescription = {
+    pValue: 'raw p-value',
+    adjPValue: 'adjusted p-value / FDR from the file',
+    corrected: `${P_ADJUST_METHODS[pAdjustMethod]}-adjusted p-value`
+  }[significanceSourceUsed];
+  const correctionLabel = correctionLabelFor(pAdjustMethod);
+  const {
+    entries: significanceLegendEntries, log2FCRequirement
+  } = significanceLegend(significanceSettings, significanceSourceUsed);
+
+  const handleCategoryColorChange = (category, color) => {
+    setCategoryColorOverrides(saveCategoryColor(category, color));
+  };
+
+// One heatmap SVG per panel (see HeatmapPanelSvg) with its handlers; several
+// panels share the settings and colour scale
+const renderPanel = ({ name, heatmapData }, p) => {
+  const rowTracks = buildAnnotationTracks(heatmapData.rowAnnotations, shownAnnotationTracks, { numericStyle: numericTrackStyle });
+  const formatValue = value => (value !== undefined && value !== null ? value.toFixed(2) : 'N/A');
+  // Annotations of the sample in column j, a line per track
+  const sampleLines = j => (heatmapData.sampleAnnotations ? heatmapData.sampleTracks.map(track => {
+    const sample = heatmapData.sampleAnnotations[j];
+    return (
+      <React.Fragment key={track}>
+        <br/><b>{track}:</b> {(sample && sample[track]) || 'N/A'}
+      </React.Fragment>
+    );
+  }) : null);
+  // The gene's values in the annotation tracks shown, a line per track
+  const annotationLines = gene => rowTracks.map(track => (
+    <React.Fragment key={track.name}>
+      <br/><b>{track.name}:</b> {formatAnnotation(gene.annotations ? gene.annotations[track.name] : undefined)}
+    </React.Fragment>
+  ));
 
-const renderHeatmap = () => {
-  if (!data) return null;
   // Tooltip handler
   const handleMouseOver = (event, gene, j, i) => {
     setTooltip({
       visible: true,
       x: event.clientX,
       y: event.clientY,
-      content: (
+      content: heatmapData.valueKind === 'expression' ? (
+        <Box sx={{ fontSize: 13 }}>
+          <b>Gene:</b> {gene.id}<br/>
+          <b>Category:</b> {gene.categories.join('; ')}<br/>
+          <b>Sample:</b> {heatmapData.comparisons[j]}<br/>
+          <b>{valueLabel}:</b> {formatValue(gene.values[j])}<br/>
+          <b>Expression:</b> {formatValue(gene.rawValues[j])}
+          {sampleLines(j)}
+          {annotationLines(gene)}
+        </Box>
+      ) : (
         <Box sx={{ fontSize: 13 }}>
           <b>Gene:</b> {gene.id}<br/>
-          <b>Category:</b> {gene.category}<br/>
-          <b>Comparison:</b> {data.comparisons[j]}<br/>
+          <b>Category:</b> {gene.categories.join('; ')}<br/>
+          <b>Comparison:</b> {heatmapData.comparisons[j]}<br/>
           <b>Log2FC:</b> {gene.values[j] !== undefined && gene.values[j] !== null ? gene.values[j].toFixed(2) : 'N/A'}<br/>
-          <b>P-value:</b> {gene.pValues[j] !== undefined && gene.pValues[j] !== null ? gene.pValues[j].toExponential(2) : 'N/A'}
+          <b>P-value:</b> {gene.pValues[j] !== undefined && gene.pValues[j] !== null ? gene.pValues[j].toExponential(2) : 'N/A'}<br/>
+          <b>Adj. p-value:</b> {gene.adjPValues[j] !== undefined && gene.adjPValues[j] !== null ? gene.adjPValues[j].toExponential(2) : 'N/A'}
+          {gene.correctedPValues && (
+            <><br/><b>{P_ADJUST_METHODS[pAdjustMethod]} adj. p:</b> {gene.correctedPValues[j] !== null ? gene.correctedPValues[j].toExponential(2) : 'N/A'}</>
+          )}
+          {annotationLines(gene)}
         </Box>
       )
     });
   };
   const handleMouseOut = () => setTooltip({ ...tooltip, visible: false });
-  // Selection handler
-  const handleCellClick = (i, j) => {
-    const idx = selectedCells.findIndex(c => c.row === i && c.col === j);
-    if (idx >= 0) {
-      setSelectedCells(selectedCells.filter((_, k) => k !== idx));
-    } else {
-      setSelectedCells([...selectedCells, { row: i, col: j }]);
-    }
-  };
-  // Export selected cluster
-  const exportSelection = () => {
-    if (!selectedCells.length) return;
-    const selectedGenes = Array.from(new Set(selectedCells.map(c => data.genes[c.row].id)));
-    const rows = data.genes.filter((g, i) => selectedGenes.includes(g.id));
-    const headers = ["Gene ID", "Category", ...data.comparisons.map(name => `Log2FC (${name})`), ...data.comparisons.map(name => `P-value (${name})`)];
-    const outRows = rows.map(gene => {
-      const log2fc = gene.values.map(v => v !== undefined && v !== null ? v : "N/A");
-      const pvals = gene.pValues.map(v => v !== undefined && v !== null ? v : "N/A");
-      const obj = { "Gene ID": gene.id, "Category": gene.category };
-      data.comparisons.forEach((name, i) => {
-        obj[`Log2FC (${name})`] = log2fc[i];
-        obj[`P-value (${name})`] = pvals[i];
-      });
-      return obj;
-    });
-    const worksheet = window.XLSX ? window.XLSX.utils.json_to_sheet(outRows, { header: headers }) : XLSX.utils.json_to_sheet(outRows, { header: headers });
-    const workbook = window.XLSX ? window.XLSX.utils.book_new() : XLSX.utils.book_new();
-    (window.XLSX ? window.XLSX.utils : XLSX.utils).book_append_sheet(workbook, worksheet, "Selection");
-    (window.XLSX ? window.XLSX : XLSX).writeFile(workbook, "selected_cluster.xlsx");
-  };
-
-  // ... rest of the function unchanged ...
-  if (!data) return null;
+  const handleTrackMouseOver = (event, j) => setTooltip({
+    visible: true,
+    x: event.clientX,
+    y: event.clientY,
+    content: (
+      <Box sx={{ fontSize: 13 }}>
+        <b>Sample:</b> {heatmapData.comparisons[j]}
+        {sampleLines(j)}
+      </Box>
+    )
+  });
+  const handleRowTrackMouseOver = (event, gene) => setTooltip({
+    visible: true,
+    x: event.clientX,
+    y: event.clientY,
+    content: (
+      <Box sx={{ fontSize: 13 }}>
+        <b>Gene:</b> {gene.id}
+        {annotationLines(gene)}
+      </Box>
+    )
+  });
 
-  // Compute dynamic column widths, then use the largest for all columns
-  const headerFont = `bold ${fontSizes.header}px Arial`;
-  const cellFont = `${fontSizes.foldChange}px Arial`;
-  const minColWidth = 50;
-  // Calculate individual column widths
-  const colWidthsRaw = data.comparisons.map((comparison, j) => {
-    let maxWidth = measureTextWidth(comparison, headerFont);
-    data.genes.forEach(gene => {
-      const value = gene.values[j];
-      const text = value !== undefined && value !== null ? value.toFixed(1) : "N/A";
-      maxWidth = Math.max(maxWidth, measureTextWidth(text, cellFont));
-    });
-    // Add padding
-    return Math.ceil(Math.max(maxWidth + 18, minColWidth));
+  // Expression matrices have no p-values, so no significance legend
+  const significanceMarkers = heatmapData.valueKind !== 'expression';
+  // Gene name space: every name, or only the highlighted ones when the rest are unlabelled
+  const labelledIds = labelMode === 'all' ? null : [...new Set(heatmapData.genes.map(gene => gene.id))].filter(id => highlightedSet.has(id));
+  // Publication exports can leave out the legend and the category sidebar
+  const showLegend = !exportLayout || exportLayout.legend;
+  const showSidebar = !exportLayout || exportLayout.sidebar;
+  const layout = panelLayout(heatmapData, {
+    fontSizes,
+    colWidths: colWidthsState,
+    labelledIds,
+    multiCategoryMode,
+    legendTexts: significanceMarkers ? significanceLegendEntries.map(entry => entry.text) : [],
+    legendNote: significanceMarkers && log2FCRequirement && `and ${log2FCRequirement}`,
+    panelCount: panels.length,
+    cropped: !!exportLayout,
+    showLegend,
+    showSidebar,
+    annotationTracks: rowTracks,
+    measured: panelMeasurements[p]
   });
+  const { rowsHeight, colWidths, colX, margin } = layout;
+  if (p === 0) rowsOffsetTopRef.current = margin.top;
+  panelLayoutRef.current[p] = { left: margin.left, top: margin.top };
+  // Rows beyond the screen are only skipped when a single panel is shown
+  const panelRowEnd = virtualized ? rowEnd : heatmapData.genes.length;
 
-  // Use state for column widths if available
-  const colWidths = colWidthsState || colWidthsRaw;
+  // --- Drag handlers for reordering ---
+  const groups = heatmapData.categoryGroups;
+  // Blocks can only be moved while each category is one contiguous block
+  // (rows clustered across all genes have no blocks)
+  const blocksDraggable = groups.length > 0 && new Set(groups.map(group => group.category)).size === groups.length;
+  const lastRow = heatmapData.genes.length - 1;
+  const lastCol = heatmapData.comparisons.length - 1;
+  const rowRange = i => ({ rowA: i, rowB: i, colA: 0, colB: lastCol });
+  // Clicks on a gene's name (j null) or one of its cells, for onGeneClick
+  const reportGeneClick = (i, j = null) => {
+    if (!onGeneClick) return;
+    const gene = heatmapData.genes[i];
+    onGeneClick(gene.id, { gene, panel: name, comparison: j === null ? null : heatmapData.comparisons[j] });
+  };
+  const clickGene = (event, i) => {
+    clickSelect(event, p, rowRange(i));
+    reportGeneClick(i);
+  };
+  const blockRange = group => ({ rowA: group.startIndex, rowB: group.endIndex, colA: 0, colB: lastCol });
+  const columnRange = j => ({ rowA: 0, rowB: lastRow, colA: j, colB: j });
 
-// --- Place this effect in the main component, not inside renderHeatmap ---
-// (Move this block to the top-level ClusteredHeatmap body, after state declarations)
+  const handleHeaderMouseDown = (e, j) => startDrag(e, {
+    p,
+    axis: 'x',
+    targetAt: x => {
+      const to = colX.filter((cx, k) => cx + colWidths[k] / 2 < x).length;
+      return { index: to, offset: to < colX.length ? colX[to] : colX[colX.length - 1] + colWidths[colX.length - 1] };
+    },
+    onDrop: to => {
+      setCustomColumnOrder(moveItem(heatmapData.comparisons, j, to));
+      setColumnOrderMode('custom');
+    },
+    onClick: event => (headerClickMode === 'select'
+      ? clickSelect(event, p, columnRange(j))
+      : sortByComparison(heatmapData.comparisons[j]))
+  });
 
-// --- END ---
+  const handleCategoryMouseDown = (e, groupIndex) => startDrag(e, {
+    p,
+    axis: 'y',
+    targetAt: y => {
+      const to = groups.filter(group => (group.startIndex + group.count / 2) * cellHeight < y).length;
+      return { index: to, offset: to < groups.length ? groups[to].startIndex * cellHeight : rowsHeight };
+    },
+    onDrop: to => setCategoryOrder(moveItem(groups.map(group => group.category), groupIndex, to)),
+    onClick: event => clickSelect(event, p, blockRange(groups[groupIndex]))
+  });
 
+  // Moving a gene switches to the manual sort, starting from the order shown
+  const handleGeneMouseDown = (e, i) => {
+    const group = groups.find(g => i >= g.startIndex && i <= g.endIndex);
+    startDrag(e, {
+      p,
+      axis: 'y',
+      targetAt: y => {
+        const r = Math.min(group.endIndex + 1, Math.max(group.startIndex, Math.round(y / cellHeight)));
+        return { index: r - group.startIndex, offset: r * cellHeight };
+      },
+      onDrop: to => {
+        const shownOrder = Object.fromEntries(groups.map(g => [
+          g.category,
+          heatmapData.genes.slice(g.startIndex, g.endIndex + 1).map(gene => gene.id)
+        ]));
+        shownOrder[group.category] = moveItem(shownOrder[group.category], i - group.startIndex, to);
+        setManualGeneOrder({ ...manualGeneOrder, ...shownOrder });
+        setSortSettings({ ...sortSettings, key: 'manual', scope: 'category' });
+        setRowClustering('none');
+      },
+      onClick: event => clickGene(event, i)
+    });
+  };
 
-  // Compute x positions for each column
-  const colX = colWidths.reduce((acc, w, i) => {
-    acc.push(i === 0 ? 0 : acc[i-1] + colWidths[i-1]);
-    return acc;
-  }, []);
+  const handleCellMouseDown = (e, i, j) => startCellSelection(e, {
+    p,
+    row: i,
+    col: j,
+    cellAt: (x, y) => ({
+      row: Math.min(lastRow, Math.max(0, Math.floor(y / cellHeight))),
+      col: Math.min(lastCol, Math.max(0, colX.filter(cx => cx <= x).length - 1))
+    }),
+    onClick: () => reportGeneClick(i, j)
+  });
 
   // --- Column resizing handlers ---
   const handleResizerMouseDown = (e, colIdx) => {
-    resizingCol.current = colIdx;
+    resizingCol.current = heatmapData.comparisons[colIdx];
     startX.current = e.clientX;
     startWidth.current = colWidths[colIdx];
     document.body.style.cursor = 'col-resize';
@@ -524,11 +761,8 @@ const renderHeatmap = () => {
   const handleResizerMouseMove = (e) => {
     if (resizingCol.current === null) return;
     const delta = e.clientX - startX.current;
-    setColWidthsState(prev => {
-      const newWidths = [...prev];
-      newWidths[resizingCol.current] = Math.max(minColWidth, startWidth.current + delta);
-      return newWidths;
-    });
+    const comparison = resizingCol.current;
+    setColWidthsState(prev => ({ ...prev, [comparison]: Math.max(MIN_COLUMN_WIDTH, startWidth.current + delta) }));
   };
 
   const handleResizerMouseUp = () => {
@@ -537,22 +771,118 @@ const renderHeatmap = () => {
     window.removeEventListener('mousemove', handleResizerMouseMove);
     window.removeEventListener('mouseup', handleResizerMouseUp);
   };
-  const totalColsWidth = colWidths.reduce((a, b) => a + b, 0);
-  
-  // Calculate dynamic width based on content and font sizes - using gene name width only
-  const geneNameFont = `${fontSizes.geneName}px Arial`;
-  let maxGeneNameWidth = 100; // Default if no data
-  if (data && data.genes && data.genes.length > 0) {
-    // Find the maximum width of gene names
-    maxGeneNameWidth = Math.max(...data.genes.map(gene => {
-      return measureTextWidth(gene.id, geneNameFont);
+
+return (
+    <div key={`panel-${p}`} style={{ marginBottom: panels.length > 1 ? 24 : 0 }}>
+      {panels.length > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          <Button size="small" onClick={() => downloadAsSVG([p], `gene_heatmap_${safeFileName(name)}.svg`)}>SVG</Button>
+          <Button size="small" onClick={() => downloadAsPNG([p], `gene_heatmap_${safeFileName(name)}.png`)}>PNG</Button>
+        </Box>
+      )}
+      <HeatmapPanelSvg
+        name={name}
+        heatmapData={heatmapData}
+        p={p}
+        layout={layout}
+        rowTracks={rowTracks}
+        fontSizes={fontSizes}
+        labelMode={labelMode}
+        showFoldChange={showFoldChange}
+        colorScale={activeColorScale}
+        colorScaleType={colorScaleType}
+        valueLabel={valueLabel}
+        significanceSettings={significanceSettings}
+        significanceSource={significanceSourceUsed}
+        categoryColors={categoryColors}
+        highlighted={highlightedSet}
+        showLegend={showLegend}
+        showSidebar={showSidebar}
+        rowStart={rowStart}
+        rowEnd={panelRowEnd}
+        fontFamily={FIGURE_FONT}
+        svgRef={el => {
+          svgRefs.current[p] = el;
+          if (p === 0) svgRef.current = el;
+        }}
+        // Publication exports draw the static figure, as the command line does
+        interaction={exportLayout ? null : {
+          headerTitle: comparison => `${headerClickMode === 'select' ? 'Click to select the column' : `Click to sort genes by ${comparison}`}; drag to move the column`,
+          sortIndicator: comparison => (rowClustering === 'none' && sortUsesComparison(sortSettings.key) && sortComparison === comparison
+            ? (sortSettings.direction === 'desc' ? '▼' : '▲')
+            : null),
+          onHeaderMouseDown: handleHeaderMouseDown,
+          onResizerMouseDown: handleResizerMouseDown,
+          onCellMouseDown: handleCellMouseDown,
+          onCellMouseOver: handleMouseOver,
+          onSampleTrackMouseOver: handleTrackMouseOver,
+          onRowTrackMouseOver: handleRowTrackMouseOver,
+          onMouseOut: handleMouseOut,
+          blocksDraggable,
+          onCategoryMouseDown: handleCategoryMouseDown,
+          onCategoryClick: (e, group) => clickSelect(e, p, blockRange(group)),
+          onGeneMouseDown: handleGeneMouseDown,
+          onGeneClick: clickGene,
+          isSelected: (i, j) => selectedCellKeys.has(`${p}:${i}:${j}`),
+          selectionBox,
+          dropIndicator
+        }}
+      />
+    </div>
+  );
+};
+
+const renderHeatmap = () => {
+  if (!heatmapData) return null;
+  const selectionByPanel = selectionByPanelOf(selectedCells);
+  const selectedGeneIds = geneIdsOf(selectionByPanel);
+
+  // Export the selected cells, one worksheet per panel with selected cells
+  const exportSelection = () => {
+    if (!selectedCells.length) return;
+    const workbook = exportWorkbook(selectionByPanel.map(({ panel, subset }) => ({
+      sheetName: panels.length > 1 ? panel.name : "Selection",
+      genes: subset.genes,
+      comparisons: subset.comparisons,
+      valueKind: panel.heatmapData.valueKind
+    })), correctionLabel, valueLabel);
+    saveWorkbook(workbook, "selected_cluster.xlsx");
+  };
+
+  const copySelectedGeneIds = async () => {
+    const text = selectedGeneIds.join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      // Clipboard API unavailable (e.g. not a secure context): fall back to a hidden textarea
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      document.body.appendChild(textarea);
+      textarea.select();
+      document.execCommand('copy');
+      document.body.removeChild(textarea);
+    }
+    setSelectionMessage(`Copied ${selectedGeneIds.length} gene IDs`);
+  };
+
+  // Hiding and isolating go through the filters, so they can be undone there
+  const hideSelectedGenes = () => {
+    setFilters({ ...filters, hiddenGenes: [...new Set([...filters.hiddenGenes, ...selectedGeneIds])] });
+  };
+  const isolateSelectedGenes = () => {
+    setFilters({ ...filters, isolatedGenes: selectedGeneIds });
+  };
+
+  // The selection becomes a new dataset, shown on its own
+  const openSelectionAsHeatmap = () => {
+    const imports = selectionByPanel.map(({ panel, cells }) => ({
+      ...selectionToImport(panel.heatmapData, cells, { delimiter: categoryDelimiter }),
+      fileName: panel.name
     }));
-  }
-  
-  const dynamicMargin = { ...margin, left: Math.max(100, maxGeneNameWidth + 30) };
-  
-  const width = dynamicMargin.left + totalColsWidth + dynamicMargin.right;
-  const height = dynamicMargin.top + (cellHeight * data.genes.length) + dynamicMargin.bottom + 40;
+    const count = datasets.filter(dataset => /^Selection \d+$/.test(dataset.sheetName || '')).length;
+    setDatasets([...datasets, { sheetName: `Selection ${count + 1}`, imports }]);
+    setActiveDataset(datasets.length);
+  };
 
 return (
 <div style={{ width: '100%', overflowX: 'auto', paddingTop: '20px' }} ref={exportContainerRef}>
@@ -576,7 +906,7 @@ max={20}
 </Grid>
 <Grid item xs={12} sm={6} md={4}>
 <Typography id="fold-change-slider" gutterBottom sx={{ fontSize: '0.875rem' }}>
-Fold Change Size: {fontSizes.foldChange}px
+{expressionData ? 'Cell Value' : 'Fold Change'} Size: {fontSizes.foldChange}px
 </Typography>
 <Slider
 value={fontSizes.foldChange}
@@ -621,6 +951,112 @@ max={20}
 </Grid>
 <Grid item xs={12} sm={6} md={4}>
 <FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="category-delimiter-label">Category Delimiter</InputLabel>
+<Select
+labelId="category-delimiter-label"
+value={categoryDelimiter}
+onChange={e => setCategoryDelimiter(e.target.value)}
+label="Category Delimiter"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(CATEGORY_DELIMITERS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined" disabled={categoryDelimiter === 'none'}>
+<InputLabel id="multi-category-label">Multi-Category Genes</InputLabel>
+<Select
+labelId="multi-category-label"
+value={multiCategoryMode}
+onChange={e => setMultiCategoryMode(e.target.value)}
+label="Multi-Category Genes"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(MULTI_CATEGORY_MODES).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+{globalRowOrder && multiCategoryMode === 'repeat' && (
+<Typography variant="caption" color="text.secondary">
+{rowClustering === 'all' ? 'Clustered' : 'Sorted'} across all genes, each gene is shown once, under its first category
+</Typography>
+)}
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="render-mode-label">Rendering</InputLabel>
+<Select
+labelId="render-mode-label"
+value={renderMode}
+onChange={e => setRenderMode(e.target.value)}
+label="Rendering"
+sx={{ minWidth: 200 }}
+>
+<MenuItem value="auto">Automatic</MenuItem>
+<MenuItem value="full">All rows</MenuItem>
+<MenuItem value="virtual">Visible rows only (large matrices)</MenuItem>
+</Select>
+</FormControl>
+{virtualized && (
+<Typography variant="caption" color="text.secondary">
+Rendering rows {rowStart + 1}–{rowEnd} of {rowCount} as you scroll; downloads include every row
+</Typography>
+)}
+</Grid>
+{expressionData && (
+<Grid item xs={12} sm={6} md={4}>
+<FormControlLabel
+control={<Checkbox size="small" checked={expressionTransform.log2} onChange={e => setExpressionTransform({ ...expressionTransform, log2: e.target.checked })} />}
+label={<Typography sx={{ fontSize: '0.875rem' }}>log₂(x+1) expression values</Typography>}
+/>
+<FormControl fullWidth size="small" variant="outlined" sx={{ mt: 1 }}>
+<InputLabel id="row-scaling-label">Row Scaling</InputLabel>
+<Select
+labelId="row-scaling-label"
+value={expressionTransform.scaling}
+onChange={e => setExpressionTransform({ ...expressionTransform, scaling: e.target.value })}
+label="Row Scaling"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(ROW_SCALINGS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+)}
+{annotationColumnNames.length > 0 && (
+<Grid item xs={12} sm={6} md={4}>
+<Autocomplete
+multiple
+size="small"
+options={annotationColumnNames}
+value={shownAnnotationTracks.filter(name => annotationColumnNames.includes(name))}
+onChange={(event, value) => setShownAnnotationTracks(value)}
+renderInput={params => <TextField {...params} label="Annotation Tracks" placeholder="Extra columns, e.g. baseMean" />}
+/>
+<FormControl fullWidth size="small" variant="outlined" sx={{ mt: 1 }}>
+<InputLabel id="numeric-track-style-label">Numeric Tracks</InputLabel>
+<Select
+labelId="numeric-track-style-label"
+value={numericTrackStyle}
+onChange={e => setNumericTrackStyle(e.target.value)}
+label="Numeric Tracks"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(NUMERIC_TRACK_STYLES).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+)}
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
 <InputLabel id="color-scale-label">Color Scale</InputLabel>
 <Select
 labelId="color-scale-label"
@@ -635,19 +1071,237 @@ sx={{ minWidth: 200 }}
 </Select>
 </FormControl>
 </Grid>
-<Grid item xs={12} sm={6} md={4} display="flex" alignItems="center">
-<Button 
-variant="contained" 
-onClick={exportSelection} 
-disabled={!selectedCells.length}
-size="small"
-sx={{ mr: 2 }}
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="row-clustering-label">Gene Clustering</InputLabel>
+<Select
+labelId="row-clustering-label"
+value={rowClustering}
+onChange={e => setRowClustering(e.target.value)}
+label="Gene Clustering"
+sx={{ minWidth: 200 }}
 >
-Export Selection
-</Button>
-<Typography variant="body2" color="text.secondary">
-{selectedCells.length} selected
+<MenuItem value="none">None (use the sort order)</MenuItem>
+<MenuItem value="category">Within each category</MenuItem>
+<MenuItem value="all">Across all genes</MenuItem>
+</Select>
+</FormControl>
+{clusteringSkipped && (
+<Typography variant="caption" color="warning.main">
+Blocks of more than {MAX_CLUSTER_SIZE} genes are too large to cluster and keep the sort order; filter the genes or cluster within each category
+</Typography>
+)}
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering !== 'none'}>
+<InputLabel id="sort-key-label">Sort Genes By</InputLabel>
+<Select
+labelId="sort-key-label"
+value={sortSettings.key}
+onChange={e => setSortSettings({ ...sortSettings, key: e.target.value })}
+label="Sort Genes By"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(SORT_KEYS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering !== 'none' || !sortUsesComparison(sortSettings.key)}>
+<InputLabel id="sort-comparison-label">Sort Comparison</InputLabel>
+<Select
+labelId="sort-comparison-label"
+value={sortComparison}
+onChange={e => setSortSettings({ ...sortSettings, comparison: e.target.value })}
+label="Sort Comparison"
+sx={{ minWidth: 200 }}
+>
+{heatmapData.comparisons.map(name => (
+<MenuItem key={name} value={name}>{name}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={6} sm={3} md={2}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering !== 'none'}>
+<InputLabel id="sort-direction-label">Direction</InputLabel>
+<Select
+labelId="sort-direction-label"
+value={sortSettings.direction}
+onChange={e => setSortSettings({ ...sortSettings, direction: e.target.value })}
+label="Direction"
+>
+<MenuItem value="asc">Ascending</MenuItem>
+<MenuItem value="desc">Descending</MenuItem>
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={6} sm={3} md={2}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering !== 'none'}>
+<InputLabel id="sort-scope-label">Sort Scope</InputLabel>
+<Select
+labelId="sort-scope-label"
+value={sortSettings.scope}
+onChange={e => setSortSettings({ ...sortSettings, scope: e.target.value })}
+label="Sort Scope"
+>
+{Object.entries(SORT_SCOPES).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={6} sm={3} md={2}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="header-click-label">Header Clicks</InputLabel>
+<Select
+labelId="header-click-label"
+value={headerClickMode}
+onChange={e => setHeaderClickMode(e.target.value)}
+label="Header Clicks"
+>
+<MenuItem value="sort">Sort by the column</MenuItem>
+<MenuItem value="select">Select the column</MenuItem>
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} display="flex" alignItems="center">
+<Typography variant="body2" color="text.secondary" sx={{ mr: 2 }}>
+Drag comparison headers, category boxes or gene names to reorder them.
 </Typography>
+<Button size="small" onClick={resetCustomOrder} disabled={!hasCustomOrder}>
+Reset custom order
+</Button>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="column-order-label">Comparison Order</InputLabel>
+<Select
+labelId="column-order-label"
+value={columnOrderMode}
+onChange={e => setColumnOrderMode(e.target.value)}
+label="Comparison Order"
+sx={{ minWidth: 200 }}
+>
+<MenuItem value="file">File order</MenuItem>
+<MenuItem value="clustered">Clustered</MenuItem>
+<MenuItem value="custom">Custom (drag headers)</MenuItem>
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="significance-source-label">Significance Markers</InputLabel>
+<Select
+labelId="significance-source-label"
+value={significanceSourceUsed}
+onChange={e => setSignificanceSource(e.target.value)}
+label="Significance Markers"
+sx={{ minWidth: 200 }}
+>
+<MenuItem value="pValue">Raw p-value</MenuItem>
+<MenuItem value="adjPValue" disabled={!hasAdjPValues}>Adjusted p-value / FDR (file)</MenuItem>
+<MenuItem value="corrected" disabled={pAdjustMethod === 'none'}>Corrected in app ({P_ADJUST_METHODS[pAdjustMethod]})</MenuItem>
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined">
+<InputLabel id="p-adjust-label">Multiple-Testing Correction</InputLabel>
+<Select
+labelId="p-adjust-label"
+value={pAdjustMethod}
+onChange={e => {
+  setPAdjustMethod(e.target.value);
+  setSignificanceSource(e.target.value === 'none' ? 'pValue' : 'corrected');
+}}
+label="Multiple-Testing Correction"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(P_ADJUST_METHODS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering === 'none' && columnOrderMode === 'file'}>
+<InputLabel id="distance-metric-label">Distance</InputLabel>
+<Select
+labelId="distance-metric-label"
+value={distanceMetric}
+onChange={e => setDistanceMetric(e.target.value)}
+label="Distance"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(DISTANCE_METRICS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12} sm={6} md={4}>
+<FormControl fullWidth size="small" variant="outlined" disabled={rowClustering === 'none' && columnOrderMode === 'file'}>
+<InputLabel id="linkage-method-label">Linkage</InputLabel>
+<Select
+labelId="linkage-method-label"
+value={linkageMethod}
+onChange={e => setLinkageMethod(e.target.value)}
+label="Linkage"
+sx={{ minWidth: 200 }}
+>
+{Object.entries(LINKAGE_METHODS).map(([value, label]) => (
+<MenuItem key={value} value={value}>{label}</MenuItem>
+))}
+</Select>
+</FormControl>
+</Grid>
+<Grid item xs={12}>
+<SelectionToolbar
+cellCount={selectedCells.length}
+geneCount={selectedGeneIds.length}
+message={selectionMessage}
+onExport={exportSelection}
+onCopy={copySelectedGeneIds}
+onHide={hideSelectedGenes}
+onIsolate={isolateSelectedGenes}
+onNewHeatmap={openSelectionAsHeatmap}
+onClear={() => setSelectedCells([])}
+/>
+</Grid>
+<Grid item xs={12}>
+<CategoryColorLegend
+categories={allCategories}
+colors={categoryColors}
+overrides={categoryColorOverrides}
+onChange={handleCategoryColorChange}
+/>
+</Grid>
+<Grid item xs={12}>
+<ColorScaleSettingsPanel
+settings={colorSettings}
+onChange={setColorSettings}
+disabled={colorScaleType === 'quantile'}
+/>
+</Grid>
+<Grid item xs={12}>
+<SignificanceSettingsPanel
+settings={significanceSettings}
+onChange={setSignificanceSettings}
+pLabel={significanceLabel}
+/>
+</Grid>
+<Grid item xs={12}>
+<FilterPanel
+filters={filters}
+onChange={setFilters}
+categories={allCategories}
+hiddenCount={hiddenGeneCount}
+totalCount={hiddenGeneCount + panels.reduce((sum, panel) => sum + panel.heatmapData.shownGeneCount, 0)}
+pLabel={significanceLabel}
+/>
 </Grid>
 </Grid>
 </Box>
@@ -690,374 +1344,76 @@ borderRadius: 8, padding: '14px 20px', boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
           <b>Quantile:</b> Divides data into equal-sized groups. Highlights rankings, not absolute differences.
         </div>
       </div>
-      <svg width={width} height={height} ref={svgRef}>
-        <g className="heatmap-zoomable" transform={`translate(${margin.left}, ${margin.top})`}>
-          {/* Column Headers (Comparisons) */}
-          {data.comparisons.map((comparison, j) => {
-            // Word wrap header text to fit colWidths[j]
-            const wrapHeaderText = (text, maxWidth, font) => {
-              const words = text.split(' ');
-              const lines = [];
-              let line = '';
-              words.forEach(word => {
-                const testLine = line ? line + ' ' + word : word;
-                if (measureTextWidth(testLine, font) > maxWidth - 8 && line) {
-                  lines.push(line);
-                  line = word;
-                } else {
-                  line = testLine;
-                }
-              });
-              if (line) lines.push(line);
-              return lines;
-            };
-            const headerFont = `bold ${fontSizes.header}px Arial`;
-            const headerLines = wrapHeaderText(comparison, colWidths[j], headerFont);
-            return (
-              <g key={`col-${j}`} transform={`translate(${colX[j]}, 0)`}>
-                <text
-                  x={colWidths[j] / 2}
-                  y={-20 - (headerLines.length - 1) * fontSizes.header / 2}
-                  textAnchor="middle"
-                  fontWeight="bold"
-                  fontSize={`${fontSizes.header}px`}
-                  style={{ userSelect: 'none' }}
-                >
-                  {headerLines.map((line, idx) => (
-                    <tspan key={idx} x={colWidths[j] / 2} dy={idx === 0 ? 0 : fontSizes.header}>
-                      {line}
-                    </tspan>
-                  ))}
-                </text>
-                {/* Resizer handle */}
-                <rect
-                  x={colWidths[j] - 6}
-                  y={-35}
-                  width={8}
-                  height={cellHeight * data.genes.length + 40}
-                  fill="transparent"
-                  style={{ cursor: 'col-resize' }}
-                  onMouseDown={e => handleResizerMouseDown(e, j)}
-                />
-                <rect
-                  x={colWidths[j] - 3}
-                  y={-35}
-                  width={2}
-                  height={cellHeight * data.genes.length + 40}
-                  fill="#b0b0b0"
-                  pointerEvents="none"
-                />
-              </g>
-            );
-          })}
-
-          {/* Legend - moved up slightly */}
-          <g transform={`translate(0, ${-75})`}>
-            <text x={0} y={0} fontWeight="bold" fontSize="13px">Legend:</text>
-            {/* Color legend */}
-            <g transform="translate(70, 0)">
-              {[-3, -2, -1, 0, 1, 2, 3].map((value, i) => (
-                <g key={`legend-${i}`} transform={`translate(${i * 35}, 0)`}>
-                  <rect
-                    width={30}
-                    height={15}
-                    fill={value < 0 ? d3.interpolateBlues(Math.abs(value)/3) : 
-                          value > 0 ? d3.interpolateReds(Math.abs(value)/3) : "#f9f9f9"}
-                    stroke="#ccc"
-                    strokeWidth="0.5"
-                  />
-                  <text
-                    x={15}
-                    y={30}
-                    textAnchor="middle"
-                    fontSize="10px"
-                  >
-                    {value}
-                  </text>
-                </g>
-              ))}
-              <text x={120} y={-5} fontSize="11px">Log₂ Fold Change</text>
-            </g>
-            {/* Significance legend */}
-            <g transform="translate(350, 0)">
-              <text x={0} y={0} fontSize="11px">p-value:</text>
-              <circle cx={60} cy={-4} r={5} fill="black" opacity={0.8} />
-              <text x={70} y={0} fontSize="11px">p &lt; 0.01</text>
-              <circle cx={130} cy={-4} r={3} fill="black" opacity={0.8} />
-              <text x={140} y={0} fontSize="11px">p &lt; 0.05</text>
-            </g>
-          </g>
-          {/* Category labels are now rendered inside the renderHeatmap function */}
-          {/* Vertical category labels along gene names */}
-          {data.categories && data.categories.map((category, categoryIndex) => {
-            // Find the first gene with this category
-            const firstGeneIndex = data.genes.findIndex(gene => gene.category === category);
-            if (firstGeneIndex === -1) return null; // Skip if no genes in this category
-            
-            // Count genes in this category
-            const genesInCategory = data.genes.filter(gene => gene.category === category).length;
-            
-            // Calculate the position and dimensions of this category group
-            const yStart = firstGeneIndex * cellHeight;
-            const categoryHeight = genesInCategory * cellHeight;
-            
-            // Get background color for this category
-            const categoryColor = getCategoryColor(category);
-            
-            return (
-              <g key={`cat-label-${categoryIndex}`}>
-                {/* Vertical category box aligned with first and last gene */}
-                {/* Function to render vertical category box and label */}
-                {(() => {
-                  // --- CATEGORY LABELS: Dynamic width, left expansion, wrapping ---
-                  // 1. Compute max width needed for any label (with wrapping if needed)
-                  const allCategoryLabels = data.categories.map(cat => `${cat} (${data.genes.filter(g => g.category === cat).length})`);
-                  const catFont = `bold ${fontSizes.categoryName}px Arial`;
-                  const maxGeneNameWidth = data.genes.length > 0 ? Math.max(...data.genes.map(gene => measureTextWidth(gene.id, geneNameFont))) : 100;
-
-                  // Helper: wrap vertical text to fit in a given width (for rotated text)
-                  function wrapVerticalText(text, maxWidth, font) {
-                    const words = text.split(' ');
-                    const lines = [];
-                    let line = '';
-                    words.forEach(word => {
-                      const testLine = line ? line + ' ' + word : word;
-                      if (measureTextWidth(testLine, font) > maxWidth - 8 && line) {
-                        lines.push(line);
-                        line = word;
-                      } else {
-                        line = testLine;
-                      }
-                    });
-                    if (line) lines.push(line);
-                    return lines;
-                  }
-
-                  // Calculate width needed for each category label
-                  let maxLabelWidth = 0;
-                  const wrappedCategoryLabels = allCategoryLabels.map(label => {
-                    // Measure the text width
-                    let width = measureTextWidth(label, catFont);
-                    let lines = [label];
-                    let boxWidth = width; // No padding
-                    
-                    // Only wrap if text is too long
-                    if (width > 80) {
-                      // Try wrapping with smaller max width
-                      lines = wrapVerticalText(label, 80, catFont);
-                      boxWidth = 80;
-                    }
-                    
-                    // Track the maximum width needed
-                    if (boxWidth > maxLabelWidth) {
-                      maxLabelWidth = boxWidth;
-                    }
-                    
-                    return { label, lines, boxWidth };
-                  });
-                  
-                  // Use the same width for all category boxes
-                  const categoryBoxWidth = maxLabelWidth;
-
-                  // The right edge of the box is always aligned to the left of gene names
-                  const categoryBoxRightEdge = -(maxGeneNameWidth + 20);
-                  const xPosition = categoryBoxRightEdge - categoryBoxWidth;
-
-                  // For each category, use the same box width and wrapping
-                  return (
-                    <>
-                      {/* Vertical background box aligned with first and last gene, expands left */}
-                      <rect
-                        x={xPosition}
-                        y={yStart}
-                        width={categoryBoxWidth}
-                        height={categoryHeight}
-                        fill={categoryColor}
-                        stroke="#888"
-                        strokeWidth="1"
-                        rx={3}
-                      />
-                      {/* Rotated and wrapped category text, centered in the box */}
-                      <g transform={`translate(${xPosition + categoryBoxWidth/2}, ${yStart + categoryHeight/2}) rotate(-90)`}>
-                        {wrappedCategoryLabels[categoryIndex].lines.map((line, idx) => (
-                          <text
-                            key={idx}
-                            y={(idx - (wrappedCategoryLabels[categoryIndex].lines.length - 1) / 2) * fontSizes.categoryName * 1.1}
-                            textAnchor="middle"
-                            dominantBaseline="middle"
-                            fontWeight="bold"
-                            fontSize={`${fontSizes.categoryName}px`}
-                            fill="#333"
-                          >
-                            {line}
-                          </text>
-                        ))}
-                      </g>
-                    </>
-                  );
-                })()}
-                
-                {/* Add a subtle background for the entire category group */}
-                <rect
-                  x={0}
-                  y={yStart}
-                  width={totalColsWidth}
-                  height={categoryHeight}
-                  fill={categoryColor}
-                  fillOpacity="0.1"
-                  stroke="none"
-                />
-              </g>
-            );
-          })}
-          
-          {/* Gene cells */}
-          {data.genes.map((gene, i) => (
-            <g key={`row-${i}`} transform={`translate(0, ${i * cellHeight})`}>
-              {/* Gene names */}
-              <text
-                x={-15}
-                y={cellHeight / 2 + 5}
-                textAnchor="end"
-                fontSize={`${fontSizes.geneName}px`}
-              >
-                {gene.id}
-              </text>
-              {/* Gene expression cells */}
-              {gene.values.map((value, j) => {
-                const pValue = gene.pValues[j];
-                const isSignificant = pValue < 0.05;
-                const isMarginal = pValue >= 0.05 && pValue < 0.1;
-                const circleRadius = isSignificant ? getSizeForPValue(pValue) : (isMarginal ? 2 : 0);
-                return (
-                  <g key={`cell-${i}-${j}`} transform={`translate(${colX[j]}, 0)`}>
-                    <rect
-                      width={colWidths[j] - 1}
-                      height={cellHeight - 1}
-                      fill={colorScale(value)}
-                      stroke={selectedCells.some(c => c.row === i && c.col === j) ? "#ff9800" : "#fff"}
-                      strokeWidth={selectedCells.some(c => c.row === i && c.col === j) ? 3 : 1}
-                      style={{cursor:'pointer'}}
-                      onClick={() => handleCellClick(i, j)}
-                      onMouseOver={e => handleMouseOver(e, gene, j, i)}
-                      onMouseOut={handleMouseOut}
-                    />
-                    {showFoldChange && (
-                      <text
-                        x={colWidths[j] / 2}
-                        y={cellHeight / 2 + 4}
-                        textAnchor="middle"
-                        fontSize={`${fontSizes.foldChange}px`}
-                        fontWeight={isSignificant ? "bold" : "normal"}
-                        fill={Math.abs(value) > 1.5 ? "white" : "black"}
-                      >
-                        {value !== undefined && value !== null ? value.toFixed(1) : "N/A"}
-                      </text>
-                    )}
-                    {(isSignificant || isMarginal) && (
-                      <circle
-                        cx={colWidths[j] - 15}
-                        cy={cellHeight / 2}
-                        r={circleRadius}
-                        fill={isSignificant ? "black" : "#888"}
-                        opacity={0.8}
-                      />
-                    )}
-                  </g>
-                );
-              })}
-            </g>
-          ))}
-        </g>
-      </svg>
-    </div>
-  );
-}
+<Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, mb: 2 }}>
+<Box sx={{ flex: 1 }}>
+<GeneSearch
+geneIds={allGeneIds}
+highlighted={highlightedGenes}
+onChange={setHighlightedGenes}
+onJump={jumpToGene}
+/>
+</Box>
+<FormControl size="small" variant="outlined" sx={{ minWidth: 220 }}>
+<InputLabel id="label-mode-label">Gene Labels</InputLabel>
+<Select
+labelId="label-mode-label"
+value={labelMode}
+onChange={e => setLabelMode(e.target.value)}
+label="Gene Labels"
+>
+<MenuItem value="all">Label every gene</MenuItem>
+<MenuItem value="highlighted">Label highlighted genes only</MenuItem>
+</Select>
+</FormControl>
+</Box>
+{panels.map(renderPanel)}
+</div>
+);
+};
 
   // Download all processed data as XLSX
+  // (one worksheet per panel when several sheets are shown)
   const downloadProcessedData = () => {
-    if (!data) return;
-    const headers = [
-      "Gene ID",
-      "Category",
-      ...data.comparisons.map(name => `Log2FC (${name})`),
-      ...data.comparisons.map(name => `P-value (${name})`)
-    ];
-    const outRows = data.genes.map(gene => {
-      const log2fc = gene.values.map(v => v !== undefined && v !== null ? v : "N/A");
-      const pvals = gene.pValues.map(v => v !== undefined && v !== null ? v : "N/A");
-      const obj = {
-        "Gene ID": gene.id,
-        "Category": gene.category
-      };
-      data.comparisons.forEach((name, i) => {
-        obj[`Log2FC (${name})`] = log2fc[i];
-        obj[`P-value (${name})`] = pvals[i];
-      });
-      return obj;
-    });
-    const worksheet = window.XLSX ? window.XLSX.utils.json_to_sheet(outRows, { header: headers }) : XLSX.utils.json_to_sheet(outRows, { header: headers });
-    const workbook = window.XLSX ? window.XLSX.utils.book_new() : XLSX.utils.book_new();
-    (window.XLSX ? window.XLSX.utils : XLSX.utils).book_append_sheet(workbook, worksheet, "Processed Data");
-    (window.XLSX ? window.XLSX : XLSX).writeFile(workbook, "processed_gene_data.xlsx");
+    if (!heatmapData) return;
+    saveWorkbook(processedDataWorkbook(panels, correctionLabel, valueLabel), "processed_gene_data.xlsx");
   };
 
-  return (
-    <Box sx={{ maxWidth: 1100, mx: 'auto', mt: 6, mb: 6, p: 2 }}>
-    <Card elevation={3} sx={{ p: 4, borderRadius: 3 }}>
-      {/* Upload and Instructions Section */}
-      <Box mb={3}>
-        <Typography variant="h4" fontWeight={700} gutterBottom>
-          Clustered Heatmap of Gene Expression
-        </Typography>
-        <Typography variant="body1" color="text.secondary" gutterBottom>
-          Upload an Excel file containing gene expression data to visualize the clustered heatmap.
-        </Typography>
-        <Box component="ul" sx={{ fontSize: 13, color: 'text.secondary', pl: 3, mb: 1 }}>
-          <li><b>Gene ID</b> — Unique gene identifier</li>
-          <li><b>Log2FC (Condition Name)</b> — Log2 fold change for each comparison. The column header should be in the format <code>Log2FC (Comparison Name)</code> (e.g., <code>Log2FC (Control vs KD)</code>)</li>
-          <li><b>P value (Condition Name)</b> — P-value for each comparison. The column header should be in the format <code>P value (Comparison Name)</code> (e.g., <code>P value (Control vs KD)</code>)</li>
-          <li><b>All Gene Ontology Category</b> — Category or pathway for each gene (e.g., "Triglyceride Metabolism")</li>
-        </Box>
-        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 1 }}>
-          <b>Example of required column headers:</b><br />
-          <code>Gene ID</code>, <code>All Gene Ontology Category</code>, <code>Log2FC (Control vs KD)</code>, <code>P value (Control vs KD)</code>, <code>Log2FC (KD vs Rescue)</code>, <code>P value (KD vs Rescue)</code>, ...
-        </Typography>
-        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
-          You may include additional columns if you wish. The app will automatically detect all comparisons and p-value columns based on their headers.
-        </Typography>
-        <Button
-          variant="outlined"
-          component="label"
-          sx={{ mb: 1 }}
-        >
-          Upload Excel File
-          <input
-            type="file"
-            accept=".xlsx, .xls"
-            hidden
-            onChange={handleFileUpload}
-          />
-        </Button>
-        {file && (
-          <Typography sx={{ mt: 1, fontSize: 13, color: 'primary.main' }}>
-            Using file: {file.name}
-          </Typography>
-        )}
-      </Box>
+  if (!data) return null;
 
-      {/* Loading State */}
-      {loading && (
-        <Box py={6} textAlign="center">
-          <Typography variant="body1" color="text.secondary">
-            Loading gene expression data...
-          </Typography>
-        </Box>
+  return (
+    <Box>
+      {/* Sheet choice and how the files of a dataset are joined */}
+      {datasets.length > 1 && (
+        <FormControl size="small" variant="outlined" sx={{ mb: 2, minWidth: 280 }}>
+          <InputLabel id="sheet-label">Sheet</InputLabel>
+          <Select
+            labelId="sheet-label"
+            value={activeDataset}
+            onChange={e => setActiveDataset(e.target.value)}
+            label="Sheet"
+          >
+            {mergedDatasets.map((dataset, k) => (
+              <MenuItem key={k} value={k}>{dataset.name} ({dataset.data.genes.length} genes)</MenuItem>
+            ))}
+            <MenuItem value="panels">All sheets (one panel each)</MenuItem>
+          </Select>
+        </FormControl>
       )}
+      <Box sx={{ mb: 3 }}>
+        <MergeSettingsPanel
+          settings={mergeSettings}
+          onChange={setMergeSettings}
+          merged={shownDatasets.some(dataset => dataset.fileCount > 1)}
+          categoryConflicts={shownDatasets.reduce((sum, dataset) => sum + dataset.categoryConflicts, 0)}
+          comparisons={[...new Set(shownDatasets.flatMap(dataset => dataset.mergedComparisons))]}
+          renames={comparisonRenames}
+          onRename={(name, renamed) => setComparisonRenames(prev => ({ ...prev, [name]: renamed }))}
+        />
+      </Box>
 
-      {/* Error State */}
+      {/* Export errors */}
       {error && (
-        <Box sx={{ background: '#ffebee', color: '#c62828', p: 2, borderRadius: 2 }}>
+        <Box sx={{ background: '#ffebee', color: '#c62828', p: 2, borderRadius: 2, mb: 2 }}>
           {error}
         </Box>
       )}
@@ -1070,36 +1426,37 @@ borderRadius: 8, padding: '14px 20px', boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
           onClick={() => setShowFoldChange(v => !v)}
           sx={{ minWidth: 160 }}
         >
-          {showFoldChange ? 'Hide Fold Change Values' : 'Show Fold Change Values'}
+          {showFoldChange ? 'Hide' : 'Show'} {expressionData ? 'Cell Values' : 'Fold Change Values'}
         </Button>
       </Box>
 
       {/* Main Content: Heatmap, Buttons, Legend */}
-      {data && (
-        <>
-          {renderHeatmap()}
-          <Grid container spacing={2} justifyContent="center" sx={{ mt: 2 }}>
-            <Grid item>
-              <Button variant="contained" color="primary" onClick={downloadAsSVG}>
-                Download as SVG
-              </Button>
-            </Grid>
-            <Grid item>
-              <Button variant="contained" color="success" onClick={downloadAsPNG}>
-                Download as PNG
-              </Button>
-            </Grid>
-            <Grid item>
-              <Button variant="contained" color="warning" onClick={downloadProcessedData}>
-                Download Processed Data (XLSX)
-              </Button>
-            </Grid>
-          </Grid>
+      {renderHeatmap()}
+      <Grid container spacing={2} justifyContent="center" sx={{ mt: 2 }}>
+        <Grid item>
+          <Button variant="contained" color="primary" onClick={() => downloadAsSVG()}>
+            Download as SVG
+          </Button>
+        </Grid>
+        <Grid item>
+          <Button variant="contained" color="success" onClick={() => downloadAsPNG()}>
+            Download as PNG
+          </Button>
+        </Grid>
+        <Grid item>
+          <Button variant="contained" color="secondary" onClick={() => setExportDialogOpen(true)}>
+            Publication Export (PDF, TIFF…)
+          </Button>
+        </Grid>
+        <Grid item>
+          <Button variant="contained" color="warning" onClick={downloadProcessedData}>
+            Download Processed Data (XLSX)
+          </Button>
+        </Grid>
+      </Grid>
 
-          {/* Spacer for sticky legend */}
-          <Box sx={{ height: 140 }} />
-        </>
-      )}
+      {/* Spacer for sticky legend */}
+      <Box sx={{ height: 140 }} />
     {/* Sticky Legend: Always visible at the bottom */}
     <Paper elevation={3} sx={{
       position: 'sticky',
@@ -1117,18 +1474,73 @@ borderRadius: 8, padding: '14px 20px', boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
         Visualization Legend:
       </Typography>
       <Box component="ul" sx={{ fontSize: 14, color: 'text.secondary', pl: 3, mb: 0 }}>
-        <li>Genes are grouped by biological process and sorted from lowest to highest log₂FC in the Control vs KD comparison</li>
-        <li>Red indicates upregulation (positive log₂FC), blue indicates downregulation (negative log₂FC)</li>
-        <li>Color intensity corresponds to the magnitude of change</li>
-        <li>Black circles indicate statistical significance (p &lt; 0.05), with size proportional to significance level</li>
-        <li>Larger circles (p &lt; 0.01) indicate higher statistical significance</li>
+        <li>
+          {rowClustering !== 'none'
+            ? (rowClustering === 'category'
+              ? 'Genes are grouped by biological process and ordered by hierarchical clustering'
+              : 'Genes are ordered by hierarchical clustering across all genes, without category blocks; each gene is shown once')
+            : `Genes are ${sortSettings.scope === 'global' ? '' : 'grouped by biological process and '}${describeSort(sortSettings, data.comparisons)}${sortSettings.scope === 'global' ? ' across all categories' : ''}`}
+        </li>
+        {heatmapData.genes.some(gene => gene.categories.length > 1) && (
+          <li>
+            {multiCategoryMode === 'repeat' && !globalRowOrder
+              ? 'Genes annotated with several categories appear once in each of their category blocks'
+              : 'Genes annotated with several categories are shown under the first category listed'}
+            {multiCategoryMode === 'matrix' ? '; the matrix beside the gene names marks every category each gene belongs to' : ''}
+          </li>
+        )}
+        {labelMode === 'highlighted' && (
+          <li>Only highlighted genes are labelled; the other rows are drawn without names</li>
+        )}
+        {clusteringSkipped && (
+          <li>Blocks of more than {MAX_CLUSTER_SIZE} genes are too large to cluster and keep the sort order</li>
+        )}
+        {hiddenGeneCount > 0 && (
+          <li>{hiddenGeneCount} gene{hiddenGeneCount === 1 ? ' is' : 's are'} hidden by the filters; category counts and downloads include only the genes shown</li>
+        )}
+        {panels.some(panel => panel.heatmapData.genes.some(gene => gene.values.some(value => value === null))) && (
+          <li>Blank N/A cells mark {expressionData ? 'samples' : 'comparisons'} without a value for the gene, e.g. genes missing from one of the merged files</li>
+        )}
+        {/* Expression matrices show valueLabel (e.g. row z-scores), not fold changes */}
+        {colorSettings.palette === 'classic' ? (
+          <li>
+            {expressionData
+              ? `Red marks high values, blue low values (${valueLabel})`
+              : 'Red indicates upregulation (positive log₂FC), blue indicates downregulation (negative log₂FC)'}
+          </li>
+        ) : (
+          <li>
+            Colours follow the {PALETTES[colorSettings.palette].label} palette, {expressionData
+              ? `from low (left of the colour bar) to high values (${valueLabel})`
+              : 'from negative (left of the colour bar) to positive log₂FC'}
+          </li>
+        )}
+        <li>
+          Color intensity corresponds to {expressionData ? 'the distance from the centre of the scale' : 'the magnitude of change'}
+          {colorScaleType !== 'quantile' && activeColorScale.legend.type === 'continuous'
+            ? ` (centred on ${colorSettings.domain.mid}; values outside ${activeColorScale.legend.min.toFixed(2)} to ${activeColorScale.legend.max.toFixed(2)} are clipped${colorSettings.domainMode === 'percentile' ? `, the ${colorSettings.clipPercentile}th/${100 - colorSettings.clipPercentile}th percentiles` : ''})`
+            : ' (quantile bins of the data)'}
+        </li>
+        {significanceLegendEntries.length > 0 ? (
+          <li>
+            Significance ({significanceDescription}{log2FCRequirement ? `, ${log2FCRequirement}` : ''}):{' '}
+            {significanceLegendEntries.map(entry => `${entry.text} — ${MARKER_STYLES[entry.marker].toLowerCase()}${entry.marker === 'circle' ? ` (r = ${circleRadius(entry.level)}px)` : ''}${entry.marker === 'asterisk' ? ` (${asterisks(entry.level)})` : ''}${entry.marker === 'outline' ? ` (${entry.level}px)` : ''}`).join('; ')}
+          </li>
+        ) : (
+          <li>No significance markers are shown</li>
+        )}
       </Box>
-      <Typography sx={{ fontSize: 13, mt: 1 }}>
-        • The heatmap reveals patterns of gene expression changes across different biological processes and experimental conditions<br />
-        • This visualization helps identify coordinated regulation within functional pathways
-      </Typography>
     </Paper>
 
+    {/* Publication export options */}
+    <ExportDialog
+      open={exportDialogOpen}
+      options={exportOptions}
+      onChange={setExportOptions}
+      onExport={exportFigure}
+      onClose={() => setExportDialogOpen(false)}
+    />
+
     {/* Tooltip overlay */}
     {tooltip.visible && (
       <Box
@@ -1149,9 +1561,7 @@ borderRadius: 8, padding: '14px 20px', boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
         {tooltip.content}
       </Box>
     )}
-      )}
-    </Card>
-  </Box>
+    </Box>
   );
 }
 export default ClusteredHeatmap;
\ No newline at end of file
@@ -0,0 +1,103 @@
+import React from 'react';
+import { Grid, TextField, FormControl, FormControlLabel, Checkbox, InputLabel, Select, MenuItem, Typography } from '@mui/material';
+import { PALETTES } from './colorScales';
+
+// Palette picker plus the colour domain: fixed min/mid/max or percentile clipping
+const ColorScaleSettingsPanel = ({ settings, onChange, disabled = false }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const updateDomain = (key, value) => {
+    const num = parseFloat(value);
+    if (Number.isFinite(num)) update({ domain: { ...settings.domain, [key]: num } });
+  };
+  const updateCustomColor = (key, value) => update({ customColors: { ...settings.customColors, [key]: value } });
+
+  return (
+    <Grid container spacing={2} alignItems="center">
+      <Grid item xs={12} sm={6} md={4}>
+        <FormControl fullWidth size="small" variant="outlined">
+          <InputLabel id="palette-label">Palette</InputLabel>
+          <Select labelId="palette-label" value={settings.palette} label="Palette" onChange={e => update({ palette: e.target.value })}>
+            {Object.entries(PALETTES).map(([value, palette]) => (
+              <MenuItem key={value} value={value}>{palette.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} sm={6} md={4}>
+        <FormControl fullWidth size="small" variant="outlined" disabled={disabled}>
+          <InputLabel id="domain-mode-label">Colour Range</InputLabel>
+          <Select labelId="domain-mode-label" value={settings.domainMode} label="Colour Range" onChange={e => update({ domainMode: e.target.value })}>
+            <MenuItem value="manual">Fixed min / mid / max</MenuItem>
+            <MenuItem value="percentile">Clip at data percentiles</MenuItem>
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} md={4}>
+        {settings.domainMode === 'manual' ? (
+          <Grid container spacing={1}>
+            {['min', 'mid', 'max'].map(key => (
+              <Grid item xs={4} key={key}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label={key}
+                  disabled={disabled}
+                  value={settings.domain[key]}
+                  inputProps={{ step: 0.5 }}
+                  onChange={e => updateDomain(key, e.target.value)}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        ) : (
+          <Grid container spacing={1}>
+            <Grid item xs={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Clip % each end"
+                disabled={disabled}
+                value={settings.clipPercentile}
+                inputProps={{ step: 0.5, min: 0, max: 49 }}
+                onChange={e => update({ clipPercentile: Math.min(49, Math.max(0, parseFloat(e.target.value) || 0)) })}
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="mid"
+                disabled={disabled}
+                value={settings.domain.mid}
+                inputProps={{ step: 0.5 }}
+                onChange={e => updateDomain('mid', e.target.value)}
+              />
+            </Grid>
+          </Grid>
+        )}
+      </Grid>
+      {settings.palette === 'custom' && (
+        <Grid item xs={12} display="flex" alignItems="center" gap={2}>
+          <Typography sx={{ fontSize: '0.875rem' }}>Custom colours:</Typography>
+          {['low', 'mid', 'high'].map(key => (
+            (key !== 'mid' || settings.customColors.useMid) && (
+              <label key={key} style={{ fontSize: 13, display: 'flex', alignItems: 'center', gap: 4 }}>
+                {key}
+                <input type="color" value={settings.customColors[key]} onChange={e => updateCustomColor(key, e.target.value)} />
+              </label>
+            )
+          ))}
+          <FormControlLabel
+            control={<Checkbox size="small" checked={settings.customColors.useMid} onChange={e => updateCustomColor('useMid', e.target.checked)} />}
+            label={<Typography sx={{ fontSize: 13 }}>Three-stop palette</Typography>}
+          />
+        </Grid>
+      )}
+    </Grid>
+  );
+};
+
+export default ColorScaleSettingsPanel;
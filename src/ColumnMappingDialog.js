@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Typography, Box, Grid,
+  FormControl, InputLabel, Select, MenuItem, TextField, IconButton, Table, TableHead, TableBody, TableRow, TableCell
+} from '@mui/material';
+
+const PREVIEW_ROWS = 5;
+
+// Lets the user say which columns hold the gene ID, category, fold changes and
+// p-values when the headers don't follow a recognised layout
+const ColumnMappingDialog = ({ open, fileName, headers, rows, initialMapping, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+
+  const updateComparison = (index, changes) => {
+    setMapping(prev => ({
+      ...prev,
+      comparisons: prev.comparisons.map((comp, k) => (k === index ? { ...comp, ...changes } : comp))
+    }));
+  };
+
+  const addComparison = () => {
+    setMapping(prev => ({
+      ...prev,
+      comparisons: [...prev.comparisons, { name: `Comparison ${prev.comparisons.length + 1}`, logFCColumn: '', pValueColumn: '', adjPValueColumn: '' }]
+    }));
+  };
+
+  const removeComparison = (index) => {
+    setMapping(prev => ({ ...prev, comparisons: prev.comparisons.filter((_, k) => k !== index) }));
+  };
+
+  const isComplete = mapping.idColumn &&
+    mapping.comparisons.length > 0 &&
+    mapping.comparisons.every(comp => comp.logFCColumn && comp.name.trim());
+
+  const columnSelect = (id, label, value, onChange, allowNone) => (
+    <FormControl fullWidth size="small" variant="outlined">
+      <InputLabel id={id}>{label}</InputLabel>
+      <Select labelId={id} value={value} label={label} onChange={e => onChange(e.target.value)}>
+        {allowNone && <MenuItem value=""><em>None</em></MenuItem>}
+        {headers.map(h => (
+          <MenuItem key={h} value={h}>{h}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="lg" fullWidth>
+      <DialogTitle>Map columns for {fileName}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Choose which columns hold the gene ID, category, fold changes, p-values and adjusted p-values (FDR/q), and name each comparison. The mapping is saved and applied automatically to files with the same columns.
+        </Typography>
+
+        {/* Preview of the first rows */}
+        <Box sx={{ overflowX: 'auto', mb: 3, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {headers.map(h => (
+                  <TableCell key={h} sx={{ fontWeight: 'bold', whiteSpace: 'nowrap' }}>{h}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                <TableRow key={i}>
+                  {headers.map(h => (
+                    <TableCell key={h} sx={{ whiteSpace: 'nowrap' }}>{row[h] !== undefined ? String(row[h]) : ''}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={6}>
+            {columnSelect('mapping-id-label', 'Gene ID column', mapping.idColumn, value => setMapping(prev => ({ ...prev, idColumn: value })), false)}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {columnSelect('mapping-category-label', 'Category column', mapping.categoryColumn, value => setMapping(prev => ({ ...prev, categoryColumn: value })), true)}
+          </Grid>
+        </Grid>
+
+        <Typography variant="subtitle2" gutterBottom>Comparisons</Typography>
+        {mapping.comparisons.map((comp, index) => (
+          <Grid container spacing={2} alignItems="center" key={index} sx={{ mb: 1 }}>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Comparison name"
+                value={comp.name}
+                onChange={e => updateComparison(index, { name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              {columnSelect(`mapping-fc-${index}`, 'Fold change column', comp.logFCColumn, value => updateComparison(index, { logFCColumn: value }), false)}
+            </Grid>
+            <Grid item xs={12} sm={2.5}>
+              {columnSelect(`mapping-p-${index}`, 'P-value column', comp.pValueColumn, value => updateComparison(index, { pValueColumn: value }), true)}
+            </Grid>
+            <Grid item xs={12} sm={2.5}>
+              {columnSelect(`mapping-adj-${index}`, 'Adj. p / FDR column', comp.adjPValueColumn || '', value => updateComparison(index, { adjPValueColumn: value }), true)}
+            </Grid>
+            <Grid item xs={12} sm={1}>
+              <IconButton aria-label="Remove comparison" onClick={() => removeComparison(index)} size="small">
+                ×
+              </IconButton>
+            </Grid>
+          </Grid>
+        ))}
+        <Button size="small" onClick={addComparison}>Add comparison</Button>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button variant="contained" disabled={!isComplete} onClick={() => onConfirm(mapping)}>
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ColumnMappingDialog;
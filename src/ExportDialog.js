@@ -0,0 +1,122 @@
+import React from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Typography, Grid,
+  FormControl, InputLabel, Select, MenuItem, TextField, Checkbox, FormControlLabel
+} from '@mui/material';
+import {
+  EXPORT_FORMATS, RASTER_FORMATS, DPI_OPTIONS, SIZE_UNITS, WIDTH_PRESETS, EXPORT_FONTS, toInches, fromInches
+} from './exportFormats';
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Publication export options: format, physical width, resolution for raster
+// formats, the font, and whether the legend and category sidebar are drawn
+const ExportDialog = ({ open, options, onChange, onExport, onClose }) => {
+  const update = (changes) => onChange({ ...options, ...changes });
+  const raster = RASTER_FORMATS.includes(options.format);
+  const inches = toInches(options.width, options.unit);
+  // PDFs are set in a standard PDF font, so an uploaded font can't be used
+  // there; the choice is kept for the other formats
+  const pdf = options.format === 'pdf';
+  const font = pdf && options.font === 'embed' ? 'arial' : options.font;
+
+  const choosePreset = (widthPreset) => {
+    const preset = WIDTH_PRESETS[widthPreset];
+    update(preset.mm ? { widthPreset, width: round1(fromInches(toInches(preset.mm, 'mm'), options.unit)) } : { widthPreset });
+  };
+
+  const chooseFontFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => update({ font: 'embed', fontFile: { name: file.name, dataUrl: reader.result } });
+    reader.readAsDataURL(file);
+  };
+
+  const select = (id, label, value, onSelect, entries, disabled = false) => (
+    <FormControl fullWidth size="small" variant="outlined" disabled={disabled}>
+      <InputLabel id={id}>{label}</InputLabel>
+      <Select labelId={id} value={value} label={label} onChange={e => onSelect(e.target.value)}>
+        {entries.map(([key, text]) => <MenuItem key={key} value={key}>{text}</MenuItem>)}
+      </Select>
+    </FormControl>
+  );
+
+  const ready = inches > 0 && (font !== 'embed' || options.fontFile);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Publication Export</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={6}>
+            {select('export-format-label', 'Format', options.format, format => update({ format }), Object.entries(EXPORT_FORMATS))}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {select('export-dpi-label', 'Resolution', options.dpi, dpi => update({ dpi }),
+              DPI_OPTIONS.map(dpi => [dpi, `${dpi} dpi`]), !raster)}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {select('export-width-preset-label', 'Figure Width', options.widthPreset, choosePreset,
+              Object.entries(WIDTH_PRESETS).map(([key, preset]) => [key, preset.label]))}
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label="Width"
+              value={options.width}
+              inputProps={{ min: 0, step: options.unit === 'mm' ? 1 : 0.1 }}
+              onChange={e => update({ width: Math.max(0, parseFloat(e.target.value) || 0), widthPreset: 'custom' })}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            {select('export-unit-label', 'Unit', options.unit,
+              unit => update({ unit, width: round1(fromInches(inches, unit)) }), Object.entries(SIZE_UNITS))}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {select('export-font-label', 'Font', font, choice => update({ font: choice }), [
+              ...Object.entries(EXPORT_FONTS).map(([key, exportFont]) => [key, exportFont.label]),
+              ...(pdf ? [] : [['embed', 'Embed a font file']])
+            ])}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {font === 'embed' && (
+              <Button variant="outlined" component="label" size="small">
+                {options.fontFile ? options.fontFile.name : 'Choose font file'}
+                <input type="file" accept=".ttf, .otf, .woff, .woff2" hidden onChange={chooseFontFile} />
+              </Button>
+            )}
+          </Grid>
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={<Checkbox size="small" checked={options.legend} onChange={e => update({ legend: e.target.checked })} />}
+              label={<Typography sx={{ fontSize: 14 }}>Include the legend</Typography>}
+            />
+            <FormControlLabel
+              control={<Checkbox size="small" checked={options.sidebar} onChange={e => update({ sidebar: e.target.checked })} />}
+              label={<Typography sx={{ fontSize: 14 }}>Include the category sidebar</Typography>}
+            />
+          </Grid>
+        </Grid>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {round1(fromInches(inches, 'mm'))} mm ({(Math.round(inches * 100) / 100)} in) wide; the height keeps the heatmap's proportions.
+          {raster && ` ${Math.round(inches * options.dpi)} pixels wide at ${options.dpi} dpi.`}
+        </Typography>
+        {pdf && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            PDF text is set in the standard PDF font matching the chosen font; export SVG, PNG or TIFF to embed a font file.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onExport(options)} disabled={!ready}>Export</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,24 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import ExportDialog from './ExportDialog';
+import { DEFAULT_EXPORT_OPTIONS } from './exportFormats';
+
+const renderDialog = (options) => render(
+  <ExportDialog open options={{ ...DEFAULT_EXPORT_OPTIONS, ...options }} onChange={jest.fn()} onExport={jest.fn()} onClose={jest.fn()} />
+);
+
+const fontChoices = () => {
+  fireEvent.mouseDown(screen.getByRole('combobox', { name: 'Font' }));
+  return within(screen.getByRole('listbox')).getAllByRole('option').map(option => option.textContent);
+};
+
+test('font files can be embedded in SVG, PNG and TIFF figures', () => {
+  renderDialog({ format: 'png' });
+  expect(fontChoices()).toContain('Embed a font file');
+});
+
+test('PDFs use the standard font, even when a font file was chosen', () => {
+  renderDialog({ format: 'pdf', font: 'embed' });
+  expect(screen.getByRole('combobox', { name: 'Font' })).toHaveTextContent('Arial / Helvetica');
+  expect(screen.getByRole('button', { name: 'Export' })).toBeEnabled();
+  expect(fontChoices()).not.toContain('Embed a font file');
+});
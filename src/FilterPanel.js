@@ -0,0 +1,132 @@
+import React from 'react';
+import {
+  Box, Typography, Grid, TextField, FormControl, InputLabel, Select, MenuItem, Button, Checkbox, FormControlLabel
+} from '@mui/material';
+import { DEFAULT_FILTERS, GENE_LIST_MODES, filtersActive } from './filters';
+
+// Row filters: fold change and p-value thresholds, how many comparisons must
+// carry a significance marker, categories to show and a pasted gene list to
+// include or exclude
+const FilterPanel = ({ filters, onChange, categories, hiddenCount, totalCount, pLabel = 'p' }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleCategory = (category) => {
+    const hidden = filters.hiddenCategories.includes(category)
+      ? filters.hiddenCategories.filter(c => c !== category)
+      : [...filters.hiddenCategories, category];
+    update({ hiddenCategories: hidden });
+  };
+
+  return (
+    <Box>
+      <Typography sx={{ fontSize: '0.875rem', fontWeight: 600, mb: 1 }}>Filters</Typography>
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 1 }}>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Show |log2FC| ≥"
+            value={filters.minAbsLog2FC}
+            inputProps={{ step: 0.1, min: 0 }}
+            onChange={e => update({ minAbsLog2FC: Math.max(0, parseFloat(e.target.value) || 0) })}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={`Show ${pLabel} ≤`}
+            value={filters.maxPValue}
+            inputProps={{ step: 0.01, min: 0, max: 1 }}
+            onChange={e => {
+              const value = parseFloat(e.target.value);
+              update({ maxPValue: Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1 });
+            }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Significant in ≥ N comparisons"
+            helperText="Comparisons with a significance marker"
+            value={filters.minSignificantComparisons}
+            inputProps={{ step: 1, min: 0 }}
+            onChange={e => update({ minSignificantComparisons: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <Button size="small" disabled={!filtersActive(filters)} onClick={() => onChange(DEFAULT_FILTERS)}>
+            Clear filters
+          </Button>
+        </Grid>
+      </Grid>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', columnGap: 1, mb: 1 }}>
+        {categories.map(category => (
+          <FormControlLabel
+            key={category}
+            control={
+              <Checkbox
+                size="small"
+                checked={!filters.hiddenCategories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+            }
+            label={<Typography sx={{ fontSize: 13 }}>{category}</Typography>}
+          />
+        ))}
+      </Box>
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={8}>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            maxRows={6}
+            size="small"
+            label="Gene list (one per line, or comma separated)"
+            value={filters.geneList}
+            onChange={e => update({ geneList: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth size="small" variant="outlined">
+            <InputLabel id="gene-list-mode-label">Gene List</InputLabel>
+            <Select
+              labelId="gene-list-mode-label"
+              value={filters.geneListMode}
+              onChange={e => update({ geneListMode: e.target.value })}
+              label="Gene List"
+            >
+              {Object.entries(GENE_LIST_MODES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+      {filters.isolatedGenes.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          <Typography variant="body2">Showing only {filters.isolatedGenes.length} isolated genes</Typography>
+          <Button size="small" onClick={() => update({ isolatedGenes: [] })}>Show all genes</Button>
+        </Box>
+      )}
+      {filters.hiddenGenes.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          <Typography variant="body2">{filters.hiddenGenes.length} genes hidden from a selection</Typography>
+          <Button size="small" onClick={() => update({ hiddenGenes: [] })}>Show them again</Button>
+        </Box>
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+        {hiddenCount > 0
+          ? `${hiddenCount} of ${totalCount} genes hidden by the filters`
+          : `All ${totalCount} genes shown`}
+      </Typography>
+    </Box>
+  );
+};
+
+export default FilterPanel;
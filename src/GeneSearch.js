@@ -0,0 +1,70 @@
+import React from 'react';
+import { Box, Typography, TextField, Autocomplete, Button } from '@mui/material';
+import { createFilterOptions } from '@mui/material/Autocomplete';
+import { parseGeneList } from './filters';
+
+// Only the first matches are listed, so large gene lists stay responsive
+const filterOptions = createFilterOptions({ limit: 50 });
+
+// Search box over the gene IDs. Picking a gene highlights it and jumps to its
+// row; pasting a list (one per line, or comma separated) highlights every
+// gene in it. Matching is case-insensitive.
+const GeneSearch = ({ geneIds, highlighted, onChange, onJump }) => {
+  const [notFound, setNotFound] = React.useState([]);
+  const idsByKey = React.useMemo(() => new Map(geneIds.map(id => [id.toUpperCase(), id])), [geneIds]);
+
+  const handleChange = (event, value) => {
+    const ids = [...new Set(value.map(id => idsByKey.get(String(id).trim().toUpperCase())).filter(Boolean))];
+    const missing = value.filter(id => !idsByKey.has(String(id).trim().toUpperCase()));
+    setNotFound(missing);
+    onChange(ids);
+    const added = ids.find(id => !highlighted.includes(id));
+    if (added) onJump(added);
+  };
+
+  const handlePaste = (event) => {
+    const text = event.clipboardData.getData('text');
+    const keys = [...parseGeneList(text)];
+    if (keys.length < 2) return;
+    event.preventDefault();
+    const ids = keys.map(key => idsByKey.get(key)).filter(Boolean);
+    setNotFound(keys.filter(key => !idsByKey.has(key)));
+    onChange([...new Set([...highlighted, ...ids])]);
+    if (ids.length > 0) onJump(ids[0]);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+      <Autocomplete
+        multiple
+        freeSolo
+        size="small"
+        options={geneIds}
+        filterOptions={filterOptions}
+        value={highlighted}
+        onChange={handleChange}
+        sx={{ minWidth: 320, flex: 1 }}
+        renderInput={params => (
+          <TextField
+            {...params}
+            label="Find genes"
+            placeholder="Type a gene ID or paste a list"
+            onPaste={handlePaste}
+          />
+        )}
+      />
+      {highlighted.length > 0 && (
+        <Button size="small" onClick={() => { setNotFound([]); onChange([]); }}>
+          Clear highlights
+        </Button>
+      )}
+      {notFound.length > 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ width: '100%' }}>
+          Not found: {notFound.slice(0, 10).join(', ')}{notFound.length > 10 ? ` and ${notFound.length - 10} more` : ''}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default GeneSearch;
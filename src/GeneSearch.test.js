@@ -0,0 +1,64 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import GeneSearch from './GeneSearch';
+import ClusteredHeatmap from './ClusteredHeatmap';
+
+const geneIds = ['Apoe', 'ENSMUSG00000002985', 'Ldlr', 'Pcsk9'];
+
+beforeAll(() => {
+  // No canvas, so text is measured from the font metrics
+  HTMLCanvasElement.prototype.getContext = () => null;
+});
+
+const renderSearch = (highlighted = []) => {
+  const onChange = jest.fn();
+  const onJump = jest.fn();
+  render(<GeneSearch geneIds={geneIds} highlighted={highlighted} onChange={onChange} onJump={onJump} />);
+  return { onChange, onJump, input: screen.getByLabelText('Find genes') };
+};
+
+test('genes are found by ID or symbol, whatever the case', async () => {
+  const { onChange, onJump, input } = renderSearch();
+  fireEvent.change(input, { target: { value: 'ldl' } });
+  fireEvent.click(await screen.findByRole('option', { name: 'Ldlr' }));
+  expect(onChange).toHaveBeenLastCalledWith(['Ldlr']);
+  expect(onJump).toHaveBeenLastCalledWith('Ldlr');
+
+  // A typed entry matches case-insensitively, Ensembl IDs as well as symbols
+  fireEvent.change(input, { target: { value: 'ensmusg00000002985' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(onChange).toHaveBeenLastCalledWith(['ENSMUSG00000002985']);
+  expect(onJump).toHaveBeenLastCalledWith('ENSMUSG00000002985');
+});
+
+test('pasted lists highlight every gene found and name the ones that are not', () => {
+  const { onChange, onJump, input } = renderSearch(['Apoe']);
+  fireEvent.paste(input, { clipboardData: { getData: () => 'PCSK9\napoe, Nope' } });
+  expect(onChange).toHaveBeenLastCalledWith(['Apoe', 'Pcsk9']);
+  expect(onJump).toHaveBeenLastCalledWith('Pcsk9');
+  expect(screen.getByText('Not found: NOPE')).toBeInTheDocument();
+});
+
+test('an unknown gene is reported and nothing is highlighted', () => {
+  const { onChange, onJump, input } = renderSearch();
+  fireEvent.change(input, { target: { value: 'Nope' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(onChange).toHaveBeenLastCalledWith([]);
+  expect(onJump).not.toHaveBeenCalled();
+  expect(screen.getByText('Not found: Nope')).toBeInTheDocument();
+});
+
+test('the heatmap scrolls to a gene found and highlights its row', async () => {
+  const data = {
+    comparisons: ['KD'],
+    genes: geneIds.map((id, i) => ({ id, category: 'Lipid', values: [i - 1], pValues: [0.01], adjPValues: [null] }))
+  };
+  window.scrollTo = jest.fn();
+  render(<ClusteredHeatmap data={data} />);
+  expect(screen.getByText('Pcsk9')).toHaveAttribute('font-weight', 'normal');
+  fireEvent.change(screen.getByLabelText('Find genes'), { target: { value: 'pcsk' } });
+  fireEvent.click(await screen.findByRole('option', { name: 'Pcsk9' }));
+  expect(window.scrollTo).toHaveBeenCalledTimes(1);
+  // The gene's name turns bold on its highlight band; the others stay as they were
+  expect(await screen.findByText('Pcsk9', { selector: 'text' })).toHaveAttribute('font-weight', 'bold');
+  expect(screen.getByText('Ldlr', { selector: 'text' })).toHaveAttribute('font-weight', 'normal');
+});
@@ -0,0 +1,501 @@
+import React from 'react';
+import { COLOR_LEGEND_WIDTH, MEMBERSHIP_STEP, SAMPLE_TRACK_STEP } from './heatmapLayout';
+import { significanceValue, significanceLegend, colorLegendTitle } from './heatmapModel';
+import { significanceMarker, circleRadius, asterisks } from './significance';
+import { textColorFor, MISSING_COLOR } from './colorScales';
+import { CATEGORY_PALETTE } from './categoryColors';
+import { formatCellValue } from './textMeasure';
+import { sampleTrackColor } from './expression';
+import { trackMark } from './annotationTracks';
+
+// Marker swatch for the SVG legend, centred on (cx, cy)
+const LegendMarker = ({ marker, level, cx, cy }) => {
+  switch (marker) {
+    case 'asterisk':
+      return <text x={cx} y={cy + 4} textAnchor="middle" fontSize="12px" fontWeight="bold">{asterisks(level)}</text>;
+    case 'outline':
+      return <rect x={cx - 8} y={cy - 6} width={16} height={12} fill="none" stroke="black" strokeWidth={level} />;
+    case 'bold':
+      return <text x={cx} y={cy + 4} textAnchor="middle" fontSize="11px" fontWeight="bold">1.0</text>;
+    default:
+      return <circle cx={cx} cy={cy} r={circleRadius(level)} fill="black" opacity={0.8} />;
+  }
+};
+
+// One heatmap panel ({ name, heatmapData }, see heatmapModel.js) as an SVG,
+// drawn at the given panelLayout (see heatmapLayout.js). ClusteredHeatmap
+// shows it and the command line renders it to markup (see heatmapSvg.js).
+// Only rows rowStart to rowEnd are drawn, for virtualized views. Without
+// interaction the figure is static: no handlers, sort indicators, selection
+// or drop indicators. interaction holds the handlers and their state:
+// - headerTitle(comparison), sortIndicator(comparison): header tooltip and
+//   sort arrow (or null)
+// - onHeaderMouseDown(e, j), onResizerMouseDown(e, j), onCellMouseDown(e, i, j)
+// - onCellMouseOver(e, gene, j, i), onSampleTrackMouseOver(e, j),
+//   onRowTrackMouseOver(e, gene), onMouseOut(e): tooltips
+// - blocksDraggable: categories and genes are dragged when true
+//   (onCategoryMouseDown(e, groupIndex), onGeneMouseDown(e, i)) and clicked
+//   otherwise (onCategoryClick(e, group), onGeneClick(e, i))
+// - isSelected(i, j), selectionBox, dropIndicator
+const HeatmapPanelSvg = ({
+  name, heatmapData, p = 0, layout, rowTracks, fontSizes, labelMode, showFoldChange,
+  colorScale, colorScaleType, valueLabel, significanceSettings, significanceSource, categoryColors, highlighted,
+  showLegend = true, showSidebar = true, rowStart = 0, rowEnd = heatmapData.genes.length,
+  fontFamily, y, svgRef, interaction = null
+}) => {
+  const {
+    cellHeight, rowsHeight, maxGeneNameWidth, colWidths, colX, totalColsWidth, headerLinesByColumn,
+    headerOffset, sampleTracks, sampleTracksHeight, sampleTrackLabelX, rowTrackX, geneNameX, trackLegend, columnDendrogramHeight, columnDendrogramBottom, columnDendrogramMaxHeight, columnCenterX, legendY,
+    categoryLabelLines, categoryBoxWidth, categoryBoxX, membershipCategories, membershipX,
+    rowDendrogramWidth, rowDendrogramRight, rowDendrogramMaxHeight, significanceLegendX, panelTitleHeight,
+    margin, width, height
+  } = layout;
+  const {
+    headerTitle, sortIndicator, onHeaderMouseDown, onResizerMouseDown, onCellMouseDown, onCellMouseOver,
+    onSampleTrackMouseOver, onRowTrackMouseOver, onMouseOut, blocksDraggable, onCategoryMouseDown, onCategoryClick,
+    onGeneMouseDown, onGeneClick, isSelected, selectionBox, dropIndicator
+  } = interaction || {};
+  const colorOf = value => (value === undefined || value === null ? MISSING_COLOR : colorScale.color(value));
+  const categoryColor = category => categoryColors[category] || CATEGORY_PALETTE[CATEGORY_PALETTE.length - 1];
+  // Expression matrices have no p-values, so no significance legend
+  const significanceMarkers = heatmapData.valueKind !== 'expression';
+  const legend = significanceLegend(significanceSettings, significanceSource);
+  const shownGenes = heatmapData.genes.slice(rowStart, rowEnd);
+
+  return (
+    <svg y={y} width={width} height={height} fontFamily={fontFamily} ref={svgRef}>
+      {panelTitleHeight > 0 && (
+        <text x={10} y={20} fontWeight="bold" fontSize="16px">{name}</text>
+      )}
+      <g className="heatmap-zoomable" transform={`translate(${margin.left}, ${margin.top})`}>
+        {/* Column Headers (Comparisons) */}
+        {heatmapData.comparisons.map((comparison, j) => {
+          const headerLines = headerLinesByColumn[j];
+          const sortArrow = sortIndicator && sortIndicator(comparison);
+          return (
+            <g key={`col-${j}`} transform={`translate(${colX[j]}, ${headerOffset})`}>
+              <text
+                x={colWidths[j] / 2}
+                y={-20 - (headerLines.length - 1) * fontSizes.header / 2}
+                textAnchor="middle"
+                fontWeight="bold"
+                fontSize={`${fontSizes.header}px`}
+                style={interaction && { userSelect: 'none', cursor: 'pointer' }}
+                onMouseDown={onHeaderMouseDown && (e => onHeaderMouseDown(e, j))}
+              >
+                {headerTitle && <title className="sort-indicator">{headerTitle(comparison)}</title>}
+                {headerLines.map((line, idx) => (
+                  <tspan key={idx} x={colWidths[j] / 2} dy={idx === 0 ? 0 : fontSizes.header}>
+                    {line}
+                  </tspan>
+                ))}
+              </text>
+              {/* Sort direction, left out of the downloads */}
+              {sortArrow && (
+                <text className="sort-indicator" x={colWidths[j] / 2} y={-6} textAnchor="middle" fontSize="9px" fill="#1976d2">
+                  {sortArrow}
+                </text>
+              )}
+              {/* Resizer handle */}
+              {onResizerMouseDown && (
+                <rect
+                  x={colWidths[j] - 6}
+                  y={-35}
+                  width={8}
+                  height={rowsHeight + 40 + sampleTracksHeight}
+                  fill="transparent"
+                  style={{ cursor: 'col-resize' }}
+                  onMouseDown={e => onResizerMouseDown(e, j)}
+                />
+              )}
+              <rect
+                x={colWidths[j] - 3}
+                y={-35}
+                width={2}
+                height={rowsHeight + 40 + sampleTracksHeight}
+                fill="#b0b0b0"
+                pointerEvents="none"
+              />
+            </g>
+          );
+        })}
+
+        {/* Sample annotation tracks between the headers and the cells */}
+        {sampleTracks.map((track, t) => {
+          const trackY = -sampleTracksHeight + t * SAMPLE_TRACK_STEP;
+          return (
+            <g key={`sample-track-${t}`}>
+              <text x={sampleTrackLabelX} y={trackY + SAMPLE_TRACK_STEP / 2 + 1} textAnchor="end" dominantBaseline="middle" fontSize="10px">
+                {track.track}
+              </text>
+              {heatmapData.sampleAnnotations.map((sample, j) => {
+                const color = sampleTrackColor(track, sample);
+                return color && (
+                  <rect
+                    key={j}
+                    x={colX[j]}
+                    y={trackY}
+                    width={colWidths[j] - 1}
+                    height={SAMPLE_TRACK_STEP - 2}
+                    fill={color}
+                    onMouseOver={onSampleTrackMouseOver && (e => onSampleTrackMouseOver(e, j))}
+                    onMouseOut={onMouseOut}
+                  />
+                );
+              })}
+            </g>
+          );
+        })}
+
+        {/* Column dendrogram above the headers */}
+        {heatmapData.columnDendrogram && (
+          <g>
+            {heatmapData.columnDendrogram.links.map((link, k) => {
+              const yOf = h => columnDendrogramBottom - (h / columnDendrogramMaxHeight) * columnDendrogramHeight;
+              return (
+                <path
+                  key={k}
+                  d={`M${columnCenterX(link.from)},${yOf(link.leftHeight)}V${yOf(link.height)}H${columnCenterX(link.to)}V${yOf(link.rightHeight)}`}
+                  fill="none"
+                  stroke="#555"
+                  strokeWidth={1}
+                />
+              );
+            })}
+          </g>
+        )}
+
+        {/* Legend - moved up slightly */}
+        {showLegend && (
+          <g transform={`translate(0, ${legendY})`}>
+            <text x={0} y={0} fontWeight="bold" fontSize="13px">Legend:</text>
+            {/* Color legend, generated from the active scale */}
+            <g transform="translate(70, 0)">
+              {colorScale.legend.type === 'continuous' ? (
+                <>
+                  <defs>
+                    <linearGradient id={`heatmap-color-legend-${p}`} x1="0" x2="1" y1="0" y2="0">
+                      {colorScale.legend.stops.map((stop, k) => (
+                        <stop key={k} offset={stop.offset} stopColor={stop.color} />
+                      ))}
+                    </linearGradient>
+                  </defs>
+                  <rect width={COLOR_LEGEND_WIDTH} height={15} fill={`url(#heatmap-color-legend-${p})`} stroke="#ccc" strokeWidth="0.5" />
+                  {colorScale.legend.ticks.map((tick, k) => (
+                    <g key={`legend-tick-${k}`} transform={`translate(${tick.position * COLOR_LEGEND_WIDTH}, 0)`}>
+                      <line y1={15} y2={19} stroke="#666" strokeWidth="0.5" />
+                      <text y={30} textAnchor="middle" fontSize="10px">{tick.value}</text>
+                    </g>
+                  ))}
+                </>
+              ) : (
+                colorScale.legend.swatches.map((swatch, i) => (
+                  <g key={`legend-${i}`} transform={`translate(${i * 35}, 0)`}>
+                    <rect width={30} height={15} fill={swatch.color} stroke="#ccc" strokeWidth="0.5" />
+                    <text x={15} y={30} textAnchor="middle" fontSize="9px">{swatch.label}</text>
+                  </g>
+                ))
+              )}
+              <text x={COLOR_LEGEND_WIDTH / 2} y={-5} textAnchor="middle" fontSize="11px">
+                {colorLegendTitle(colorScaleType, valueLabel)}
+              </text>
+            </g>
+            {/* Significance legend */}
+            {significanceMarkers && (
+              <g transform="translate(350, 0)">
+                <text x={0} y={0} fontSize="11px">{legend.heading}</text>
+                {legend.entries.map((entry, k) => (
+                  <g key={`sig-legend-${k}`} transform={`translate(${significanceLegendX[k]}, 0)`}>
+                    <LegendMarker marker={entry.marker} level={entry.level} cx={0} cy={-4} />
+                    <text x={12} y={0} fontSize="11px">{entry.text}</text>
+                  </g>
+                ))}
+                {legend.log2FCRequirement && (
+                  <text x={significanceLegendX[legend.entries.length]} y={0} fontSize="11px">
+                    and {legend.log2FCRequirement}
+                  </text>
+                )}
+              </g>
+            )}
+          </g>
+        )}
+        {/* Category membership matrix between the row dendrogram and gene names */}
+        {membershipCategories.map((category, k) => (
+          <g key={`membership-${k}`} transform={`translate(${membershipX + k * MEMBERSHIP_STEP}, 0)`}>
+            <text
+              transform={`translate(${MEMBERSHIP_STEP / 2}, -6) rotate(-90)`}
+              fontSize="10px"
+              dominantBaseline="middle"
+            >
+              {category}
+            </text>
+            {shownGenes.map((gene, r) => (
+              <rect
+                key={`membership-${k}-${rowStart + r}`}
+                x={2}
+                y={(rowStart + r) * cellHeight + (cellHeight - MEMBERSHIP_STEP + 4) / 2}
+                width={MEMBERSHIP_STEP - 4}
+                height={MEMBERSHIP_STEP - 4}
+                fill={gene.categories.includes(category) ? categoryColor(category) : 'none'}
+                stroke={gene.categories.includes(category) ? '#666' : '#ddd'}
+                strokeWidth="0.5"
+              />
+            ))}
+          </g>
+        ))}
+        {/* Row dendrogram between the category boxes and gene names */}
+        {heatmapData.rowDendrograms.map((dendrogram, d) => (
+          <g key={`row-dendrogram-${d}`}>
+            {dendrogram.links.map((link, k) => {
+              const xOf = h => rowDendrogramRight - (h / rowDendrogramMaxHeight) * rowDendrogramWidth;
+              const yOf = pos => (dendrogram.offset + pos) * cellHeight;
+              if (dendrogram.offset + Math.max(link.from, link.to) < rowStart
+                || dendrogram.offset + Math.min(link.from, link.to) > rowEnd) return null;
+              return (
+                <path
+                  key={k}
+                  d={`M${xOf(link.leftHeight)},${yOf(link.from)}H${xOf(link.height)}V${yOf(link.to)}H${xOf(link.rightHeight)}`}
+                  fill="none"
+                  stroke="#555"
+                  strokeWidth={1}
+                />
+              );
+            })}
+          </g>
+        ))}
+        {/* Vertical category labels along gene names */}
+        {heatmapData.categoryGroups.map((group, groupIndex) => {
+          // Calculate the position and dimensions of this category group
+          const yStart = group.startIndex * cellHeight;
+          const categoryHeight = group.count * cellHeight;
+          const lines = categoryLabelLines[groupIndex];
+
+          // Get background color for this category
+          const color = categoryColor(group.category);
+
+          return (
+            <g key={`cat-label-${groupIndex}`}>
+              {showSidebar && (
+                <>
+                  {/* Vertical background box aligned with first and last gene, expands left */}
+                  <rect
+                    x={categoryBoxX}
+                    y={yStart}
+                    width={categoryBoxWidth}
+                    height={categoryHeight}
+                    fill={color}
+                    stroke="#888"
+                    strokeWidth="1"
+                    rx={3}
+                    style={interaction && { cursor: blocksDraggable ? 'grab' : 'pointer' }}
+                    onMouseDown={interaction && blocksDraggable ? e => onCategoryMouseDown(e, groupIndex) : undefined}
+                    onClick={interaction && !blocksDraggable ? e => onCategoryClick(e, group) : undefined}
+                  />
+                  {/* Rotated and wrapped category text, centered in the box */}
+                  <g
+                    transform={`translate(${categoryBoxX + categoryBoxWidth/2}, ${yStart + categoryHeight/2}) rotate(-90)`}
+                    pointerEvents="none"
+                  >
+                    {lines.map((line, idx) => (
+                      <text
+                        key={idx}
+                        y={(idx - (lines.length - 1) / 2) * fontSizes.categoryName * 1.1}
+                        textAnchor="middle"
+                        dominantBaseline="middle"
+                        fontWeight="bold"
+                        fontSize={`${fontSizes.categoryName}px`}
+                        fill={textColorFor(color) === 'white' ? '#fff' : '#333'}
+                      >
+                        {line}
+                      </text>
+                    ))}
+                  </g>
+                </>
+              )}
+
+              {/* Add a subtle background for the entire category group */}
+              <rect
+                x={0}
+                y={yStart}
+                width={totalColsWidth}
+                height={categoryHeight}
+                fill={color}
+                fillOpacity="0.1"
+                stroke="none"
+              />
+            </g>
+          );
+        })}
+
+        {/* Row annotation tracks between the gene names and the cells */}
+        {rowTracks.map((track, k) => (
+          <g key={`row-track-${track.name}`} transform={`translate(${rowTrackX[k]}, 0)`}>
+            <text
+              transform={`translate(${track.width / 2}, -6) rotate(-90)`}
+              fontSize="10px"
+              dominantBaseline="middle"
+            >
+              {track.name}
+            </text>
+            {shownGenes.map((gene, r) => {
+              const mark = trackMark(track, gene);
+              return mark && (
+                <rect
+                  key={`row-track-${k}-${rowStart + r}`}
+                  y={(rowStart + r) * cellHeight + 2}
+                  width={mark.width}
+                  height={cellHeight - 4}
+                  fill={mark.color}
+                  onMouseOver={onRowTrackMouseOver && (e => onRowTrackMouseOver(e, gene))}
+                  onMouseOut={onMouseOut}
+                />
+              );
+            })}
+          </g>
+        ))}
+
+        {/* Gene cells */}
+        {shownGenes.map((gene, k) => {
+          const i = rowStart + k;
+          const isHighlighted = highlighted.has(gene.id);
+          return (
+            <g key={`row-${i}`} transform={`translate(0, ${i * cellHeight})`}>
+              {/* Highlight band behind the gene name */}
+              {isHighlighted && (
+                <rect x={geneNameX - maxGeneNameWidth - 5} y={1} width={maxGeneNameWidth + 18} height={cellHeight - 2} fill="#ffe082" rx={2} />
+              )}
+              {/* Gene names; only highlighted genes are labelled in that mode */}
+              {(labelMode === 'all' || isHighlighted) && (
+                <text
+                  x={geneNameX}
+                  y={cellHeight / 2 + 5}
+                  textAnchor="end"
+                  fontSize={`${fontSizes.geneName}px`}
+                  fontWeight={isHighlighted ? 'bold' : 'normal'}
+                  style={interaction && { cursor: blocksDraggable ? 'grab' : 'pointer', userSelect: 'none' }}
+                  onMouseDown={interaction && blocksDraggable ? e => onGeneMouseDown(e, i) : undefined}
+                  onClick={interaction && !blocksDraggable ? e => onGeneClick(e, i) : undefined}
+                >
+                  {gene.id}
+                </text>
+              )}
+              {/* Gene expression cells */}
+              {gene.values.map((value, j) => {
+                const significance = significanceMarker(significanceValue(gene, j, significanceSource), value, significanceSettings);
+                const marker = significance ? significance.marker : null;
+                const selected = isSelected && isSelected(i, j);
+                const fill = colorOf(value);
+                return (
+                  <g key={`cell-${i}-${j}`} transform={`translate(${colX[j]}, 0)`}>
+                    <rect
+                      width={colWidths[j] - 1}
+                      height={cellHeight - 1}
+                      fill={fill}
+                      stroke={selected ? "#ff9800" : "#fff"}
+                      strokeWidth={selected ? 3 : 1}
+                      style={interaction && { cursor: 'pointer' }}
+                      onMouseDown={onCellMouseDown && (e => onCellMouseDown(e, i, j))}
+                      onMouseOver={onCellMouseOver && (e => onCellMouseOver(e, gene, j, i))}
+                      onMouseOut={onMouseOut}
+                    />
+                    {showFoldChange && (
+                      <text
+                        x={colWidths[j] / 2}
+                        y={cellHeight / 2 + 4}
+                        textAnchor="middle"
+                        fontSize={`${fontSizes.foldChange}px`}
+                        fontWeight={marker === 'bold' ? "bold" : "normal"}
+                        fill={textColorFor(fill)}
+                      >
+                        {formatCellValue(value)}
+                      </text>
+                    )}
+                    {marker === 'circle' && (
+                      <circle
+                        cx={colWidths[j] - 15}
+                        cy={cellHeight / 2}
+                        r={circleRadius(significance.level)}
+                        fill="black"
+                        opacity={0.8}
+                        pointerEvents="none"
+                      />
+                    )}
+                    {marker === 'asterisk' && (
+                      <text
+                        x={colWidths[j] - 4}
+                        y={cellHeight / 2 + 4}
+                        textAnchor="end"
+                        fontSize={`${fontSizes.foldChange}px`}
+                        fontWeight="bold"
+                        fill={textColorFor(fill)}
+                        pointerEvents="none"
+                      >
+                        {asterisks(significance.level)}
+                      </text>
+                    )}
+                    {marker === 'outline' && (
+                      <rect
+                        x={significance.level / 2 + 0.5}
+                        y={significance.level / 2 + 0.5}
+                        width={colWidths[j] - 2 - significance.level}
+                        height={cellHeight - 2 - significance.level}
+                        fill="none"
+                        stroke="black"
+                        strokeWidth={significance.level}
+                        pointerEvents="none"
+                      />
+                    )}
+                  </g>
+                );
+              })}
+              {isHighlighted && (
+                <rect x={0} y={0} width={totalColsWidth - 1} height={cellHeight - 1} fill="none" stroke="#212121" strokeWidth={2} pointerEvents="none" />
+              )}
+            </g>
+          );
+        })}
+        {/* Track legend below the rows */}
+        {trackLegend.map(line => (
+          <g key={`track-legend-${line.name}`} transform={`translate(0, ${line.y})`}>
+            <text x={0} y={0} fontWeight="bold" fontSize="11px">{line.name}:</text>
+            {line.levels.map((level, k) => (
+              <g key={level.value} transform={`translate(${line.swatchX[k]}, 0)`}>
+                <rect y={-9} width={10} height={10} fill={level.color} />
+                <text x={14} y={0} fontSize="11px">{level.value}</text>
+              </g>
+            ))}
+          </g>
+        ))}
+        {/* Rectangle being selected */}
+        {selectionBox && selectionBox.panel === p && (() => {
+          const colA = Math.min(selectionBox.colA, selectionBox.colB);
+          const colB = Math.max(selectionBox.colA, selectionBox.colB);
+          const rowA = Math.min(selectionBox.rowA, selectionBox.rowB);
+          return (
+            <rect
+              x={colX[colA]}
+              y={rowA * cellHeight}
+              width={colX[colB] + colWidths[colB] - colX[colA]}
+              height={(Math.abs(selectionBox.rowB - selectionBox.rowA) + 1) * cellHeight}
+              fill="#1976d2"
+              fillOpacity={0.1}
+              stroke="#1976d2"
+              strokeDasharray="4 2"
+              pointerEvents="none"
+            />
+          );
+        })()}
+        {/* Drop position while dragging */}
+        {dropIndicator && dropIndicator.panel === p && (
+          dropIndicator.axis === 'x' ? (
+            <line x1={dropIndicator.offset} x2={dropIndicator.offset} y1={-30} y2={rowsHeight} stroke="#1976d2" strokeWidth={3} pointerEvents="none" />
+          ) : (
+            <line x1={categoryBoxX} x2={totalColsWidth} y1={dropIndicator.offset} y2={dropIndicator.offset} stroke="#1976d2" strokeWidth={3} pointerEvents="none" />
+          )
+        )}
+      </g>
+    </svg>
+  );
+};
+
+export default HeatmapPanelSvg;
@@ -0,0 +1,387 @@
+import React, { useState, useRef } from 'react';
+import { Box, Typography, Button, TextField, FormControlLabel, Checkbox, LinearProgress, MenuItem } from '@mui/material';
+import { needsColumnMapping, guessMapping, loadSavedMapping, saveMapping, SUPPORTED_EXTENSIONS, addToDatasets, MIXED_KINDS_MESSAGE } from './importers';
+import { isSampleSheet, annotateSamples } from './expression';
+import { createTableParser, ParseCancelledError } from './tableParser';
+import ColumnMappingDialog from './ColumnMappingDialog';
+
+const PROGRESS_STAGES = { loading: 'Reading', parsing: 'Parsing', importing: 'Importing' };
+
+// Default upload size limit; large files are parsed in a worker, so this can be raised
+const DEFAULT_MAX_FILE_SIZE_MB = 100;
+
+// What the uploaded tables hold
+const INPUT_MODES = {
+  results: 'Fold change results',
+  expression: 'Expression matrix + sample sheet'
+};
+
+// Upload UI for ClusteredHeatmap: reads result tables into datasets
+// ([{ sheetName, imports }], see ClusteredHeatmap) and hands them to onLoad
+// as { datasets, fileNames, append }. With append the files join the given
+// datasets. Extra buttons (e.g. for project files) can be passed as children.
+const HeatmapUploader = ({ datasets = [], fileNames = [], onLoad, children }) => {
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null); // { label, value } while files are loading
+  const [maxFileSizeMB, setMaxFileSizeMB] = useState(DEFAULT_MAX_FILE_SIZE_MB);
+  const parserRef = useRef(null); // table parser for the upload in progress
+  const [error, setError] = useState(null);
+  const [skipped, setSkipped] = useState([]); // sheets left out of the last upload
+  const [reviewMapping, setReviewMapping] = useState(false); // open the mapping dialog for every file
+  const [inputMode, setInputMode] = useState('results'); // see INPUT_MODES
+  const [mappingRequest, setMappingRequest] = useState(null); // { table, fileName, initialMapping, resolve, reject }
+
+  // Messages are about the datasets loaded here; they go once others are
+  // shown, e.g. a project opened by the host
+  const loadedRef = useRef(datasets);
+  React.useEffect(() => {
+    if (datasets === loadedRef.current) return;
+    loadedRef.current = datasets;
+    setError(null);
+    setSkipped([]);
+  }, [datasets]);
+  // Import warnings, e.g. p-value columns without a matching comparison
+  const warnings = [
+    ...datasets.flatMap(dataset => dataset.imports.flatMap(imported => imported.warnings || [])),
+    ...skipped
+  ];
+
+  // Handle file upload; with append the files are added to the current session
+  const handleFileUpload = (event, { append = false } = {}) => {
+    const selectedFiles = Array.from(event.target.files || []);
+    if (selectedFiles.length === 0) {
+      setError('No file selected');
+      return;
+    }
+
+    // Added files must be of the kind already loaded; checked before reading
+    const loadedExpression = datasets.some(dataset => dataset.imports.some(imported => imported.valueKind === 'expression'));
+    if (append && datasets.length > 0 && loadedExpression !== (inputMode === 'expression')) {
+      setError(MIXED_KINDS_MESSAGE);
+      event.target.value = '';
+      return;
+    }
+
+    // Reset states
+    setError(null);
+    setLoading(true);
+
+    for (const selectedFile of selectedFiles) {
+      // Basic file validation
+      const extension = selectedFile.name.slice(selectedFile.name.lastIndexOf('.')).toLowerCase();
+      if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        const errorMsg = `Invalid file type: ${selectedFile.name}. Please upload an Excel (.xlsx, .xls), CSV or TSV file`;
+        console.error(errorMsg);
+        setError(errorMsg);
+        setLoading(false);
+        return;
+      }
+
+      if (selectedFile.size > maxFileSizeMB * 1024 * 1024) {
+        const errorMsg = `File is too large: ${selectedFile.name}. Maximum size is ${maxFileSizeMB}MB; raise the limit to load it`;
+        console.error(errorMsg);
+        setError(errorMsg);
+        setLoading(false);
+        return;
+      }
+    }
+
+    // Let the same files be chosen again after a cancel or an error
+    event.target.value = '';
+
+    processFiles(selectedFiles, { append }).catch(error => {
+      console.error('Error processing file:', error);
+      setError(`Error processing file: ${error.message || 'Unknown error'}`);
+      setLoading(false);
+    });
+  };
+
+  // Stop the upload in progress; the previous heatmap, if any, stays
+  const cancelLoading = () => {
+    if (parserRef.current) parserRef.current.cancel();
+    if (mappingRequest) {
+      mappingRequest.reject(new ParseCancelledError());
+      setMappingRequest(null);
+    }
+  };
+
+  // Open the mapping dialog; resolves with the confirmed mapping, rejects on cancel
+  const requestColumnMapping = (table, fileName, initialMapping) => new Promise((resolve, reject) => {
+    setMappingRequest({ table, fileName, initialMapping, resolve, reject });
+  });
+
+  // Read each file with the importer matching its columns. Imports are joined
+  // on gene ID when the datasets are merged. In expression mode sheets with a
+  // sample column are sample sheets, which annotate the samples of every
+  // matrix in the upload, and the other sheets are matrices.
+  const processFiles = async (selectedFiles, { append = false } = {}) => {
+    if (!selectedFiles || selectedFiles.length === 0) {
+      throw new Error('No file provided');
+    }
+    const parser = createTableParser();
+    parserRef.current = parser;
+    try {
+      // Imports grouped into datasets: single-sheet files are joined into one
+      // dataset; sheets of multi-sheet workbooks become one dataset per sheet
+      // name, joined across files that share the sheet name
+      const importsByDataset = new Map();
+      const addImport = (sheetName, imported) => {
+        if (!importsByDataset.has(sheetName)) importsByDataset.set(sheetName, []);
+        importsByDataset.get(sheetName).push(imported);
+      };
+      const sampleSheets = [];
+      const skippedSheets = [];
+      for (const [index, selectedFile] of selectedFiles.entries()) {
+        const fileName = selectedFile.name;
+        const ofFiles = selectedFiles.length > 1 ? ` (${index + 1} of ${selectedFiles.length})` : '';
+        // Reading and parsing take most of the time; importing the rows the rest
+        const reportProgress = (start, weight) => (fraction, stage) => setProgress({
+          label: `${PROGRESS_STAGES[stage]} ${fileName}${ofFiles}...`,
+          value: ((index + start + weight * fraction) / selectedFiles.length) * 100
+        });
+
+        let sheets;
+        try {
+          ({ sheets } = await parser.read(selectedFile, reportProgress(0, 0.7)));
+        } catch (err) {
+          if (err instanceof ParseCancelledError) throw err;
+          console.error('Error reading file:', err);
+          throw new Error(`Failed to read ${fileName}: ${err.message}`);
+        }
+
+        if (inputMode === 'expression') {
+          // A workbook with one matrix and its sample sheet is one dataset
+          const matrixCount = sheets.filter(sheet => !isSampleSheet(sheet.headers)).length;
+          for (const [k, sheet] of sheets.entries()) {
+            if (isSampleSheet(sheet.headers)) {
+              sampleSheets.push(await parser.samples(sheet.tableId));
+              continue;
+            }
+            const imported = await parser.import(
+              sheet.tableId,
+              { fileName, valueKind: 'expression' },
+              reportProgress(0.7 + (0.3 * k) / sheets.length, 0.3 / sheets.length)
+            );
+            addImport(matrixCount > 1 ? sheet.sheetName : null, { ...imported, fileName });
+          }
+          continue;
+        }
+
+        // In a multi-sheet workbook only sheets with recognised columns are
+        // used, unless none are recognised; then the first one is mapped by hand
+        const multiSheet = sheets.length > 1;
+        const recognised = sheet => loadSavedMapping(sheet.headers, { fileName }) || !needsColumnMapping(sheet.headers);
+        let allowPrompt = !multiSheet || !sheets.some(recognised);
+        for (const [k, sheet] of sheets.entries()) {
+          const savedMapping = loadSavedMapping(sheet.headers, { fileName });
+          let mapping = null;
+          if (reviewMapping || (!savedMapping && needsColumnMapping(sheet.headers))) {
+            if (!reviewMapping && !allowPrompt) {
+              skippedSheets.push(`${fileName}: skipped sheet "${sheet.sheetName}" (unrecognised columns)`);
+              continue;
+            }
+            allowPrompt = false;
+            mapping = await requestColumnMapping(
+              { headers: sheet.headers, rows: sheet.preview },
+              multiSheet ? `${fileName} (sheet "${sheet.sheetName}")` : fileName,
+              savedMapping || guessMapping(sheet.headers, { fileName })
+            );
+            saveMapping(sheet.headers, mapping, { fileName });
+          } else if (savedMapping) {
+            mapping = savedMapping;
+          }
+          const imported = await parser.import(
+            sheet.tableId,
+            { fileName, mapping },
+            reportProgress(0.7 + (0.3 * k) / sheets.length, 0.3 / sheets.length)
+          );
+          addImport(multiSheet ? sheet.sheetName : null, { ...imported, fileName });
+        }
+      }
+      // Sample sheets may also come on their own, added to matrices loaded before
+      const annotate = imports => (sampleSheets.length > 0
+        ? imports.map(imported => (imported.valueKind === 'expression' ? annotateSamples(imported, sampleSheets) : imported))
+        : imports);
+      const currentDatasets = append
+        ? datasets.map(dataset => ({ ...dataset, imports: annotate(dataset.imports) }))
+        : [];
+      if (importsByDataset.size === 0 && !(sampleSheets.length > 0 && currentDatasets.length > 0)) {
+        throw new Error(inputMode === 'expression'
+          ? 'No expression matrix was found, only sample sheets'
+          : 'No sheet with recognised columns was found');
+      }
+      importsByDataset.forEach((imports, sheetName) => importsByDataset.set(sheetName, annotate(imports)));
+
+      // Added files join the dataset with the same sheet name, or start a new one
+      const newDatasets = addToDatasets(currentDatasets, importsByDataset);
+
+      loadedRef.current = newDatasets;
+      setSkipped([...(append ? skipped : []), ...skippedSheets]);
+      onLoad({
+        datasets: newDatasets,
+        fileNames: [...(append ? fileNames : []), ...selectedFiles.map(file => file.name)],
+        append
+      });
+
+      setLoading(false);
+    } catch (err) {
+      if (!(err instanceof ParseCancelledError)) {
+        console.error('Error processing data:', err);
+        setError('Failed to process gene expression data: ' + err.message);
+      }
+      setLoading(false);
+    } finally {
+      parser.close();
+      if (parserRef.current === parser) parserRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  return (
+    <>
+      <Box mb={3}>
+        <Typography variant="body1" color="text.secondary" gutterBottom>
+          Upload an Excel, CSV or TSV file containing gene expression data to visualize the clustered heatmap.
+        </Typography>
+        <Box component="ul" sx={{ fontSize: 13, color: 'text.secondary', pl: 3, mb: 1 }}>
+          <li><b>Gene ID</b> — Unique gene identifier</li>
+          <li><b>Log2FC (Condition Name)</b> — Log2 fold change for each comparison. The column header should be in the format <code>Log2FC (Comparison Name)</code> (e.g., <code>Log2FC (Control vs KD)</code>)</li>
+          <li><b>P value (Condition Name)</b> — P-value for each comparison. The column header should be in the format <code>P value (Comparison Name)</code> (e.g., <code>P value (Control vs KD)</code>). P-values are matched to fold changes by comparison name, so column order doesn't matter.</li>
+          <li><b>Adj P value / FDR / q value (Condition Name)</b> — Optional adjusted p-value for each comparison (e.g., <code>FDR (Control vs KD)</code>). Choose which p-value drives the significance markers.</li>
+          <li><b>All Gene Ontology Category</b> — Category or pathway for each gene (e.g., "Triglyceride Metabolism")</li>
+        </Box>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 1 }}>
+          <b>Example of required column headers:</b><br />
+          <code>Gene ID</code>, <code>All Gene Ontology Category</code>, <code>Log2FC (Control vs KD)</code>, <code>P value (Control vs KD)</code>, <code>Log2FC (KD vs Rescue)</code>, <code>P value (KD vs Rescue)</code>, ...
+        </Typography>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
+          You may include additional columns if you wish. The app will automatically detect all comparisons and p-value columns based on their headers; any other column (e.g. <code>baseMean</code>, gene length, biotype or chromosome) can be shown as an annotation track beside the gene names, chosen under <b>Annotation Tracks</b>.
+        </Typography>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
+          <b>DESeq2, edgeR and limma results</b> are also recognised as CSV, TSV or Excel files (<code>log2FoldChange</code>/<code>pvalue</code>, <code>logFC</code>/<code>PValue</code> or <code>logFC</code>/<code>P.Value</code> columns). Upload one file per contrast; each file name becomes the comparison name and genes are joined by ID, with N/A cells where a gene is missing from a file. <b>Add Files</b> joins more results to the current heatmap. Files with other headers open a column-mapping dialog.
+        </Typography>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
+          <b>Expression matrices</b> (normalised counts or TPM) are read in the <i>{INPUT_MODES.expression}</i> input mode: a <code>Gene ID</code> column, an optional category column and one column per sample. Add a sample sheet, as a sheet of the workbook or a file of its own, with a <code>Sample</code> column of the sample names and a column per annotation (e.g. <code>condition</code>, <code>batch</code>, <code>sex</code>); each annotation becomes a coloured track above the columns. Values are shown as log₂(x+1), row z-scores or row-centred values, as chosen above the heatmap.
+        </Typography>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
+          <b>Workbooks with several sheets</b> (e.g. one per tissue or time point) are read sheet by sheet: pick a sheet after uploading, or show every sheet as its own panel with a shared colour scale.
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="Input"
+          value={inputMode}
+          onChange={e => setInputMode(e.target.value)}
+          sx={{ mb: 1, mr: 2, width: 280 }}
+        >
+          {Object.entries(INPUT_MODES).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        <Button
+          variant="outlined"
+          component="label"
+          sx={{ mb: 1 }}
+        >
+          Upload Files
+          <input
+            type="file"
+            accept={SUPPORTED_EXTENSIONS.join(', ')}
+            multiple
+            hidden
+            onChange={handleFileUpload}
+          />
+        </Button>
+        {datasets.length > 0 && (
+          <Button
+            variant="outlined"
+            component="label"
+            sx={{ mb: 1, ml: 2 }}
+          >
+            Add Files
+            <input
+              type="file"
+              accept={SUPPORTED_EXTENSIONS.join(', ')}
+              multiple
+              hidden
+              onChange={e => handleFileUpload(e, { append: true })}
+            />
+          </Button>
+        )}
+        {children}
+        <TextField
+          size="small"
+          type="number"
+          label="Max file size (MB)"
+          value={maxFileSizeMB}
+          inputProps={{ min: 1, step: 10 }}
+          onChange={e => setMaxFileSizeMB(Math.max(1, parseFloat(e.target.value) || DEFAULT_MAX_FILE_SIZE_MB))}
+          sx={{ ml: 2, width: 150 }}
+        />
+        <FormControlLabel
+          sx={{ ml: 2 }}
+          disabled={inputMode === 'expression'}
+          control={<Checkbox size="small" checked={reviewMapping} onChange={e => setReviewMapping(e.target.checked)} />}
+          label={<Typography sx={{ fontSize: 13 }}>Review column mapping for every file</Typography>}
+        />
+        {fileNames.length > 0 && (
+          <Typography sx={{ mt: 1, fontSize: 13, color: 'primary.main' }}>
+            Using {fileNames.length === 1 ? 'file' : 'files'}: {fileNames.join(', ')}
+          </Typography>
+        )}
+      </Box>
+
+      {/* Loading State */}
+      {loading && (
+        <Box py={4} sx={{ maxWidth: 480, mx: 'auto' }}>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {mappingRequest ? `Waiting for the column mapping of ${mappingRequest.fileName}...` : (progress ? progress.label : 'Loading gene expression data...')}
+          </Typography>
+          <LinearProgress variant="determinate" value={progress ? progress.value : 0} />
+          <Box textAlign="center" mt={2}>
+            <Button size="small" variant="outlined" color="inherit" onClick={cancelLoading}>
+              Cancel
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      {/* Error State */}
+      {error && (
+        <Box sx={{ background: '#ffebee', color: '#c62828', p: 2, borderRadius: 2 }}>
+          {error}
+        </Box>
+      )}
+
+      {warnings.length > 0 && (
+        <Box sx={{ background: '#fff8e1', color: '#8d6e00', p: 2, borderRadius: 2, mb: 2, fontSize: 13 }}>
+          {warnings.map((warning, k) => (
+            <div key={k}>{warning}</div>
+          ))}
+        </Box>
+      )}
+
+      {/* Column mapping dialog for unrecognised layouts */}
+      {mappingRequest && (
+        <ColumnMappingDialog
+          key={mappingRequest.fileName}
+          open
+          fileName={mappingRequest.fileName}
+          headers={mappingRequest.table.headers}
+          rows={mappingRequest.table.rows}
+          initialMapping={mappingRequest.initialMapping}
+          onConfirm={mapping => {
+            mappingRequest.resolve(mapping);
+            setMappingRequest(null);
+          }}
+          onCancel={() => {
+            mappingRequest.reject(new Error('Column mapping cancelled'));
+            setMappingRequest(null);
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+export default HeatmapUploader;
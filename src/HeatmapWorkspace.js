@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Box, Card, Typography, Button } from '@mui/material';
+import ClusteredHeatmap from './ClusteredHeatmap';
+import HeatmapUploader from './HeatmapUploader';
+import { DEFAULT_HEATMAP_SETTINGS, fillSettings } from './heatmapSettings';
+import { loadCategoryColors, saveCategoryColor } from './categoryColors';
+import { serializeProject, parseProject, readProjectFile, ProjectFileError, PROJECT_EXTENSION } from './projectFile';
+import { downloadBlob, safeFileName } from './download';
+
+// The app: uploads and project files around one ClusteredHeatmap. The data,
+// settings and selection are held here and passed down, so a whole session
+// can be saved and opened again.
+const HeatmapWorkspace = () => {
+  const [datasets, setDatasets] = useState([]); // [{ sheetName, imports }]
+  const [fileNames, setFileNames] = useState([]);
+  const [settings, setSettings] = useState(() => ({ ...DEFAULT_HEATMAP_SETTINGS, categoryColors: loadCategoryColors() }));
+  const [selection, setSelection] = useState([]); // [{panel, row, col}], see selection.js
+  const [error, setError] = useState(null);
+
+  const changeSettings = changes => setSettings(current => ({ ...current, ...changes }));
+
+  // A new upload starts with the measured column widths, its own comparison
+  // names and the first sheet
+  const handleLoad = ({ datasets: loaded, fileNames: names, append }) => {
+    setDatasets(loaded);
+    setFileNames(names);
+    setError(null);
+    if (!append) changeSettings({ colWidths: {}, comparisonRenames: {}, activeDataset: 0 });
+  };
+
+  const saveProject = () => {
+    const text = serializeProject({ datasets, fileNames, settings: { ...settings, selectedCells: selection } });
+    const baseName = fileNames.length === 1 ? fileNames[0].replace(/\.[^.]+$/, '') : 'gene_heatmap';
+    downloadBlob(new Blob([text], { type: 'application/json' }), `${safeFileName(baseName)}${PROJECT_EXTENSION}`);
+  };
+
+  // Replace the session with a saved project. Settings the project doesn't
+  // have, e.g. ones added since it was saved, go back to their defaults.
+  const openProject = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const project = parseProject(await readProjectFile(file));
+      const restored = fillSettings(project.settings);
+      Object.entries(restored.categoryColors || {}).forEach(([category, color]) => saveCategoryColor(category, color));
+      const { activeDataset } = restored;
+      setSettings({
+        ...DEFAULT_HEATMAP_SETTINGS,
+        ...restored,
+        categoryColors: loadCategoryColors(),
+        activeDataset: activeDataset === 'panels' || activeDataset < project.datasets.length ? activeDataset : 0
+      });
+      setSelection(Array.isArray(project.settings.selectedCells) ? project.settings.selectedCells : []);
+      setDatasets(project.datasets);
+      setFileNames(project.fileNames);
+      setError(null);
+    } catch (err) {
+      console.error('Error opening project:', err);
+      setError(err instanceof ProjectFileError ? err.message : `Could not open ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 1100, mx: 'auto', mt: 6, mb: 6, p: 2 }}>
+      <Card elevation={3} sx={{ p: 4, borderRadius: 3 }}>
+        <Typography variant="h4" fontWeight={700} gutterBottom>
+          Clustered Heatmap of Gene Expression
+        </Typography>
+        <HeatmapUploader datasets={datasets} fileNames={fileNames} onLoad={handleLoad}>
+          <Button
+            variant="outlined"
+            component="label"
+            sx={{ mb: 1, ml: 2 }}
+          >
+            Open Project
+            <input
+              type="file"
+              accept={`${PROJECT_EXTENSION}, .json`}
+              hidden
+              onChange={openProject}
+            />
+          </Button>
+          {datasets.length > 0 && (
+            <Button variant="outlined" sx={{ mb: 1, ml: 2 }} onClick={saveProject}>
+              Save Project
+            </Button>
+          )}
+        </HeatmapUploader>
+        <Typography sx={{ fontSize: 12, color: 'text.secondary', mb: 2 }}>
+          <b>Save Project</b> writes the data and every setting (colours, fonts, column widths, filters, custom orders and the selection) to one <code>{PROJECT_EXTENSION}</code> file; <b>Open Project</b> restores the heatmap exactly as it was saved.
+        </Typography>
+        {error && (
+          <Box sx={{ background: '#ffebee', color: '#c62828', p: 2, borderRadius: 2, mb: 2 }}>
+            {error}
+          </Box>
+        )}
+        <ClusteredHeatmap
+          datasets={datasets}
+          onDatasetsChange={setDatasets}
+          settings={settings}
+          onSettingsChange={changeSettings}
+          selection={selection}
+          onSelectionChange={setSelection}
+        />
+      </Card>
+    </Box>
+  );
+};
+
+export default HeatmapWorkspace;
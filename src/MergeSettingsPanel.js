@@ -0,0 +1,67 @@
+import React from 'react';
+import { Box, Typography, Grid, TextField, FormControl, InputLabel, Select, MenuItem } from '@mui/material';
+import { CATEGORY_RULES, COMPARISON_NAMING } from './importers';
+
+// Options for joining several files on gene ID, and the names shown for each
+// comparison. Renames are keyed by the merged name; a blank or repeated name
+// keeps the merged one.
+const MergeSettingsPanel = ({ settings, onChange, comparisons, renames, onRename, merged = true, categoryConflicts = 0 }) => (
+  <Box>
+    {merged && (
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={6} md={4}>
+          <FormControl fullWidth size="small" variant="outlined">
+            <InputLabel id="category-rule-label">Category Conflicts</InputLabel>
+            <Select
+              labelId="category-rule-label"
+              value={settings.categoryRule}
+              onChange={e => onChange({ ...settings, categoryRule: e.target.value })}
+              label="Category Conflicts"
+            >
+              {Object.entries(CATEGORY_RULES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={4}>
+          <FormControl fullWidth size="small" variant="outlined">
+            <InputLabel id="comparison-naming-label">Comparison Names</InputLabel>
+            <Select
+              labelId="comparison-naming-label"
+              value={settings.comparisonNaming}
+              onChange={e => onChange({ ...settings, comparisonNaming: e.target.value })}
+              label="Comparison Names"
+            >
+              {Object.entries(COMPARISON_NAMING).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <Typography variant="body2" color="text.secondary">
+            {categoryConflicts > 0
+              ? `${categoryConflicts} gene${categoryConflicts === 1 ? ' has' : 's have'} different categories in different files`
+              : 'No category conflicts between files'}
+          </Typography>
+        </Grid>
+      </Grid>
+    )}
+    <Typography sx={{ fontSize: '0.875rem', fontWeight: 600, mb: 1 }}>Comparison names</Typography>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5 }}>
+      {comparisons.map(name => (
+        <TextField
+          key={name}
+          size="small"
+          label={name}
+          value={renames[name] !== undefined ? renames[name] : name}
+          onChange={e => onRename(name, e.target.value)}
+          sx={{ width: 220 }}
+        />
+      ))}
+    </Box>
+  </Box>
+);
+
+export default MergeSettingsPanel;
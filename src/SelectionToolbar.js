@@ -0,0 +1,32 @@
+import React from 'react';
+import { Box, Typography, Button } from '@mui/material';
+
+// Actions on the selected cells: export them, copy their gene IDs, hide or
+// isolate those genes, or open them as a heatmap of their own
+const SelectionToolbar = ({ cellCount, geneCount, message, onExport, onCopy, onHide, onIsolate, onNewHeatmap, onClear }) => {
+  const none = cellCount === 0;
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+      <Button variant="contained" size="small" onClick={onExport} disabled={none}>
+        Export Selection
+      </Button>
+      <Button size="small" onClick={onCopy} disabled={none}>Copy gene IDs</Button>
+      <Button size="small" onClick={onHide} disabled={none}>Hide genes</Button>
+      <Button size="small" onClick={onIsolate} disabled={none}>Isolate genes</Button>
+      <Button size="small" onClick={onNewHeatmap} disabled={none}>New heatmap from selection</Button>
+      <Button size="small" onClick={onClear} disabled={none}>Clear selection</Button>
+      <Typography variant="body2" color="text.secondary">
+        {cellCount} selected{cellCount > 0 ? ` (${geneCount} genes)` : ''}
+      </Typography>
+      {message && (
+        <Typography variant="body2" color="primary.main">{message}</Typography>
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ width: '100%' }}>
+        Click cells, gene names or category boxes to select them, or drag across cells to select a rectangle.
+        Shift-click selects the range from the last click; hold Ctrl or ⌘ while dragging to add to the selection.
+      </Typography>
+    </Box>
+  );
+};
+
+export default SelectionToolbar;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Box, Typography, Grid, TextField, FormControl, InputLabel, Select, MenuItem, Button, IconButton } from '@mui/material';
+import { MARKER_STYLES } from './significance';
+
+// Editor for significance tiers (cutoff + marker style) and the minimum |log2FC|
+const SignificanceSettingsPanel = ({ settings, onChange, pLabel = 'p' }) => {
+  const updateTier = (index, changes) => {
+    onChange({
+      ...settings,
+      tiers: settings.tiers.map((tier, k) => (k === index ? { ...tier, ...changes } : tier))
+    });
+  };
+
+  const addTier = () => {
+    const loosest = Math.max(0, ...settings.tiers.map(tier => tier.threshold || 0));
+    onChange({
+      ...settings,
+      tiers: [...settings.tiers, { threshold: loosest > 0 ? Math.min(1, loosest * 2) : 0.05, marker: 'circle' }]
+    });
+  };
+
+  const removeTier = (index) => {
+    onChange({ ...settings, tiers: settings.tiers.filter((_, k) => k !== index) });
+  };
+
+  return (
+    <Box>
+      <Typography sx={{ fontSize: '0.875rem', fontWeight: 600, mb: 1 }}>Significance tiers</Typography>
+      {settings.tiers.map((tier, index) => (
+        <Grid container spacing={1} alignItems="center" key={index} sx={{ mb: 1 }}>
+          <Grid item xs={5} sm={3}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label={`${pLabel} <`}
+              value={tier.threshold}
+              inputProps={{ step: 0.001, min: 0, max: 1 }}
+              onChange={e => updateTier(index, { threshold: parseFloat(e.target.value) })}
+            />
+          </Grid>
+          <Grid item xs={5} sm={3}>
+            <FormControl fullWidth size="small" variant="outlined">
+              <InputLabel id={`tier-marker-${index}`}>Marker</InputLabel>
+              <Select
+                labelId={`tier-marker-${index}`}
+                value={tier.marker}
+                label="Marker"
+                onChange={e => updateTier(index, { marker: e.target.value })}
+              >
+                {Object.entries(MARKER_STYLES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={2} sm={1}>
+            <IconButton aria-label="Remove tier" size="small" onClick={() => removeTier(index)}>
+              ×
+            </IconButton>
+          </Grid>
+        </Grid>
+      ))}
+      <Grid container spacing={1} alignItems="center">
+        <Grid item>
+          <Button size="small" onClick={addTier}>Add tier</Button>
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Min |log2FC|"
+            value={settings.minAbsLog2FC}
+            inputProps={{ step: 0.1, min: 0 }}
+            onChange={e => onChange({ ...settings, minAbsLog2FC: parseFloat(e.target.value) || 0 })}
+          />
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default SignificanceSettingsPanel;
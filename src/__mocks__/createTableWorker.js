@@ -0,0 +1,6 @@
+// Jest stand-in for createTableWorker.js, which Jest can't load because of
+// `import.meta`: no worker, so tables are parsed on the page. Mapped in the
+// "jest" section of package.json; tests that need a worker mock this module.
+const createTableWorker = () => null;
+
+export default createTableWorker;
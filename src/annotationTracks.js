@@ -0,0 +1,104 @@
+import { ANNOTATION_PALETTE } from './categoryColors';
+
+// Row annotation tracks: extra columns of the result tables (baseMean, gene
+// length, biotype, chromosome, ...) drawn between the gene names and the
+// cells. Columns where every value is a number are numeric tracks, drawn as
+// bars or a colour strip; the others are categorical, one coloured box per value.
+
+export const NUMERIC_TRACK_STYLES = {
+  bar: 'Bars',
+  color: 'Colour strip'
+};
+
+export const TRACK_BOX_WIDTH = 12;
+export const TRACK_BAR_WIDTH = 30;
+export const TRACK_GAP = 4;
+export const TRACK_BAR_COLOR = '#7f7f7f';
+// Colour strip from the lowest to the highest value (ColorBrewer Blues)
+const STRIP_LOW = '#deebf7';
+const STRIP_HIGH = '#08519c';
+
+const naturalOrder = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// What each annotation column holds, over all genes of a dataset, so colours
+// and bar lengths don't change as genes are filtered: [{ name, kind, levels }]
+// for categorical columns (levels in natural sort order) and
+// [{ name, kind, min, max }] for numeric ones. Columns without values are left out.
+export const describeAnnotationColumns = (genes, columns = []) => columns
+  .map(name => {
+    const values = genes
+      .map(gene => (gene.annotations ? gene.annotations[name] : undefined))
+      .filter(value => value !== undefined && value !== null);
+    if (values.length === 0) return null;
+    if (values.every(value => typeof value === 'number')) {
+      return { name, kind: 'numeric', min: Math.min(...values), max: Math.max(...values) };
+    }
+    return { name, kind: 'categorical', levels: [...new Set(values.map(String))].sort(naturalOrder) };
+  })
+  .filter(Boolean);
+
+const hexToRgb = hex => [1, 3, 5].map(k => parseInt(hex.slice(k, k + 2), 16));
+const mixColors = (low, high, t) => {
+  const [a, b] = [hexToRgb(low), hexToRgb(high)];
+  return `#${a.map((c, k) => Math.round(c + (b[k] - c) * t).toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Where a value falls between a numeric column's lowest and highest value, 0 to 1
+const fraction = ({ min, max }, value) => (max > min ? (value - min) / (max - min) : 1);
+
+// The tracks to draw for the columns chosen (names, in order), from a
+// panel's annotation columns: [{ name, kind, style, width, levels, min, max }].
+// Categorical levels get palette colours ({ value, color }), each track
+// continuing where the one before stopped; numeric tracks get their style
+// ('bar' or 'color') and legend levels for their lowest and highest value.
+export const annotationTracks = (annotationColumns, shown, { numericStyle = 'bar' } = {}) => {
+  let next = 0;
+  return shown
+    .map(name => (annotationColumns || []).find(column => column.name === name))
+    .filter(Boolean)
+    .map(column => {
+      if (column.kind === 'numeric') {
+        const style = numericStyle === 'color' ? 'color' : 'bar';
+        return {
+          ...column,
+          style,
+          width: style === 'bar' ? TRACK_BAR_WIDTH : TRACK_BOX_WIDTH,
+          levels: style === 'bar'
+            ? [{ value: `${formatAnnotation(column.min)} – ${formatAnnotation(column.max)}`, color: TRACK_BAR_COLOR }]
+            : [
+              { value: formatAnnotation(column.min), color: STRIP_LOW },
+              { value: formatAnnotation(column.max), color: STRIP_HIGH }
+            ]
+        };
+      }
+      return {
+        ...column,
+        style: 'box',
+        width: TRACK_BOX_WIDTH,
+        levels: column.levels.map(value => ({ value, color: ANNOTATION_PALETTE[next++ % ANNOTATION_PALETTE.length] }))
+      };
+    });
+};
+
+// A gene's mark in a track: { color, width } of its box or bar, or null
+// when the gene has no value
+export const trackMark = (track, gene) => {
+  const value = gene.annotations ? gene.annotations[track.name] : undefined;
+  if (value === undefined || value === null) return null;
+  if (track.style === 'bar') {
+    return { color: TRACK_BAR_COLOR, width: Math.max(1, fraction(track, value) * track.width) };
+  }
+  if (track.style === 'color') {
+    return { color: mixColors(STRIP_LOW, STRIP_HIGH, fraction(track, value)), width: track.width };
+  }
+  const level = track.levels.find(l => l.value === String(value));
+  return level ? { color: level.color, width: track.width } : null;
+};
+
+// Annotation values for labels and tooltips: large numbers rounded, small ones to 3 significant digits
+export const formatAnnotation = (value) => {
+  if (value === undefined || value === null) return 'N/A';
+  if (typeof value !== 'number') return String(value);
+  if (Number.isInteger(value) || Math.abs(value) >= 1000) return Math.round(value).toLocaleString('en-US');
+  return String(Number(value.toPrecision(3)));
+};
@@ -0,0 +1,52 @@
+import {
+  describeAnnotationColumns, annotationTracks, trackMark, formatAnnotation, TRACK_BAR_WIDTH, TRACK_BAR_COLOR
+} from './annotationTracks';
+import { ANNOTATION_PALETTE } from './categoryColors';
+
+const genes = [
+  { id: 'G1', annotations: { baseMean: 10, biotype: 'protein_coding', chromosome: 'chr10' } },
+  { id: 'G2', annotations: { baseMean: 110, biotype: 'lncRNA', chromosome: 'chr2' } },
+  { id: 'G3', annotations: { biotype: 'lncRNA' } },
+  { id: 'G4' }
+];
+
+test('columns of numbers are numeric, the others categorical', () => {
+  expect(describeAnnotationColumns(genes, ['baseMean', 'chromosome', 'empty'])).toEqual([
+    { name: 'baseMean', kind: 'numeric', min: 10, max: 110 },
+    { name: 'chromosome', kind: 'categorical', levels: ['chr2', 'chr10'] }
+  ]);
+  expect(describeAnnotationColumns(genes)).toEqual([]);
+});
+
+test('tracks follow the chosen order and continue the palette', () => {
+  const columns = describeAnnotationColumns(genes, ['baseMean', 'biotype', 'chromosome']);
+  const tracks = annotationTracks(columns, ['chromosome', 'missing', 'biotype']);
+  expect(tracks.map(track => track.name)).toEqual(['chromosome', 'biotype']);
+  expect(tracks[1].levels).toEqual([
+    { value: 'lncRNA', color: ANNOTATION_PALETTE[2] },
+    { value: 'protein_coding', color: ANNOTATION_PALETTE[3] }
+  ]);
+  expect(trackMark(tracks[1], genes[2])).toEqual({ color: ANNOTATION_PALETTE[2], width: tracks[1].width });
+  expect(trackMark(tracks[1], genes[3])).toBeNull();
+});
+
+test('numeric tracks are bars or a colour strip between the lowest and highest value', () => {
+  const columns = describeAnnotationColumns(genes, ['baseMean']);
+  const [bars] = annotationTracks(columns, ['baseMean']);
+  expect(bars.style).toBe('bar');
+  expect(bars.levels).toEqual([{ value: '10 – 110', color: TRACK_BAR_COLOR }]);
+  expect(trackMark(bars, genes[1])).toEqual({ color: TRACK_BAR_COLOR, width: TRACK_BAR_WIDTH });
+  expect(trackMark(bars, genes[0]).width).toBe(1);
+
+  const [strip] = annotationTracks(columns, ['baseMean'], { numericStyle: 'color' });
+  expect(strip.levels.map(level => level.value)).toEqual(['10', '110']);
+  expect(trackMark(strip, genes[0]).color).toBe(strip.levels[0].color);
+  expect(trackMark(strip, genes[1]).color).toBe(strip.levels[1].color);
+});
+
+test('annotation values are formatted for labels and tooltips', () => {
+  expect(formatAnnotation(12345.678)).toBe('12,346');
+  expect(formatAnnotation(0.012345)).toBe('0.0123');
+  expect(formatAnnotation('chr1')).toBe('chr1');
+  expect(formatAnnotation(undefined)).toBe('N/A');
+});
@@ -0,0 +1,59 @@
+// Multi-valued category cells. Gene Ontology annotations are many-to-many, so a
+// cell like "Lipid Metabolism; Immune Response" lists several categories.
+
+export const CATEGORY_DELIMITERS = {
+  ';': 'Semicolon (;)',
+  '|': 'Pipe (|)',
+  ',': 'Comma (,)',
+  '/': 'Slash (/)',
+  none: 'None (whole cell is one category)'
+};
+
+export const MULTI_CATEGORY_MODES = {
+  repeat: 'Repeat gene in each category',
+  primary: 'Primary (first listed) category',
+  matrix: 'Primary category + membership matrix'
+};
+
+// Category names in a cell, in the order listed, without blanks or repeats
+export const splitCategories = (value, delimiter) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  const parts = delimiter && delimiter !== 'none' ? text.split(delimiter) : [text];
+  const names = Array.from(new Set(parts.map(part => part.trim()).filter(Boolean)));
+  return names.length ? names : ['Uncategorized'];
+};
+
+// A category cell listing several categories, joined so splitCategories reads
+// them back
+export const joinCategories = (names, delimiter) => {
+  if (!delimiter || delimiter === 'none') return names.join('; ');
+  return names.join(`${[';', ','].includes(delimiter) ? '' : ' '}${delimiter} `);
+};
+
+const byFirstValue = (a, b) => a.values[0] - b.values[0];
+
+// Arrange genes into category blocks. `category` on the input genes is the raw
+// cell; every output gene gets `categories` (all of its categories) and
+// `category` (the block it is shown in). In repeat mode a gene appears once
+// per category; otherwise it is shown under its first category. Blocks follow
+// the order categories first appear, and genes within a block are sorted from
+// lowest to highest log2FC in the first comparison.
+export const arrangeByCategory = (genes, { delimiter = ';', mode = 'repeat' } = {}) => {
+  const withCategories = genes.map(gene => ({ ...gene, categories: splitCategories(gene.category, delimiter) }));
+  const categories = Array.from(new Set(withCategories.flatMap(gene => gene.categories)));
+
+  const blocks = new Map(categories.map(category => [category, []]));
+  withCategories.forEach(gene => {
+    const shownIn = mode === 'repeat' ? gene.categories : [gene.categories[0]];
+    shownIn.forEach(category => blocks.get(category).push({ ...gene, category }));
+  });
+
+  const arranged = [];
+  const shownCategories = [];
+  blocks.forEach((block, category) => {
+    if (!block.length) return;
+    shownCategories.push(category);
+    arranged.push(...block.sort(byFirstValue));
+  });
+  return { genes: arranged, categories: mode === 'matrix' ? categories : shownCategories };
+};
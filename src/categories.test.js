@@ -0,0 +1,38 @@
+import { splitCategories, arrangeByCategory } from './categories';
+
+const gene = (id, category, value) => ({ id, category, values: [value] });
+
+const genes = [
+  gene('A', 'Lipid Metabolism; Immune Response', 2),
+  gene('B', 'Immune Response', -1),
+  gene('C', 'Lipid Metabolism', 0.5),
+  gene('D', '', 1)
+];
+
+test('splits on the delimiter, trimming blanks and repeats', () => {
+  expect(splitCategories(' Lipid Metabolism ;Immune Response;; Lipid Metabolism', ';'))
+    .toEqual(['Lipid Metabolism', 'Immune Response']);
+  expect(splitCategories('Transport, lipid', 'none')).toEqual(['Transport, lipid']);
+  expect(splitCategories(null, ';')).toEqual(['Uncategorized']);
+});
+
+test('repeat mode shows a gene under each of its categories', () => {
+  const { genes: arranged, categories } = arrangeByCategory(genes, { delimiter: ';', mode: 'repeat' });
+  expect(categories).toEqual(['Lipid Metabolism', 'Immune Response', 'Uncategorized']);
+  expect(arranged.map(g => `${g.id}:${g.category}`)).toEqual([
+    'C:Lipid Metabolism', 'A:Lipid Metabolism', 'B:Immune Response', 'A:Immune Response', 'D:Uncategorized'
+  ]);
+  expect(arranged[1].categories).toEqual(['Lipid Metabolism', 'Immune Response']);
+});
+
+test('primary mode keeps each gene once, under its first category', () => {
+  const { genes: arranged } = arrangeByCategory(genes, { delimiter: ';', mode: 'primary' });
+  expect(arranged.map(g => `${g.id}:${g.category}`)).toEqual([
+    'C:Lipid Metabolism', 'A:Lipid Metabolism', 'B:Immune Response', 'D:Uncategorized'
+  ]);
+});
+
+test('matrix mode lists every category, even ones that are never primary', () => {
+  const { categories } = arrangeByCategory([gene('A', 'X; Y', 1)], { delimiter: ';', mode: 'matrix' });
+  expect(categories).toEqual(['X', 'Y']);
+});
@@ -0,0 +1,61 @@
+// Category sidebar colours. Categories get colours from a qualitative pastel
+// palette in the order they appear; the user can override any of them, and
+// overrides are saved per category name so they carry over to other files.
+
+// ColorBrewer Pastel1 followed by Pastel2, light enough for the label text
+export const CATEGORY_PALETTE = [
+  '#b3cde3', '#ccebc5', '#fed9a6', '#fbb4ae', '#ffffcc', '#decbe4', '#e5d8bd', '#fddaec', '#f2f2f2',
+  '#b3e2cd', '#fdcdac', '#cbd5e8', '#f4cae4', '#e6f5c9', '#fff2ae', '#f1e2cc', '#cccccc'
+];
+
+// Qualitative palette for annotation tracks (ColorBrewer Set2, then Dark2),
+// stronger than the category pastels so tracks stand out next to the cells
+export const ANNOTATION_PALETTE = [
+  '#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3',
+  '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'
+];
+
+const CATEGORY_COLOR_STORAGE_KEY = 'geneHeatmap.categoryColors';
+
+export const loadCategoryColors = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(CATEGORY_COLOR_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Save one override, or remove it when color is null
+export const saveCategoryColor = (category, color) => {
+  const saved = loadCategoryColors();
+  if (color) {
+    saved[category] = color;
+  } else {
+    delete saved[category];
+  }
+  try {
+    window.localStorage.setItem(CATEGORY_COLOR_STORAGE_KEY, JSON.stringify(saved));
+  } catch (err) {
+    console.warn('Could not save category colours:', err);
+  }
+  return saved;
+};
+
+// Map each category to its colour: the saved override if there is one,
+// otherwise the next palette colour not already taken by an override
+export const assignCategoryColors = (categories, overrides = {}) => {
+  const taken = new Set(categories.map(category => overrides[category]).filter(Boolean));
+  const available = CATEGORY_PALETTE.filter(color => !taken.has(color));
+  const palette = available.length ? available : CATEGORY_PALETTE;
+  const colors = {};
+  let next = 0;
+  categories.forEach(category => {
+    if (overrides[category]) {
+      colors[category] = overrides[category];
+    } else {
+      colors[category] = palette[next % palette.length];
+      next += 1;
+    }
+  });
+  return colors;
+};
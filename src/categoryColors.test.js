@@ -0,0 +1,20 @@
+import { assignCategoryColors, loadCategoryColors, saveCategoryColor, CATEGORY_PALETTE } from './categoryColors';
+
+beforeEach(() => window.localStorage.clear());
+
+test('categories get distinct palette colours in order', () => {
+  const colors = assignCategoryColors(['Lipid Metabolism', 'Immune Response', 'Cell Cycle']);
+  expect(Object.values(colors)).toEqual(CATEGORY_PALETTE.slice(0, 3));
+});
+
+test('overrides win and their colours are not reused by other categories', () => {
+  const colors = assignCategoryColors(['A', 'B', 'C'], { B: CATEGORY_PALETTE[0] });
+  expect(colors).toEqual({ A: CATEGORY_PALETTE[1], B: CATEGORY_PALETTE[0], C: CATEGORY_PALETTE[2] });
+});
+
+test('overrides are saved per category name and can be reset', () => {
+  saveCategoryColor('Immune Response', '#123456');
+  expect(loadCategoryColors()).toEqual({ 'Immune Response': '#123456' });
+  expect(saveCategoryColor('Immune Response', null)).toEqual({});
+  expect(loadCategoryColors()).toEqual({});
+});
@@ -0,0 +1,258 @@
+// Agglomerative hierarchical clustering for heatmap rows and columns.
+// Vectors may contain null entries (missing values); distances are computed
+// over the positions where both vectors have a value.
+
+export const DISTANCE_METRICS = {
+  euclidean: 'Euclidean',
+  pearson: 'Pearson (1 - r)',
+  spearman: 'Spearman (1 - rho)',
+  cosine: 'Cosine (1 - cos)'
+};
+
+export const LINKAGE_METHODS = {
+  complete: 'Complete',
+  average: 'Average',
+  single: 'Single',
+  ward: 'Ward'
+};
+
+const isValue = (v) => v !== undefined && v !== null && !Number.isNaN(v);
+
+// Keep only positions where both vectors have a value
+const pairedValues = (a, b) => {
+  const xs = [];
+  const ys = [];
+  for (let k = 0; k < a.length; k++) {
+    if (isValue(a[k]) && isValue(b[k])) {
+      xs.push(a[k]);
+      ys.push(b[k]);
+    }
+  }
+  return [xs, ys];
+};
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return 0;
+  const meanX = xs.reduce((s, v) => s + v, 0) / n;
+  const meanY = ys.reduce((s, v) => s + v, 0) / n;
+  let num = 0;
+  let denX = 0;
+  let denY = 0;
+  for (let k = 0; k < n; k++) {
+    const dx = xs[k] - meanX;
+    const dy = ys[k] - meanY;
+    num += dx * dy;
+    denX += dx * dx;
+    denY += dy * dy;
+  }
+  if (denX === 0 || denY === 0) return 0;
+  return num / Math.sqrt(denX * denY);
+};
+
+// Average ranks, ties share the mean of their positions
+const rank = (values) => {
+  const idx = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < idx.length) {
+    let j = i;
+    while (j + 1 < idx.length && values[idx[j + 1]] === values[idx[i]]) j++;
+    const r = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[idx[k]] = r;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+const distanceFunctions = {
+  euclidean: (a, b) => {
+    const [xs, ys] = pairedValues(a, b);
+    if (xs.length === 0) return 0;
+    let sum = 0;
+    for (let k = 0; k < xs.length; k++) sum += (xs[k] - ys[k]) ** 2;
+    // Scale up so rows with missing values are comparable to complete rows
+    return Math.sqrt(sum * (a.length / xs.length));
+  },
+  pearson: (a, b) => {
+    const [xs, ys] = pairedValues(a, b);
+    return 1 - pearson(xs, ys);
+  },
+  spearman: (a, b) => {
+    const [xs, ys] = pairedValues(a, b);
+    return 1 - pearson(rank(xs), rank(ys));
+  },
+  cosine: (a, b) => {
+    const [xs, ys] = pairedValues(a, b);
+    let dot = 0;
+    let normX = 0;
+    let normY = 0;
+    for (let k = 0; k < xs.length; k++) {
+      dot += xs[k] * ys[k];
+      normX += xs[k] * xs[k];
+      normY += ys[k] * ys[k];
+    }
+    if (normX === 0 || normY === 0) return 1;
+    return 1 - dot / Math.sqrt(normX * normY);
+  }
+};
+
+export const distance = (a, b, metric = 'euclidean') => {
+  const fn = distanceFunctions[metric];
+  if (!fn) throw new Error(`Unknown distance metric: ${metric}`);
+  return fn(a, b);
+};
+
+// Lance-Williams update: distance from the merged cluster (i + j) to k
+const lanceWilliams = (linkage, dik, djk, dij, ni, nj, nk) => {
+  switch (linkage) {
+    case 'single':
+      return Math.min(dik, djk);
+    case 'complete':
+      return Math.max(dik, djk);
+    case 'average':
+      return (ni * dik + nj * djk) / (ni + nj);
+    case 'ward':
+      // Operates on squared distances (Ward.D2)
+      return ((ni + nk) * dik + (nj + nk) * djk - nk * dij) / (ni + nj + nk);
+    default:
+      throw new Error(`Unknown linkage method: ${linkage}`);
+  }
+};
+
+// Most vectors clustered at once. The distance matrix takes n * n * 8 bytes
+// (72 MB at the limit) and merging takes about n * n steps on the main
+// thread, so larger sets are left unclustered by the callers.
+export const MAX_CLUSTER_SIZE = 3000;
+
+// Cluster an array of vectors (at most MAX_CLUSTER_SIZE). Returns the root of
+// the merge tree and the leaf order. Leaves are { index, height: 0, size: 1 };
+// internal nodes are { left, right, height, size }.
+export const hierarchicalCluster = (vectors, { metric = 'euclidean', linkage = 'average' } = {}) => {
+  const n = vectors.length;
+  if (n === 0) return { root: null, order: [] };
+  if (!LINKAGE_METHODS[linkage]) throw new Error(`Unknown linkage method: ${linkage}`);
+  if (n > MAX_CLUSTER_SIZE) throw new Error(`Can't cluster ${n} rows; the limit is ${MAX_CLUSTER_SIZE}`);
+
+  const nodes = vectors.map((v, index) => ({ index, height: 0, size: 1 }));
+  if (n === 1) return { root: nodes[0], order: [0] };
+
+  // Full symmetric distance matrix, squared for Ward
+  const dist = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let d = distance(vectors[i], vectors[j], metric);
+      if (linkage === 'ward') d = d * d;
+      dist[i * n + j] = d;
+      dist[j * n + i] = d;
+    }
+  }
+
+  const active = new Array(n).fill(true);
+  const nearest = new Int32Array(n);
+  const nearestDist = new Float64Array(n);
+  const findNearest = (i) => {
+    let best = -1;
+    let bestDist = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (j === i || !active[j]) continue;
+      const d = dist[i * n + j];
+      if (d < bestDist) {
+        bestDist = d;
+        best = j;
+      }
+    }
+    nearest[i] = best;
+    nearestDist[i] = bestDist;
+  };
+  for (let i = 0; i < n; i++) findNearest(i);
+
+  for (let step = 0; step < n - 1; step++) {
+    // Closest pair among active clusters
+    let i = -1;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && (i === -1 || nearestDist[k] < nearestDist[i])) i = k;
+    }
+    const j = nearest[i];
+    const dij = dist[i * n + j];
+    const ni = nodes[i].size;
+    const nj = nodes[j].size;
+
+    nodes[i] = {
+      left: nodes[i],
+      right: nodes[j],
+      height: linkage === 'ward' ? Math.sqrt(dij) : dij,
+      size: ni + nj
+    };
+    active[j] = false;
+
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i) continue;
+      const d = lanceWilliams(linkage, dist[i * n + k], dist[j * n + k], dij, ni, nj, nodes[k].size);
+      dist[i * n + k] = d;
+      dist[k * n + i] = d;
+    }
+
+    for (let k = 0; k < n; k++) {
+      if (!active[k]) continue;
+      if (k === i || nearest[k] === i || nearest[k] === j) {
+        findNearest(k);
+      } else if (dist[k * n + i] < nearestDist[k]) {
+        nearest[k] = i;
+        nearestDist[k] = dist[k * n + i];
+      }
+    }
+  }
+
+  const root = nodes[active.indexOf(true)];
+  return { root, order: leafOrder(root) };
+};
+
+export const leafOrder = (root) => {
+  const order = [];
+  const stack = root ? [root] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.left) {
+      stack.push(node.right, node.left);
+    } else {
+      order.push(node.index);
+    }
+  }
+  return order;
+};
+
+// Flatten a merge tree into elbow segments for drawing. Positions are in
+// leaf slots (the first leaf is centred at 0.5) and heights are the raw merge
+// heights; the caller scales both to pixels. The tree is walked with an
+// explicit stack, as chained trees can be thousands of levels deep.
+export const dendrogramLinks = (root) => {
+  const links = [];
+  const positions = new Map();
+  let slot = 0;
+  const stack = root ? [{ node: root, expanded: false }] : [];
+  while (stack.length) {
+    const entry = stack.pop();
+    const { node } = entry;
+    if (!node.left) {
+      slot += 1;
+      positions.set(node, slot - 0.5);
+    } else if (!entry.expanded) {
+      // Revisit the node once both subtrees are placed, the left one first
+      entry.expanded = true;
+      stack.push(entry, { node: node.right, expanded: false }, { node: node.left, expanded: false });
+    } else {
+      const leftPos = positions.get(node.left);
+      const rightPos = positions.get(node.right);
+      links.push({
+        from: leftPos,
+        to: rightPos,
+        height: node.height,
+        leftHeight: node.left.height,
+        rightHeight: node.right.height
+      });
+      positions.set(node, (leftPos + rightPos) / 2);
+    }
+  }
+  return links;
+};
@@ -0,0 +1,39 @@
+import { distance, hierarchicalCluster, dendrogramLinks } from './clustering';
+
+test('distance metrics', () => {
+  expect(distance([0, 0], [3, 4], 'euclidean')).toBeCloseTo(5);
+  expect(distance([1, 2, 3], [2, 4, 6], 'pearson')).toBeCloseTo(0);
+  expect(distance([1, 2, 3], [3, 2, 1], 'pearson')).toBeCloseTo(2);
+  expect(distance([1, 2, 30], [1, 5, 6], 'spearman')).toBeCloseTo(0);
+  expect(distance([1, 0], [0, 1], 'cosine')).toBeCloseTo(1);
+});
+
+test('missing values are skipped', () => {
+  expect(distance([1, null, 3], [1, 7, 3], 'euclidean')).toBeCloseTo(0);
+});
+
+test.each(['complete', 'average', 'single', 'ward'])('%s linkage groups close rows together', (linkage) => {
+  const rows = [[0, 0], [10, 10], [0.1, 0], [10, 10.2], [5, 5]];
+  const { root, order } = hierarchicalCluster(rows, { linkage });
+  expect(order).toHaveLength(5);
+  expect(Math.abs(order.indexOf(0) - order.indexOf(2))).toBe(1);
+  expect(Math.abs(order.indexOf(1) - order.indexOf(3))).toBe(1);
+  expect(root.size).toBe(5);
+
+  const links = dendrogramLinks(root);
+  expect(links).toHaveLength(4);
+  expect(Math.max(...links.map(link => link.height))).toBe(root.height);
+});
+
+test('dendrograms of chained trees too deep to recurse are drawn', () => {
+  // Each merge adds one leaf to the cluster so far, as single linkage does
+  // for evenly spaced rows
+  let root = { index: 0, height: 0, size: 1 };
+  for (let i = 1; i < 50000; i++) {
+    root = { left: root, right: { index: i, height: 0, size: 1 }, height: i, size: i + 1 };
+  }
+  const links = dendrogramLinks(root);
+  expect(links).toHaveLength(49999);
+  expect(links[0]).toEqual({ from: 0.5, to: 1.5, height: 1, leftHeight: 0, rightHeight: 0 });
+  expect(links[links.length - 1]).toMatchObject({ to: 49999.5, height: 49999 });
+});
@@ -0,0 +1,101 @@
+import * as d3 from 'd3';
+
+// Colour palettes for the heatmap cells. Each interpolator maps t in [0, 1]
+// (low to high) to a colour; diverging palettes put their neutral colour at 0.5.
+const classicRedsBlues = (t) => (t < 0.5 ? d3.interpolateBlues((0.5 - t) * 2) : d3.interpolateReds((t - 0.5) * 2));
+
+export const PALETTES = {
+  classic: { label: 'Blues / Reds (classic)', interpolator: classicRedsBlues },
+  RdBu: { label: 'RdBu', interpolator: t => d3.interpolateRdBu(1 - t) },
+  PuOr: { label: 'PuOr (colour-blind safe)', interpolator: t => d3.interpolatePuOr(1 - t) },
+  BrBG: { label: 'BrBG (colour-blind safe)', interpolator: t => d3.interpolateBrBG(1 - t) },
+  RdYlBu: { label: 'RdYlBu (colour-blind safe)', interpolator: t => d3.interpolateRdYlBu(1 - t) },
+  viridis: { label: 'Viridis', interpolator: d3.interpolateViridis },
+  cividis: { label: 'Cividis (colour-blind safe)', interpolator: d3.interpolateCividis },
+  custom: { label: 'Custom', interpolator: null }
+};
+
+export const DEFAULT_COLOR_SETTINGS = {
+  palette: 'classic',
+  customColors: { low: '#2166ac', mid: '#f7f7f7', high: '#b2182b', useMid: true },
+  domainMode: 'manual', // manual, percentile
+  domain: { min: -3, mid: 0, max: 3 },
+  clipPercentile: 2
+};
+
+export const MISSING_COLOR = '#f9f9f9';
+
+// Custom palettes: two stops (low -> high) or three (low -> mid -> high)
+const customInterpolator = ({ low, mid, high, useMid }) => {
+  if (!useMid) return d3.interpolateRgb(low, high);
+  const lower = d3.interpolateRgb(low, mid);
+  const upper = d3.interpolateRgb(mid, high);
+  return t => (t < 0.5 ? lower(t * 2) : upper((t - 0.5) * 2));
+};
+
+// Signed log2(|v| + 1), used by the log scale
+const signedLog = (v) => (v === 0 ? 0 : Math.sign(v) * Math.log2(Math.abs(v) + 1));
+
+// Domain for percentile clipping: the p-th and (100 - p)-th percentiles of the data
+export const percentileDomain = (values, percentile) => {
+  const sorted = values.filter(v => v !== null && v !== undefined && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return { min: -1, max: 1 };
+  return {
+    min: d3.quantileSorted(sorted, percentile / 100),
+    max: d3.quantileSorted(sorted, 1 - percentile / 100)
+  };
+};
+
+// Build the cell colour function and a matching legend description.
+//   type: linear | log | quantile
+//   domain: { min, mid, max } in fold-change units; values outside are clipped
+//   values: every value in the matrix (used by the quantile scale)
+export const buildColorScale = ({ type, palette, customColors, domain, values }) => {
+  const interpolator = palette === 'custom'
+    ? customInterpolator(customColors)
+    : (PALETTES[palette] || PALETTES.classic).interpolator;
+
+  if (type === 'quantile') {
+    const finite = values.filter(v => v !== null && v !== undefined && Number.isFinite(v));
+    const steps = 7;
+    const colors = d3.range(steps).map(k => interpolator(k / (steps - 1)));
+    const scale = d3.scaleQuantile().domain(finite.length ? finite : [0]).range(colors);
+    const thresholds = scale.quantiles();
+    return {
+      color: v => scale(v),
+      legend: {
+        type: 'discrete',
+        swatches: colors.map((color, k) => ({
+          color,
+          label: k === 0 ? `< ${thresholds[0].toFixed(1)}` : `≥ ${thresholds[k - 1].toFixed(1)}`
+        }))
+      }
+    };
+  }
+
+  const transform = type === 'log' ? signedLog : (v => v);
+  const min = Math.min(domain.min, domain.max);
+  const max = Math.max(domain.min, domain.max);
+  const mid = Math.min(Math.max(domain.mid, min), max);
+  const tMin = transform(min);
+  const tMid = transform(mid);
+  const tMax = transform(max);
+  const scale = d3.scaleDiverging([tMin, tMid === tMin ? tMin + 1e-9 : tMid, tMax === tMid ? tMid + 1e-9 : tMax], interpolator).clamp(true);
+
+  // Legend ticks in fold-change units, positioned on the transformed axis
+  const ticks = d3.ticks(min, max, 7);
+  const position = v => (tMax === tMin ? 0.5 : (transform(v) - tMin) / (tMax - tMin));
+  return {
+    color: v => scale(transform(v)),
+    legend: {
+      type: 'continuous',
+      stops: d3.range(21).map(k => ({ offset: k / 20, color: scale(tMin + (tMax - tMin) * (k / 20)) })),
+      ticks: ticks.map(v => ({ value: v, position: position(v) })),
+      min,
+      max
+    }
+  };
+};
+
+// Black or white text, whichever reads better on the given fill
+export const textColorFor = (fill) => (d3.lab(fill).l < 60 ? 'white' : 'black');
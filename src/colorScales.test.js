@@ -0,0 +1,63 @@
+import { PALETTES, DEFAULT_COLOR_SETTINGS, buildColorScale, percentileDomain, textColorFor } from './colorScales';
+
+const linear = (domain, options = {}) => buildColorScale({
+  type: 'linear', palette: 'RdBu', customColors: DEFAULT_COLOR_SETTINGS.customColors, domain, values: [], ...options
+});
+
+test('every palette runs from its low to its high colour', () => {
+  Object.entries(PALETTES).filter(([, palette]) => palette.interpolator).forEach(([name, { interpolator }]) => {
+    expect(interpolator(0)).not.toBe(interpolator(1));
+    const scale = buildColorScale({ type: 'linear', palette: name, domain: { min: -2, mid: 0, max: 2 }, values: [] });
+    expect(scale.color(-2)).toBe(scale.legend.stops[0].color);
+    expect(scale.color(2)).toBe(scale.legend.stops[20].color);
+  });
+});
+
+test('the midpoint gets the neutral colour in symmetric and asymmetric domains', () => {
+  const symmetric = linear({ min: -3, mid: 0, max: 3 });
+  const asymmetric = linear({ min: -1, mid: 0, max: 4 });
+  const neutral = PALETTES.RdBu.interpolator(0.5);
+  expect(symmetric.color(0)).toBe(neutral);
+  expect(asymmetric.color(0)).toBe(neutral);
+  // Each side is stretched to its own end of the palette
+  expect(asymmetric.color(-1)).toBe(symmetric.color(-3));
+  expect(asymmetric.color(4)).toBe(symmetric.color(3));
+  // Values beyond the domain are clipped; min and max may come swapped
+  expect(asymmetric.color(10)).toBe(asymmetric.color(4));
+  expect(linear({ min: 4, mid: 0, max: -1 }).legend).toMatchObject({ min: -1, max: 4 });
+  expect(asymmetric.legend.ticks[0]).toEqual({ value: -1, position: 0 });
+});
+
+test('custom colours centre on the midpoint, or run straight from low to high', () => {
+  const customColors = { low: '#0000ff', mid: '#ffffff', high: '#ff0000', useMid: true };
+  const withMid = linear({ min: 0, mid: 1, max: 4 }, { palette: 'custom', customColors });
+  expect(withMid.color(1)).toBe('rgb(255, 255, 255)');
+  expect(withMid.color(0)).toBe('rgb(0, 0, 255)');
+  expect(withMid.color(4)).toBe('rgb(255, 0, 0)');
+  const twoStops = linear({ min: -1, mid: 0, max: 1 }, { palette: 'custom', customColors: { ...customColors, useMid: false } });
+  expect(twoStops.color(0)).toBe('rgb(128, 0, 128)');
+  // A midpoint outside the domain is moved to its edge, leaving one side of the palette
+  expect(linear({ min: 0, mid: -5, max: 2 }, { palette: 'custom', customColors }).color(1)).toBe('rgb(255, 128, 128)');
+});
+
+test('all-equal values and empty domains still give colours', () => {
+  const flat = linear({ min: 1, mid: 1, max: 1 });
+  expect(flat.color(1)).toMatch(/^rgb/);
+  expect(flat.legend.ticks.every(tick => Number.isFinite(tick.position))).toBe(true);
+
+  const quantileOf = values => buildColorScale({ type: 'quantile', palette: 'viridis', domain: DEFAULT_COLOR_SETTINGS.domain, values });
+  const equal = quantileOf([2, 2, 2, null]);
+  expect(equal.color(2)).toMatch(/^#|^rgb/);
+  expect(equal.legend.swatches).toHaveLength(7);
+  const empty = quantileOf([null, NaN]);
+  expect(empty.color(0)).toBeDefined();
+  expect(empty.legend.swatches.map(swatch => swatch.label).slice(0, 2)).toEqual(['< 0.0', '≥ 0.0']);
+
+  expect(percentileDomain([], 2)).toEqual({ min: -1, max: 1 });
+  expect(percentileDomain([1, 2, 3, 4, 5], 0)).toEqual({ min: 1, max: 5 });
+});
+
+test('text is white on dark fills and black on light ones', () => {
+  expect(textColorFor('#08306b')).toBe('white');
+  expect(textColorFor('#f7f7f7')).toBe('black');
+});
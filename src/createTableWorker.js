@@ -0,0 +1,15 @@
+// Start the table parser worker, or return null where workers aren't
+// available so the parser falls back to parsing on the page. Kept in its own
+// module because the bundler needs the literal `new URL(..., import.meta.url)`,
+// which Jest can't parse; Jest maps it to __mocks__/createTableWorker.js.
+const createTableWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./tableWorker.js', import.meta.url));
+  } catch (err) {
+    console.warn('Could not start the parser worker, parsing on the page instead:', err);
+    return null;
+  }
+};
+
+export default createTableWorker;
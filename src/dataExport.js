@@ -0,0 +1,83 @@
+import * as XLSX from 'xlsx';
+
+// The processed data as XLSX workbooks, for the downloads and the headless renderer
+
+// Rows and headers for the XLSX exports: fold changes, then p-values, then adjusted p-values,
+// then p-values corrected in the app when a correction method is chosen.
+// Expression data has the values as loaded, then the transformed values
+// (named by valueLabel), instead.
+export const buildExportSheet = (genes, comparisons, correctionLabel = null, { valueKind, valueLabel = 'Value' } = {}) => {
+  // Genes with several categories also get the full list
+  const multiCategory = genes.some(gene => gene.categories && gene.categories.length > 1);
+  const valueColumns = valueKind === 'expression'
+    ? [
+      { label: 'Expression', of: gene => gene.rawValues || gene.values },
+      { label: valueLabel, of: gene => gene.values }
+    ]
+    : [
+      { label: 'Log2FC', of: gene => gene.values },
+      { label: 'P-value', of: gene => gene.pValues },
+      { label: 'Adj. P-value', of: gene => gene.adjPValues },
+      ...(correctionLabel ? [{ label: `${correctionLabel} P-value`, of: gene => gene.correctedPValues }] : [])
+    ];
+  const headers = [
+    "Gene ID",
+    "Category",
+    ...(multiCategory ? ["All Categories"] : []),
+    ...valueColumns.flatMap(column => comparisons.map(name => `${column.label} (${name})`))
+  ];
+  const orNA = v => v !== undefined && v !== null ? v : "N/A";
+  const outRows = genes.map(gene => {
+    const obj = {
+      "Gene ID": gene.id,
+      "Category": gene.category
+    };
+    if (multiCategory) obj["All Categories"] = gene.categories.join('; ');
+    valueColumns.forEach(column => {
+      const values = column.of(gene);
+      comparisons.forEach((name, i) => {
+        obj[`${column.label} (${name})`] = orNA(values[i]);
+      });
+    });
+    return obj;
+  });
+  return { headers, outRows };
+};
+
+const SHEET_NAME_LENGTH = 31;
+
+// Sheet names cut to the 31 characters Excel allows. Names that are then
+// the same (Excel ignores case) get a number, "Name (2)", within the 31 characters.
+export const uniqueSheetNames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    let sheetName = name.slice(0, SHEET_NAME_LENGTH);
+    for (let k = 2; used.has(sheetName.toLowerCase()); k++) {
+      const suffix = ` (${k})`;
+      sheetName = `${name.slice(0, SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+  });
+};
+
+// Workbook with one worksheet per table: [{ sheetName, genes, comparisons,
+// valueKind }]. Sheet names are made unique (see uniqueSheetNames).
+// valueLabel names transformed expression values.
+export const exportWorkbook = (tables, correctionLabel = null, valueLabel = 'Value') => {
+  const workbook = XLSX.utils.book_new();
+  const sheetNames = uniqueSheetNames(tables.map(table => table.sheetName));
+  tables.forEach(({ genes, comparisons, valueKind }, t) => {
+    const { headers, outRows } = buildExportSheet(genes, comparisons, correctionLabel, { valueKind, valueLabel });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(outRows, { header: headers }), sheetNames[t]);
+  });
+  return workbook;
+};
+
+// Every gene of every panel, one worksheet per panel when several are shown
+export const processedDataWorkbook = (panels, correctionLabel = null, valueLabel = 'Value') => exportWorkbook(panels.map(panel => ({
+  sheetName: panels.length > 1 ? panel.name : 'Processed Data',
+  genes: panel.heatmapData.genes,
+  comparisons: panel.heatmapData.comparisons,
+  valueKind: panel.heatmapData.valueKind
+})), correctionLabel, valueLabel);
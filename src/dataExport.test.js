@@ -0,0 +1,24 @@
+import { buildExportSheet, exportWorkbook, uniqueSheetNames } from './dataExport';
+
+const genes = [
+  { id: 'Apoe', category: 'Lipid', categories: ['Lipid'], values: [1.5], pValues: [0.01], adjPValues: [null] }
+];
+
+test('export sheets list fold changes, then p-values, with N/A for missing values', () => {
+  const { headers, outRows } = buildExportSheet(genes, ['KD']);
+  expect(headers).toEqual(['Gene ID', 'Category', 'Log2FC (KD)', 'P-value (KD)', 'Adj. P-value (KD)']);
+  expect(outRows[0]).toMatchObject({ 'Log2FC (KD)': 1.5, 'Adj. P-value (KD)': 'N/A' });
+});
+
+test('sheet names cut to 31 characters stay unique', () => {
+  const long = 'Knockdown versus control in liver';
+  expect(uniqueSheetNames([`${long} A`, `${long} B`, 'Liver', 'liver'])).toEqual([
+    'Knockdown versus control in liv',
+    'Knockdown versus control in (2)',
+    'Liver',
+    'liver (2)'
+  ]);
+
+  const tables = [`${long} A`, `${long} B`].map(sheetName => ({ sheetName, genes, comparisons: ['KD'] }));
+  expect(exportWorkbook(tables).SheetNames).toEqual(['Knockdown versus control in liv', 'Knockdown versus control in (2)']);
+});
@@ -0,0 +1,16 @@
+// Saving files from the browser
+
+// Names (e.g. sheet names) as file name parts
+export const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_');
+
+// Save a Blob through a temporary download link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const downloadLink = document.createElement('a');
+  downloadLink.href = url;
+  downloadLink.download = fileName;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+  URL.revokeObjectURL(url);
+};
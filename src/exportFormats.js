@@ -0,0 +1,155 @@
+// Publication exports: physical figure sizes, resolutions and fonts, plus
+// the encoders the browser doesn't provide (PNG resolution metadata and TIFF).
+
+export const EXPORT_FORMATS = {
+  pdf: 'PDF (vector)',
+  svg: 'SVG (vector)',
+  png: 'PNG',
+  tiff: 'TIFF'
+};
+export const RASTER_FORMATS = ['png', 'tiff'];
+export const DPI_OPTIONS = [150, 300, 600, 1200];
+
+export const MM_PER_INCH = 25.4;
+export const SIZE_UNITS = { mm: 'mm', in: 'inches' };
+export const toInches = (value, unit) => (unit === 'mm' ? value / MM_PER_INCH : value);
+export const fromInches = (inches, unit) => (unit === 'mm' ? inches * MM_PER_INCH : inches);
+
+// Common journal figure widths
+export const WIDTH_PRESETS = {
+  single: { label: 'Single column (85 mm)', mm: 85 },
+  oneAndHalf: { label: '1.5 columns (114 mm)', mm: 114 },
+  double: { label: 'Double column (174 mm)', mm: 174 },
+  custom: { label: 'Custom width' }
+};
+
+// Fonts the figure can be set in. PDFs use the matching standard PDF font,
+// which every reader provides, so the text needs no embedding.
+export const EXPORT_FONTS = {
+  arial: { label: 'Arial / Helvetica', css: 'Arial, Helvetica, sans-serif', pdf: 'Helvetica' },
+  times: { label: 'Times New Roman', css: "'Times New Roman', Times, serif", pdf: 'Times' },
+  courier: { label: 'Courier New', css: "'Courier New', Courier, monospace", pdf: 'Courier' }
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'pdf',
+  widthPreset: 'double',
+  width: 174,
+  unit: 'mm',
+  dpi: 300,
+  font: 'arial', // a key of EXPORT_FONTS, or 'embed' to embed fontFile (not in PDFs)
+  fontFile: null, // { name, dataUrl } of an uploaded font, when font is 'embed'
+  legend: true,
+  sidebar: true
+};
+
+// Browsers refuse canvases beyond these limits
+const MAX_CANVAS_SIDE = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+// Pixel size of a raster export: the figure's aspect ratio at the target
+// width. tooLarge is set when a browser canvas can't hold the image.
+export const rasterSize = (figureWidth, figureHeight, widthInches, dpi) => {
+  const width = Math.max(1, Math.round(widthInches * dpi));
+  const height = Math.max(1, Math.round(width * figureHeight / figureWidth));
+  return { width, height, tooLarge: width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE || width * height > MAX_CANVAS_AREA };
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A PNG with its resolution recorded: a pHYs chunk right after the header
+// chunk, replacing any the encoder wrote
+export const pngWithDpi = (png, dpi) => {
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Signature (8 bytes), then chunks of length, type, data and CRC
+  const input = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const parts = [png.subarray(0, 8)];
+  for (let offset = 8; offset < png.length;) {
+    const length = input.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') parts.push(png.subarray(offset, end));
+    if (type === 'IHDR') parts.push(chunk);
+    offset = end;
+  }
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    out.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return out;
+};
+
+// Baseline TIFF: uncompressed 8-bit RGB in one strip, with the resolution
+// in dots per inch. rgba is canvas ImageData data; alpha is dropped.
+export const encodeTiff = ({ width, height, data: rgba }, dpi) => {
+  const entries = [
+    [256, 4, 1, width], // ImageWidth
+    [257, 4, 1, height], // ImageLength
+    [258, 3, 3, 'bitsPerSample'], // BitsPerSample: 8, 8, 8
+    [259, 3, 1, 1], // Compression: none
+    [262, 3, 1, 2], // PhotometricInterpretation: RGB
+    [273, 4, 1, 'pixels'], // StripOffsets
+    [277, 3, 1, 3], // SamplesPerPixel
+    [278, 4, 1, height], // RowsPerStrip
+    [279, 4, 1, width * height * 3], // StripByteCounts
+    [282, 5, 1, 'xResolution'],
+    [283, 5, 1, 'yResolution'],
+    [296, 3, 1, 2] // ResolutionUnit: inch
+  ];
+  const ifdOffset = 8;
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const offsets = { bitsPerSample: ifdOffset + ifdSize };
+  offsets.xResolution = offsets.bitsPerSample + 6;
+  offsets.yResolution = offsets.xResolution + 8;
+  offsets.pixels = offsets.yResolution + 8;
+
+  const out = new Uint8Array(offsets.pixels + width * height * 3);
+  const view = new DataView(out.buffer);
+  out.set([0x49, 0x49, 42, 0]); // little-endian 'II', 42
+  view.setUint32(4, ifdOffset, true);
+  view.setUint16(ifdOffset, entries.length, true);
+  entries.forEach(([tag, type, count, value], k) => {
+    const at = ifdOffset + 2 + k * 12;
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, count, true);
+    const resolved = typeof value === 'string' ? offsets[value] : value;
+    if (type === 3 && count === 1) {
+      view.setUint16(at + 8, resolved, true);
+    } else {
+      view.setUint32(at + 8, resolved, true);
+    }
+  });
+  view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // no further IFDs
+  [0, 2, 4].forEach(k => view.setUint16(offsets.bitsPerSample + k, 8, true));
+  [offsets.xResolution, offsets.yResolution].forEach(at => {
+    view.setUint32(at, Math.round(dpi), true);
+    view.setUint32(at + 4, 1, true);
+  });
+  for (let i = 0, o = offsets.pixels; i < width * height; i++, o += 3) {
+    out[o] = rgba[i * 4];
+    out[o + 1] = rgba[i * 4 + 1];
+    out[o + 2] = rgba[i * 4 + 2];
+  }
+  return out;
+};
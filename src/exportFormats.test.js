@@ -0,0 +1,51 @@
+import { rasterSize, toInches, crc32, pngWithDpi, encodeTiff } from './exportFormats';
+
+const bytes = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+test('raster sizes follow the physical width and resolution', () => {
+  expect(rasterSize(800, 400, toInches(174, 'mm'), 300)).toEqual({ width: 2055, height: 1028, tooLarge: false });
+  expect(rasterSize(100, 4000, 10, 1200).tooLarge).toBe(true);
+});
+
+test('PNG resolution is written as a pHYs chunk after the header', () => {
+  expect(crc32(bytes('IEND'))).toBe(0xae426082);
+  const chunk = (type, data) => {
+    const out = new Uint8Array(12 + data.length);
+    new DataView(out.buffer).setUint32(0, data.length);
+    out.set(bytes(type), 4);
+    out.set(data, 8);
+    new DataView(out.buffer).setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+  };
+  const png = Uint8Array.from([
+    ...[137, 80, 78, 71, 13, 10, 26, 10],
+    ...chunk('IHDR', new Uint8Array(13)),
+    ...chunk('pHYs', new Uint8Array(9)),
+    ...chunk('IEND', new Uint8Array(0))
+  ]);
+  const out = pngWithDpi(png, 300);
+  expect(out.length).toBe(png.length);
+  expect(String.fromCharCode(...out.subarray(37, 41))).toBe('pHYs');
+  const view = new DataView(out.buffer);
+  expect(view.getUint32(41)).toBe(11811);
+  expect(out[49]).toBe(1);
+  expect(view.getUint32(50)).toBe(crc32(out.subarray(37, 50)));
+});
+
+test('TIFFs are uncompressed RGB with the resolution in inches', () => {
+  const tiff = encodeTiff({ width: 2, height: 1, data: Uint8Array.from([255, 0, 0, 255, 0, 0, 255, 128]) }, 600);
+  const view = new DataView(tiff.buffer);
+  expect(String.fromCharCode(tiff[0], tiff[1])).toBe('II');
+  expect(view.getUint16(2, true)).toBe(42);
+  const entries = view.getUint16(8, true);
+  const tag = id => {
+    for (let k = 0; k < entries; k++) {
+      const at = 10 + k * 12;
+      if (view.getUint16(at, true) === id) return view.getUint32(at + 8, true);
+    }
+    return null;
+  };
+  expect(tag(256)).toBe(2);
+  expect(view.getUint32(tag(282), true)).toBe(600);
+  expect([...tiff.subarray(tag(273))]).toEqual([255, 0, 0, 0, 0, 255]);
+});
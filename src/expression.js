@@ -0,0 +1,150 @@
+import { findIdColumn, findCategoryColumn, importWithMapping, parseNumber } from './importers';
+import { ANNOTATION_PALETTE } from './categoryColors';
+
+// Expression matrices: genes × samples of normalised counts or TPM, shown as
+// the classic sample-level heatmap instead of fold changes. Samples take the
+// place of comparisons, so the rest of the app draws them as columns; the
+// values are transformed per gene (log2, row z-score or centering) before
+// they are sorted, clustered and coloured. A sample sheet annotates the
+// samples (condition, batch, sex, ...) for the coloured tracks above the columns.
+
+// How rows are scaled after the optional log2(x+1)
+export const ROW_SCALINGS = {
+  none: 'None',
+  zscore: 'Row z-score',
+  center: 'Row centering (minus the row mean)'
+};
+
+export const DEFAULT_EXPRESSION_TRANSFORM = { log2: true, scaling: 'zscore' };
+
+// One gene's values, transformed. Missing values stay missing and are left
+// out of the row mean and standard deviation; log2(x+1) of values below -1
+// has no value. A row without spread z-scores to 0.
+export const transformValues = (values, { log2 = false, scaling = 'none' } = {}) => {
+  const logged = values.map(v => {
+    if (v === null || v === undefined) return null;
+    if (!log2) return v;
+    return v > -1 ? Math.log2(v + 1) : null;
+  });
+  if (scaling === 'none') return logged;
+  const present = logged.filter(v => v !== null);
+  if (present.length === 0) return logged;
+  const mean = present.reduce((a, b) => a + b, 0) / present.length;
+  if (scaling === 'center') return logged.map(v => (v === null ? null : v - mean));
+  const sd = present.length > 1
+    ? Math.sqrt(present.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (present.length - 1))
+    : 0;
+  return logged.map(v => (v === null ? null : (sd > 0 ? (v - mean) / sd : 0)));
+};
+
+// Genes with transformed values; the values as loaded are kept in rawValues
+export const transformGenes = (genes, transform) => genes.map(gene => ({
+  ...gene,
+  rawValues: gene.values,
+  values: transformValues(gene.values, transform)
+}));
+
+// What the transformed values are, for the colour legend, e.g. "Row z-score of log₂(x+1)"
+export const expressionValueLabel = ({ log2, scaling }) => {
+  const values = log2 ? 'log₂(x+1)' : 'expression';
+  if (scaling === 'zscore') return `Row z-score of ${values}`;
+  if (scaling === 'center') return `Row-centred ${values}`;
+  return log2 ? 'Log₂(x+1) expression' : 'Expression';
+};
+
+// Header of the sample name column in a sample sheet
+const sampleColumnPattern = /^samples?(?:[ _.]?(?:id|name))?$/i;
+
+export const findSampleColumn = (headers) => headers.find(h => sampleColumnPattern.test(h.trim()));
+
+// Sample sheets are recognised by a "Sample" (or "Sample ID", "sample_name") column
+export const isSampleSheet = (headers) => !!findSampleColumn(headers);
+
+// A sample sheet ({ headers, rows }) as { tracks, samples }: tracks are the
+// annotation columns in sheet order, samples map sample names to their
+// annotations ({ condition: 'KD', batch: '1', ... }). Blank cells are left out.
+export const parseSampleSheet = ({ headers, rows }) => {
+  const sampleColumn = findSampleColumn(headers);
+  if (!sampleColumn) {
+    throw new Error('No sample column found. Expected a "Sample" column with the sample names');
+  }
+  const tracks = headers.filter(h => h !== sampleColumn && !h.startsWith('__EMPTY'));
+  const samples = {};
+  rows.forEach(row => {
+    const sample = row[sampleColumn];
+    if (sample === undefined || sample === null || String(sample).trim() === '') return;
+    const annotations = {};
+    tracks.forEach(track => {
+      const value = row[track];
+      if (value !== undefined && value !== null && String(value).trim() !== '') annotations[track] = String(value).trim();
+    });
+    samples[String(sample).trim()] = annotations;
+  });
+  return { tracks, samples };
+};
+
+// Column mapping for a matrix: the gene ID column (or the first column), an
+// optional category column, and every other column with numbers as a sample
+export const matrixMapping = ({ headers, rows }) => {
+  const idColumn = findIdColumn(headers) || headers[0];
+  const categoryColumn = findCategoryColumn(headers) || '';
+  const samples = headers.filter(h => h !== idColumn && h !== categoryColumn
+    && rows.some(row => parseNumber(row[h]) !== null));
+  return {
+    idColumn,
+    categoryColumn,
+    comparisons: samples.map(name => ({ name, logFCColumn: name, pValueColumn: '', adjPValueColumn: '' }))
+  };
+};
+
+// Import a gene × sample matrix. The samples are the import's comparisons,
+// without p-values.
+export const importMatrix = (table, { onProgress } = {}) => {
+  const mapping = matrixMapping(table);
+  if (mapping.comparisons.length === 0) {
+    throw new Error('No sample columns with numbers found in the expression matrix');
+  }
+  return { ...importWithMapping(table, mapping, { onProgress }), format: 'matrix', valueKind: 'expression', warnings: [] };
+};
+
+// An expression import annotated from sample sheets ([{ tracks, samples }]):
+// sampleTracks lists the annotation names, sampleAnnotations holds each
+// sample's annotations in comparison order (null for samples no sheet has)
+export const annotateSamples = (imported, sampleSheets) => {
+  const tracks = [...new Set(sampleSheets.flatMap(sheet => sheet.tracks))];
+  const samples = Object.assign({}, ...sampleSheets.map(sheet => sheet.samples));
+  const missing = imported.comparisons.filter(name => !samples[name]);
+  const warnings = missing.length > 0
+    ? [`${imported.fileName ? `${imported.fileName}: ` : ''}${missing.length} sample(s) not in the sample sheet: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''}`]
+    : [];
+  return {
+    ...imported,
+    sampleTracks: tracks,
+    sampleAnnotations: imported.comparisons.map(name => samples[name] || null),
+    warnings: [...(imported.warnings || []), ...warnings]
+  };
+};
+
+// The sample tracks of a panel, each with its values and their colours:
+// [{ track, levels: [{ value, color }] }]. Values are in natural sort order so
+// colours don't move when the columns are reordered; each track continues
+// the palette where the one before stopped.
+export const sampleTrackLegend = (heatmapData) => {
+  const annotations = heatmapData.sampleAnnotations;
+  if (!annotations || !heatmapData.sampleTracks) return [];
+  let next = 0;
+  return heatmapData.sampleTracks
+    .map(track => {
+      const values = [...new Set(annotations.map(sample => sample && sample[track]).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      const levels = values.map(value => ({ value, color: ANNOTATION_PALETTE[next++ % ANNOTATION_PALETTE.length] }));
+      return { track, levels };
+    })
+    .filter(({ levels }) => levels.length > 0);
+};
+
+// Colour of a sample's value in one track of sampleTrackLegend, or null if it has none
+export const sampleTrackColor = ({ track, levels }, sample) => {
+  const level = sample && levels.find(l => l.value === sample[track]);
+  return level ? level.color : null;
+};
@@ -0,0 +1,61 @@
+import { readTable } from './importers';
+import {
+  transformValues, expressionValueLabel, isSampleSheet, parseSampleSheet, importMatrix, annotateSamples,
+  sampleTrackLegend, sampleTrackColor
+} from './expression';
+import { ANNOTATION_PALETTE } from './categoryColors';
+
+const encode = (text) => Uint8Array.from(text, c => c.charCodeAt(0)).buffer;
+
+test('values are log-transformed, then z-scored or centred per row', () => {
+  expect(transformValues([0, 1, 3, null], { log2: true, scaling: 'none' })).toEqual([0, 1, 2, null]);
+  expect(transformValues([1, 2, 3], { log2: false, scaling: 'center' })).toEqual([-1, 0, 1]);
+  expect(transformValues([1, 2, 3, null], { log2: false, scaling: 'zscore' })).toEqual([-1, 0, 1, null]);
+  // No spread, nothing to scale; log2(x+1) has no value below -1
+  expect(transformValues([5, 5], { log2: false, scaling: 'zscore' })).toEqual([0, 0]);
+  expect(transformValues([-2, 1], { log2: true, scaling: 'none' })).toEqual([null, 1]);
+});
+
+test('the value label says what the transformed values are', () => {
+  expect(expressionValueLabel({ log2: true, scaling: 'zscore' })).toBe('Row z-score of log₂(x+1)');
+  expect(expressionValueLabel({ log2: false, scaling: 'center' })).toBe('Row-centred expression');
+  expect(expressionValueLabel({ log2: true, scaling: 'none' })).toBe('Log₂(x+1) expression');
+});
+
+test('matrices are imported with one comparison per sample', () => {
+  const csv = 'gene_id,Category,S1,S2,S3\nApoe,Lipid,10,20,NA\nLdlr,Lipid,0,5,7\n';
+  const imported = importMatrix(readTable(encode(csv), 'counts.csv'));
+  expect(imported.comparisons).toEqual(['S1', 'S2', 'S3']);
+  expect(imported.valueKind).toBe('expression');
+  expect(imported.genes[0]).toMatchObject({ id: 'Apoe', category: 'Lipid', values: [10, 20, null] });
+  expect(imported.genes[0].pValues).toEqual([null, null, null]);
+});
+
+test('sample sheets annotate the samples of a matrix', () => {
+  const table = readTable(encode('Sample,condition,batch\nS1,Ctrl,1\nS2,KD,2\nS3,KD,\n'), 'samples.csv');
+  expect(isSampleSheet(table.headers)).toBe(true);
+  expect(isSampleSheet(['gene_id', 'S1', 'S2'])).toBe(false);
+  const sheet = parseSampleSheet(table);
+  expect(sheet.tracks).toEqual(['condition', 'batch']);
+  expect(sheet.samples.S3).toEqual({ condition: 'KD' });
+
+  const annotated = annotateSamples({ comparisons: ['S1', 'S3', 'S9'], fileName: 'counts.csv', warnings: [] }, [sheet]);
+  expect(annotated.sampleTracks).toEqual(['condition', 'batch']);
+  expect(annotated.sampleAnnotations).toEqual([{ condition: 'Ctrl', batch: '1' }, { condition: 'KD' }, null]);
+  expect(annotated.warnings).toEqual(['counts.csv: 1 sample(s) not in the sample sheet: S9']);
+});
+
+test('track colours follow the values, not the column order', () => {
+  const heatmapData = {
+    sampleTracks: ['condition', 'sex'],
+    sampleAnnotations: [{ condition: 'KD', sex: 'F' }, { condition: 'Ctrl', sex: 'M' }, null]
+  };
+  const legend = sampleTrackLegend(heatmapData);
+  expect(legend).toEqual([
+    { track: 'condition', levels: [{ value: 'Ctrl', color: ANNOTATION_PALETTE[0] }, { value: 'KD', color: ANNOTATION_PALETTE[1] }] },
+    { track: 'sex', levels: [{ value: 'F', color: ANNOTATION_PALETTE[2] }, { value: 'M', color: ANNOTATION_PALETTE[3] }] }
+  ]);
+  expect(sampleTrackColor(legend[0], heatmapData.sampleAnnotations[0])).toBe(ANNOTATION_PALETTE[1]);
+  expect(sampleTrackColor(legend[0], null)).toBeNull();
+  expect(sampleTrackLegend({ sampleTracks: null, sampleAnnotations: null })).toEqual([]);
+});
@@ -0,0 +1,77 @@
+// Row filters for the heatmap. A comparison "passes" for a gene when its
+// |log2FC| meets the minimum and its p-value (raw, adjusted or corrected, as
+// chosen for the significance markers) is at most the maximum. Genes are kept
+// when a comparison passes, at least minSignificantComparisons comparisons
+// carry a significance marker (as the "significant comparisons" sort counts
+// them), their category isn't hidden and the pasted gene list allows them.
+// hiddenGenes and isolatedGenes are exact gene IDs set from a selection on the heatmap.
+
+export const DEFAULT_FILTERS = {
+  minAbsLog2FC: 0,
+  maxPValue: 1,
+  minSignificantComparisons: 0,
+  hiddenCategories: [],
+  geneList: '',
+  geneListMode: 'include', // include, exclude
+  hiddenGenes: [],
+  isolatedGenes: [] // when non-empty, only these genes are shown
+};
+
+export const GENE_LIST_MODES = {
+  include: 'Only show listed genes',
+  exclude: 'Hide listed genes'
+};
+
+// Gene IDs from pasted text: one per line, or separated by commas, semicolons,
+// tabs or spaces. Compared case-insensitively.
+export const parseGeneList = (text) => new Set(
+  String(text || '').split(/[\s,;]+/).map(id => id.trim().toUpperCase()).filter(Boolean)
+);
+
+// Whether any filter would hide rows
+export const filtersActive = (filters) =>
+  filters.minAbsLog2FC > 0
+  || filters.maxPValue < 1
+  || filters.minSignificantComparisons > 0
+  || filters.hiddenCategories.length > 0
+  || parseGeneList(filters.geneList).size > 0
+  || filters.hiddenGenes.length > 0
+  || filters.isolatedGenes.length > 0;
+
+// Filtered rows, in their original order. pValuesOf(gene) gives the p-values
+// the thresholds apply to and isSignificant(gene, j) says whether a cell has a
+// significance marker; rows are filtered by the category they are shown in.
+export const filterGenes = (genes, filters, { pValuesOf = gene => gene.pValues, isSignificant = () => false } = {}) => {
+  const hiddenCategories = new Set(filters.hiddenCategories);
+  const geneList = parseGeneList(filters.geneList);
+  const hiddenGenes = new Set(filters.hiddenGenes);
+  const isolatedGenes = new Set(filters.isolatedGenes);
+  const thresholdsActive = filters.minAbsLog2FC > 0 || filters.maxPValue < 1;
+  const required = filters.minSignificantComparisons || 0;
+
+  const passes = (gene, j) => {
+    const value = gene.values[j];
+    if (value === undefined || value === null) return false;
+    if (filters.minAbsLog2FC > 0 && !(Math.abs(value) >= filters.minAbsLog2FC)) return false;
+    if (filters.maxPValue < 1) {
+      const pValues = pValuesOf(gene);
+      const p = pValues ? pValues[j] : null;
+      if (p === undefined || p === null || !(p <= filters.maxPValue)) return false;
+    }
+    return true;
+  };
+
+  return genes.filter(gene => {
+    if (hiddenCategories.has(gene.category)) return false;
+    if (hiddenGenes.has(gene.id)) return false;
+    if (isolatedGenes.size > 0 && !isolatedGenes.has(gene.id)) return false;
+    if (geneList.size > 0 && geneList.has(gene.id.toUpperCase()) !== (filters.geneListMode === 'include')) return false;
+    if (thresholdsActive && !gene.values.some((v, j) => passes(gene, j))) return false;
+    if (required === 0) return true;
+    let count = 0;
+    for (let j = 0; j < gene.values.length && count < required; j++) {
+      if (isSignificant(gene, j)) count += 1;
+    }
+    return count >= required;
+  });
+};
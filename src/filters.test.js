@@ -0,0 +1,53 @@
+import { filterGenes, parseGeneList, filtersActive, DEFAULT_FILTERS } from './filters';
+import { significanceMarker, DEFAULT_SIGNIFICANCE_SETTINGS } from './significance';
+import { sortGenes } from './sorting';
+
+const genes = [
+  { id: 'Apoe', category: 'Lipid', values: [2, 0.1], pValues: [0.001, 0.5], adjPValues: [0.01, 0.9] },
+  { id: 'Ldlr', category: 'Lipid', values: [1.5, -1.2], pValues: [0.01, 0.02], adjPValues: [0.2, 0.04] },
+  { id: 'Il6', category: 'Immune', values: [null, 0.2], pValues: [null, 0.3], adjPValues: [null, 0.6] }
+];
+const ids = rows => rows.map(gene => gene.id);
+
+test('default filters keep every gene', () => {
+  expect(filtersActive(DEFAULT_FILTERS)).toBe(false);
+  expect(ids(filterGenes(genes, DEFAULT_FILTERS))).toEqual(['Apoe', 'Ldlr', 'Il6']);
+});
+
+test('fold change and p-value thresholds apply per comparison', () => {
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minAbsLog2FC: 1 }))).toEqual(['Apoe', 'Ldlr']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minAbsLog2FC: 0.15 }))).toEqual(['Apoe', 'Ldlr', 'Il6']);
+  const adjusted = { pValuesOf: gene => gene.adjPValues };
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, maxPValue: 0.05 }, adjusted))).toEqual(['Apoe', 'Ldlr']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, maxPValue: 0.005 }))).toEqual(['Apoe']);
+});
+
+test('significant comparisons are counted by their markers, as the sort counts them', () => {
+  const markedBy = pValuesOf => ({
+    pValuesOf,
+    isSignificant: (gene, j) => !!significanceMarker(pValuesOf(gene)[j], gene.values[j], DEFAULT_SIGNIFICANCE_SETTINGS)
+  });
+  const raw = markedBy(gene => gene.pValues);
+  // Not every comparison with a value: only those with p < 0.05
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minSignificantComparisons: 1 }, raw))).toEqual(['Apoe', 'Ldlr']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minSignificantComparisons: 2 }, raw))).toEqual(['Ldlr']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minSignificantComparisons: 2 }, markedBy(gene => gene.adjPValues)))).toEqual([]);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minAbsLog2FC: 1.8, minSignificantComparisons: 2 }, raw))).toEqual([]);
+  // Without significance information nothing counts
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, minSignificantComparisons: 1 }))).toEqual([]);
+  const sorted = sortGenes(genes, { key: 'significantCount', comparison: null, direction: 'desc', scope: 'global' }, ['A', 'B'], raw);
+  expect(ids(sorted)).toEqual(['Ldlr', 'Apoe', 'Il6']);
+});
+
+test('categories and gene lists', () => {
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, hiddenCategories: ['Lipid'] }))).toEqual(['Il6']);
+  expect([...parseGeneList('apoe, IL6\nfoo;bar')]).toEqual(['APOE', 'IL6', 'FOO', 'BAR']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, geneList: 'apoe\nil6' }))).toEqual(['Apoe', 'Il6']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, geneList: 'apoe', geneListMode: 'exclude' }))).toEqual(['Ldlr', 'Il6']);
+});
+
+test('genes hidden or isolated from a selection', () => {
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, hiddenGenes: ['Ldlr'] }))).toEqual(['Apoe', 'Il6']);
+  expect(ids(filterGenes(genes, { ...DEFAULT_FILTERS, isolatedGenes: ['Il6', 'Apoe'] }))).toEqual(['Apoe', 'Il6']);
+  expect(filtersActive({ ...DEFAULT_FILTERS, isolatedGenes: ['Il6'] })).toBe(true);
+});
@@ -0,0 +1,108 @@
+import * as XLSX from 'xlsx';
+import { readSheets, importTable, needsColumnMapping, addToDatasets } from './importers';
+import { DEFAULT_HEATMAP_SETTINGS, fillSettings } from './heatmapSettings';
+import { heatmapPanels, correctionLabelFor, valueLabelOf } from './heatmapModel';
+import { isSampleSheet, importMatrix, parseSampleSheet, annotateSamples } from './expression';
+import { heatmapSvg } from './heatmapSvg';
+import { processedDataWorkbook } from './dataExport';
+import { EXPORT_FONTS, toInches, MM_PER_INCH } from './exportFormats';
+import { PROJECT_FORMAT } from './projectFile';
+
+// Heatmaps without a browser, for scripted pipelines: read result tables,
+// build the heatmap with the app's settings and write the figure as SVG and
+// the processed data as XLSX. Runs in Node; bin/gene-heatmap.mjs is the
+// command line on top.
+
+// Read files ([{ fileName, data }], data as an ArrayBuffer or Uint8Array)
+// into datasets ([{ sheetName, imports }]) the way the uploader does. There
+// is no column mapping dialog here: sheets of multi-sheet workbooks with
+// unrecognised columns are skipped, and an unrecognised single sheet fails.
+// With expression, tables are expression matrices and sample sheets, as in
+// the uploader's expression mode. Returns { datasets, warnings }.
+export const readDatasets = (files, { expression = false } = {}) => {
+  const importsBySheet = new Map();
+  const sampleSheets = [];
+  const warnings = [];
+  files.forEach(({ fileName, data }) => {
+    const sheets = readSheets(data, fileName);
+    const multiSheet = sheets.length > 1;
+    const matrixCount = sheets.filter(sheet => !isSampleSheet(sheet.headers)).length;
+    sheets.forEach(sheet => {
+      if (expression) {
+        if (isSampleSheet(sheet.headers)) {
+          sampleSheets.push(parseSampleSheet(sheet));
+          return;
+        }
+        const sheetName = matrixCount > 1 ? sheet.sheetName : null;
+        if (!importsBySheet.has(sheetName)) importsBySheet.set(sheetName, []);
+        importsBySheet.get(sheetName).push({ ...importMatrix(sheet), fileName });
+        return;
+      }
+      if (multiSheet && needsColumnMapping(sheet.headers)) {
+        warnings.push(`${fileName}: skipped sheet "${sheet.sheetName}" (unrecognised columns)`);
+        return;
+      }
+      const imported = importTable(sheet, { fileName });
+      warnings.push(...imported.warnings);
+      const sheetName = multiSheet ? sheet.sheetName : null;
+      if (!importsBySheet.has(sheetName)) importsBySheet.set(sheetName, []);
+      importsBySheet.get(sheetName).push({ ...imported, fileName });
+    });
+  });
+  if (importsBySheet.size === 0) {
+    throw new Error(expression ? 'No expression matrix was found' : 'No sheet with recognised columns was found');
+  }
+  if (sampleSheets.length > 0) {
+    importsBySheet.forEach((imports, sheetName) => {
+      const annotated = imports.map(imported => annotateSamples(imported, sampleSheets));
+      annotated.forEach(imported => warnings.push(...imported.warnings));
+      importsBySheet.set(sheetName, annotated);
+    });
+  }
+  return { datasets: addToDatasets([], importsBySheet), warnings };
+};
+
+// The view settings in a settings file: settings by name (see
+// heatmapSettings.js), or a project file saved by the app
+export const settingsFromJson = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Settings must be a JSON object of settings by name');
+  }
+  return json.format === PROJECT_FORMAT ? json.settings || {} : json;
+};
+
+// The heatmap for the datasets: { settings, panels, significanceSource }.
+// Settings left out take their defaults, as in a new session of the app.
+export const buildHeatmap = (datasets, settings = {}) => {
+  const filled = { ...DEFAULT_HEATMAP_SETTINGS, ...fillSettings(settings) };
+  const { activeDataset } = filled;
+  if (activeDataset !== 'panels' && !(Number.isInteger(activeDataset) && activeDataset >= 0 && activeDataset < datasets.length)) {
+    throw new Error(`activeDataset must be 'panels' or a sheet index below ${datasets.length}, not ${JSON.stringify(activeDataset)}`);
+  }
+  return { settings: filled, ...heatmapPanels(datasets, filled) };
+};
+
+// The figure as the app's publication export draws it, with the legend,
+// category sidebar, font and physical width of the exportOptions setting:
+// { svg, width, height, widthInches }, width and height being the drawing's
+// size in pixels
+export const renderSvg = ({ settings, panels, significanceSource }) => {
+  const { exportOptions } = settings;
+  const embedded = exportOptions.font === 'embed' && exportOptions.fontFile;
+  const font = EXPORT_FONTS[exportOptions.font] || EXPORT_FONTS.arial;
+  const widthInches = toInches(exportOptions.width, exportOptions.unit);
+  const { markup, width, height } = heatmapSvg(panels, settings, {
+    significanceSource,
+    fontFamily: embedded ? `'ExportFont', ${EXPORT_FONTS.arial.css}` : font.css,
+    fontFace: embedded ? `@font-face { font-family: 'ExportFont'; src: url(${exportOptions.fontFile.dataUrl}); }` : null,
+    widthMm: widthInches * MM_PER_INCH
+  });
+  return { svg: markup, width, height, widthInches };
+};
+
+// The processed data of the panels shown, as the app's "Download Processed
+// Data" writes it: XLSX file contents as an ArrayBuffer
+export const processedDataXlsx = ({ settings, panels }) => XLSX.write(
+  processedDataWorkbook(panels, correctionLabelFor(settings.pAdjustMethod), valueLabelOf(panels, settings.expressionTransform)),
+  { bookType: 'xlsx', type: 'array' }
+);
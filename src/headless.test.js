@@ -0,0 +1,69 @@
+import * as XLSX from 'xlsx';
+import { readDatasets, settingsFromJson, buildHeatmap, renderSvg, processedDataXlsx } from './headless';
+
+// colorScales loads d3, which Jest can't read untransformed
+jest.mock('./colorScales', () => ({
+  DEFAULT_COLOR_SETTINGS: { palette: 'classic', domainMode: 'fixed', domain: { min: -2, mid: 0, max: 2 } },
+  MISSING_COLOR: '#f9f9f9',
+  percentileDomain: () => ({ min: -2, max: 2 }),
+  buildColorScale: () => ({
+    color: value => (value > 0 ? '#cc0000' : '#0000cc'),
+    legend: { type: 'swatches', swatches: [{ color: '#0000cc', label: '-2' }, { color: '#cc0000', label: '2' }] }
+  }),
+  textColorFor: () => 'white'
+}));
+
+const encode = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+const csv = 'Gene ID,Category,Log2FC (KO vs WT),P value (KO vs WT)\nApoe,Lipid <core>,1.5,0.001\nLdlr,Lipid <core>,-0.5,0.2\n';
+
+beforeAll(() => {
+  HTMLCanvasElement.prototype.getContext = () => null;
+});
+
+test('reads tables into datasets, skipping unrecognised sheets of workbooks', () => {
+  const { datasets } = readDatasets([{ fileName: 'ko.csv', data: encode(csv) }]);
+  expect(datasets).toHaveLength(1);
+  expect(datasets[0].sheetName).toBeNull();
+  expect(datasets[0].imports[0].genes.map(gene => gene.id)).toEqual(['Apoe', 'Ldlr']);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Gene ID', 'Log2FC (A)'], ['G1', 1]]), 'Liver');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Sample', 'Notes'], ['S1', 'ok']]), 'Samples');
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  const read = readDatasets([{ fileName: 'tissues.xlsx', data }]);
+  expect(read.datasets.map(dataset => dataset.sheetName)).toEqual(['Liver']);
+  expect(read.warnings).toEqual(['tissues.xlsx: skipped sheet "Samples" (unrecognised columns)']);
+});
+
+test('renders the figure as SVG at the export width', () => {
+  const { datasets } = readDatasets([{ fileName: 'ko.csv', data: encode(csv) }]);
+  const heatmap = buildHeatmap(datasets, { exportOptions: { width: 85 }, highlightedGenes: ['Apoe'] });
+  const { svg, width, height, widthInches } = renderSvg(heatmap);
+  expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="85mm"')).toBe(true);
+  expect(svg).toContain(`viewBox="0 0 ${width} ${height}"`);
+  expect(widthInches).toBeCloseTo(85 / 25.4);
+  expect(svg).toContain('>Apoe</text>');
+  expect(svg).toContain('fill="#ffe082"');
+  expect(svg).toContain('>Lipid &lt;core&gt;</text>');
+  expect(svg).toContain('p &lt; 0.01');
+  // The two legend markers and the one significant cell
+  expect(svg.match(/<circle /g)).toHaveLength(3);
+  // Drawn by the app's panel component, without its handles and indicators
+  expect(svg).toContain('class="heatmap-zoomable"');
+  expect(svg).not.toContain('sort-indicator');
+  expect(svg).not.toContain('col-resize');
+});
+
+test('writes the processed data and checks the settings', () => {
+  const { datasets } = readDatasets([{ fileName: 'ko.csv', data: encode(csv) }]);
+  const heatmap = buildHeatmap(datasets, settingsFromJson({ format: 'gene-heatmap-project', settings: { pAdjustMethod: 'BH' } }));
+  const workbook = XLSX.read(new Uint8Array(processedDataXlsx(heatmap)), { type: 'array' });
+  expect(workbook.SheetNames).toEqual(['Processed Data']);
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Processed Data']);
+  const apoe = rows.find(row => row['Gene ID'] === 'Apoe');
+  expect(apoe).toMatchObject({ 'Log2FC (KO vs WT)': 1.5, 'P-value (KO vs WT)': 0.001 });
+  expect(Object.keys(apoe)).toContain('Benjamini-Hochberg-adjusted P-value (KO vs WT)');
+
+  expect(() => buildHeatmap(datasets, { activeDataset: 3 })).toThrow(/activeDataset/);
+  expect(() => settingsFromJson([])).toThrow(/JSON object/);
+});
@@ -0,0 +1,233 @@
+import { adjustPValues } from './stats';
+import { arrangeByCategory } from './categories';
+import { hierarchicalCluster, dendrogramLinks, MAX_CLUSTER_SIZE } from './clustering';
+import { filterGenes, DEFAULT_FILTERS } from './filters';
+import { sortGenes, DEFAULT_SORT } from './sorting';
+import { orderBy } from './ordering';
+import { significanceMarker, DEFAULT_SIGNIFICANCE_SETTINGS } from './significance';
+import { transformGenes, DEFAULT_EXPRESSION_TRANSFORM } from './expression';
+import { describeAnnotationColumns } from './annotationTracks';
+
+// Gene fields holding the p-values for each significance source
+const P_VALUE_FIELDS = { pValue: 'pValues', adjPValue: 'adjPValues', corrected: 'correctedPValues' };
+
+// From imported tables to the matrix that is drawn: sorting into category
+// blocks, in-app p-value correction, multi-category layout and clustering.
+// Pure functions, so several datasets (e.g. one per sheet) can share them.
+
+// Build contiguous category runs over an ordered gene list
+export const buildCategoryGroups = (genes) => {
+  const categoryGroups = [];
+  let currentCategory = null;
+  let startIndex = 0;
+
+  genes.forEach((gene, index) => {
+    if (gene.category !== currentCategory) {
+      if (currentCategory !== null) {
+        categoryGroups.push({
+          category: currentCategory,
+          startIndex: startIndex,
+          endIndex: index - 1,
+          count: index - startIndex
+        });
+      }
+      currentCategory = gene.category;
+      startIndex = index;
+    }
+  });
+
+  // Add the last group
+  if (currentCategory !== null) {
+    categoryGroups.push({
+      category: currentCategory,
+      startIndex: startIndex,
+      endIndex: genes.length - 1,
+      count: genes.length - startIndex
+    });
+  }
+  return categoryGroups;
+};
+
+// Dataset from merged imports: genes grouped by category in the order the
+// categories first appear, each group sorted from lowest to highest log2FC in
+// the first comparison. rowAnnotations describes the extra columns kept as
+// gene annotations (see annotationTracks.js).
+export const buildDataset = (imported) => {
+  const geneData = imported.genes;
+  const categories = [...new Set(geneData.map(gene => gene.category))];
+  const groupedByCategory = new Map(categories.map(category => [category, []]));
+  geneData.forEach(gene => groupedByCategory.get(gene.category).push(gene));
+
+  const sortedGeneData = [];
+  categories.forEach(category => {
+    const categoryGenes = groupedByCategory.get(category);
+    categoryGenes.sort((a, b) => a.values[0] - b.values[0]);
+    sortedGeneData.push(...categoryGenes);
+  });
+
+  return {
+    genes: sortedGeneData,
+    comparisons: imported.comparisons,
+    comparisonColumns: imported.comparisonColumns,
+    pValueColumns: imported.pValueColumns,
+    adjPValueColumns: imported.adjPValueColumns,
+    valueKind: imported.valueKind || 'foldChange',
+    sampleTracks: imported.sampleTracks || null,
+    sampleAnnotations: imported.sampleAnnotations || null,
+    rowAnnotations: describeAnnotationColumns(sortedGeneData, imported.annotationColumns),
+    categoryGroups: buildCategoryGroups(sortedGeneData),
+    categories
+  };
+};
+
+// P-values corrected for multiple testing in the app, per comparison across all genes
+export const correctPValues = (data, pAdjustMethod) => {
+  if (pAdjustMethod === 'none') {
+    return { ...data, genes: data.genes.map(gene => ({ ...gene, correctedPValues: null })) };
+  }
+  const correctedByComparison = data.comparisons.map((name, j) =>
+    adjustPValues(data.genes.map(gene => gene.pValues[j]), pAdjustMethod)
+  );
+  return {
+    ...data,
+    genes: data.genes.map((gene, i) => ({
+      ...gene,
+      correctedPValues: correctedByComparison.map(values => values[i])
+    }))
+  };
+};
+
+// The drawn matrix. Expression data is transformed first (log2, row
+// scaling; see expression.js), keeping the loaded values as rawValues. Multi-valued category cells are split after the
+// correction so repeated genes aren't counted twice, then the filters drop
+// rows (p-value thresholds use the chosen significance source). Category
+// blocks follow categoryOrder; genes are sorted, or clustered across all
+// genes or within each category. Sorted or clustered across all genes, rows
+// aren't in category blocks (categoryGroups is empty) and each gene is shown
+// once, under its first category, as the order would cut the blocks into
+// single rows.
+// Blocks of more than MAX_CLUSTER_SIZE rows keep the sort order instead, and
+// clusteringSkipped is set.
+// Comparisons are shown in file order, in
+// customColumnOrder, or clustered by their fold-change profiles (over the
+// unique genes shown). Custom orders are lists of names (see ordering.js).
+export const buildHeatmapData = (data, {
+  pAdjustMethod = 'none',
+  categoryDelimiter = ';',
+  multiCategoryMode = 'repeat',
+  rowClustering = 'none',
+  columnOrderMode = 'file',
+  distanceMetric = 'euclidean',
+  linkageMethod = 'average',
+  filters = DEFAULT_FILTERS,
+  pValueSource = 'pValue',
+  sort = DEFAULT_SORT,
+  significanceSettings = DEFAULT_SIGNIFICANCE_SETTINGS,
+  categoryOrder = null,
+  manualGeneOrder = {},
+  customColumnOrder = null,
+  expressionTransform = DEFAULT_EXPRESSION_TRANSFORM
+} = {}) => {
+  const transformed = data.valueKind === 'expression'
+    ? { ...data, genes: transformGenes(data.genes, expressionTransform) }
+    : data;
+  const correctedData = correctPValues(transformed, pAdjustMethod);
+  const globalClustering = rowClustering === 'all';
+  // Clustering within categories starts from rows sorted within them
+  const globalSort = rowClustering !== 'category' && sort.scope === 'global';
+  const arranged = arrangeByCategory(correctedData.genes, {
+    delimiter: categoryDelimiter,
+    mode: (globalClustering || globalSort) && multiCategoryMode === 'repeat' ? 'primary' : multiCategoryMode
+  });
+  const field = P_VALUE_FIELDS[pValueSource] || 'pValues';
+  const pValuesOf = gene => gene[field];
+  // Filters and the sort count significant comparisons alike, by their markers
+  const isSignificant = (gene, j) => !!significanceMarker(pValuesOf(gene) ? pValuesOf(gene)[j] : null, gene.values[j], significanceSettings);
+  const rows = sortGenes(
+    orderBy(filterGenes(arranged.genes, filters, { pValuesOf, isSignificant }), categoryOrder, gene => gene.category),
+    globalSort ? sort : { ...sort, scope: 'category' },
+    correctedData.comparisons,
+    { pValuesOf, manualOrder: manualGeneOrder, isSignificant }
+  );
+  const shownIds = new Set(rows.map(gene => gene.id));
+  const uniqueGenes = correctedData.genes.filter(gene => shownIds.has(gene.id));
+
+  let genes = rows;
+  let categoryGroups = globalSort ? [] : buildCategoryGroups(genes);
+  const rowDendrograms = [];
+  let clusteringSkipped = false;
+  if (rowClustering !== 'none') {
+    const blocks = rowClustering === 'category'
+      ? categoryGroups.map(group => rows.slice(group.startIndex, group.endIndex + 1))
+      : [rows];
+    genes = [];
+    blocks.filter(block => block.length > 0).forEach(block => {
+      if (block.length > MAX_CLUSTER_SIZE) {
+        clusteringSkipped = true;
+        genes.push(...block);
+        return;
+      }
+      const { root, order } = hierarchicalCluster(block.map(gene => gene.values), {
+        metric: distanceMetric,
+        linkage: linkageMethod
+      });
+      rowDendrograms.push({ offset: genes.length, links: dendrogramLinks(root) });
+      genes.push(...order.map(k => block[k]));
+    });
+    categoryGroups = (globalClustering && !clusteringSkipped) || globalSort ? [] : buildCategoryGroups(genes);
+  }
+
+  // columnOrder[j] is the file index of the comparison displayed at position j
+  let columnOrder = correctedData.comparisons.map((name, k) => k);
+  let columnDendrogram = null;
+  const columnCount = correctedData.comparisons.length;
+  if (columnOrderMode === 'clustered' && columnCount > 1 && columnCount <= MAX_CLUSTER_SIZE) {
+    const columnVectors = columnOrder.map(k => uniqueGenes.map(gene => gene.values[k]));
+    const { root, order } = hierarchicalCluster(columnVectors, {
+      metric: distanceMetric,
+      linkage: linkageMethod
+    });
+    columnOrder = order;
+    columnDendrogram = { links: dendrogramLinks(root) };
+  } else if (columnOrderMode === 'custom') {
+    columnOrder = orderBy(columnOrder, customColumnOrder, k => correctedData.comparisons[k]);
+  }
+  if (columnOrder.some((k, j) => k !== j)) {
+    genes = genes.map(gene => ({
+      ...gene,
+      values: columnOrder.map(k => gene.values[k]),
+      rawValues: gene.rawValues && columnOrder.map(k => gene.rawValues[k]),
+      pValues: columnOrder.map(k => gene.pValues[k]),
+      adjPValues: columnOrder.map(k => gene.adjPValues[k]),
+      correctedPValues: gene.correctedPValues && columnOrder.map(k => gene.correctedPValues[k])
+    }));
+  }
+
+  return {
+    ...correctedData,
+    genes,
+    categories: orderBy(arranged.categories, categoryOrder),
+    comparisons: columnOrder.map(k => correctedData.comparisons[k]),
+    comparisonColumns: columnOrder.map(k => correctedData.comparisonColumns[k]),
+    sampleAnnotations: correctedData.sampleAnnotations && columnOrder.map(k => correctedData.sampleAnnotations[k]),
+    categoryGroups,
+    rowDendrograms,
+    columnOrder,
+    columnDendrogram,
+    clusteringSkipped,
+    shownGeneCount: shownIds.size,
+    hiddenGeneCount: correctedData.genes.length - uniqueGenes.length
+  };
+};
+
+// Comparisons shown under new names. Blank names, and names already in use,
+// keep the original so headers stay unique.
+export const renameComparisons = (data, renames) => {
+  const comparisons = [];
+  data.comparisons.forEach(name => {
+    const renamed = renames[name] !== undefined ? renames[name].trim() : '';
+    const taken = data.comparisons.includes(renamed) && renamed !== name;
+    comparisons.push(renamed && !taken && !comparisons.includes(renamed) ? renamed : name);
+  });
+  return { ...data, comparisons };
+};
@@ -0,0 +1,150 @@
+import { buildDataset, buildHeatmapData, renameComparisons } from './heatmapData';
+import { MAX_CLUSTER_SIZE } from './clustering';
+
+const gene = (id, category, values) => ({
+  id, category, values, pValues: values.map(() => 0.01), adjPValues: values.map(() => null)
+});
+
+const imported = {
+  comparisons: ['A', 'B'],
+  comparisonColumns: ['Log2FC (A)', 'Log2FC (B)'],
+  pValueColumns: ['P value (A)', 'P value (B)'],
+  adjPValueColumns: [null, null],
+  genes: [gene('G1', 'Lipid', [2, 1]), gene('G2', 'Immune', [0, 0]), gene('G3', 'Lipid', [-1, 3])]
+};
+
+test('datasets group genes by category in order of appearance, sorted by the first comparison', () => {
+  const dataset = buildDataset(imported);
+  expect(dataset.genes.map(g => g.id)).toEqual(['G3', 'G1', 'G2']);
+  expect(dataset.categories).toEqual(['Lipid', 'Immune']);
+  expect(dataset.categoryGroups.map(group => group.count)).toEqual([2, 1]);
+});
+
+test('heatmap data reorders every per-comparison array with the columns', () => {
+  const heatmapData = buildHeatmapData(buildDataset(imported), { columnOrderMode: 'clustered', pAdjustMethod: 'bonferroni' });
+  const [first] = heatmapData.genes;
+  expect(heatmapData.comparisons).toEqual(heatmapData.columnOrder.map(k => imported.comparisons[k]));
+  expect(first.values).toEqual(heatmapData.columnOrder.map(k => [-1, 3][k]));
+  expect(first.correctedPValues).toEqual([0.03, 0.03]);
+  expect(heatmapData.columnDendrogram.links).toHaveLength(1);
+});
+
+test('clustered columns put similar comparisons side by side, with their dendrogram', () => {
+  const heatmapData = buildHeatmapData(buildDataset({
+    ...imported,
+    comparisons: ['A', 'B', 'C'],
+    genes: [gene('G1', 'Lipid', [1, -3, 1.1]), gene('G2', 'Lipid', [2, 0, 2.1]), gene('G3', 'Lipid', [-1, 3, -0.9])]
+  }), { columnOrderMode: 'clustered', distanceMetric: 'euclidean', linkageMethod: 'average' });
+  expect(heatmapData.columnOrder).toEqual([0, 2, 1]);
+  expect(heatmapData.comparisons).toEqual(['A', 'C', 'B']);
+  expect(heatmapData.genes.find(g => g.id === 'G1').values).toEqual([1, 1.1, -3]);
+  // A and C join first; B joins them at their average distance to it
+  const [pair, root] = heatmapData.columnDendrogram.links;
+  expect(pair).toMatchObject({ from: 0.5, to: 1.5, leftHeight: 0, rightHeight: 0 });
+  expect(pair.height).toBeCloseTo(Math.sqrt(0.03));
+  expect(root).toMatchObject({ from: 1, to: 2.5, rightHeight: 0 });
+  expect(root.leftHeight).toBe(pair.height);
+  expect(root.height).toBeCloseTo((6 + Math.sqrt(36.43)) / 2);
+});
+
+test('rows clustered across all genes are not split into category blocks', () => {
+  const dataset = buildDataset({
+    ...imported,
+    genes: [
+      gene('G1', 'Lipid; Immune', [2, 2]),
+      gene('G2', 'Immune', [2.1, 1.9]),
+      gene('G3', 'Lipid', [-1, -1]),
+      gene('G4', 'Uncategorized', [-1.1, -0.9])
+    ]
+  });
+  const heatmapData = buildHeatmapData(dataset, { rowClustering: 'all', multiCategoryMode: 'repeat' });
+  // Each gene once, similar genes next to each other whatever their category
+  expect(heatmapData.genes.map(g => g.id).sort()).toEqual(['G1', 'G2', 'G3', 'G4']);
+  expect(heatmapData.genes.find(g => g.id === 'G1')).toMatchObject({ category: 'Lipid', categories: ['Lipid', 'Immune'] });
+  const order = heatmapData.genes.map(g => g.id);
+  expect(Math.abs(order.indexOf('G1') - order.indexOf('G2'))).toBe(1);
+  expect(Math.abs(order.indexOf('G3') - order.indexOf('G4'))).toBe(1);
+  expect(heatmapData.categoryGroups).toEqual([]);
+  expect(heatmapData.rowDendrograms).toHaveLength(1);
+
+  // Clustered within categories, the blocks and repeated genes stay
+  const byCategory = buildHeatmapData(dataset, { rowClustering: 'category', multiCategoryMode: 'repeat' });
+  expect(byCategory.genes).toHaveLength(5);
+  expect(byCategory.categoryGroups.map(group => group.category)).toEqual(['Lipid', 'Immune', 'Uncategorized']);
+});
+
+test('rows sorted across all genes are not split into category blocks', () => {
+  const dataset = buildDataset({
+    ...imported,
+    genes: [
+      gene('G1', 'Lipid; Immune', [2, 0]),
+      gene('G2', 'Immune', [-1, 0]),
+      gene('G3', 'Lipid', [1, 0]),
+      gene('G4', 'Immune', [0, 0])
+    ]
+  });
+  const sort = { key: 'log2FC', comparison: 'A', direction: 'desc', scope: 'global' };
+  const heatmapData = buildHeatmapData(dataset, { sort, multiCategoryMode: 'repeat' });
+  expect(heatmapData.genes.map(g => g.id)).toEqual(['G1', 'G3', 'G4', 'G2']);
+  expect(heatmapData.genes[0]).toMatchObject({ category: 'Lipid', categories: ['Lipid', 'Immune'] });
+  expect(heatmapData.categoryGroups).toEqual([]);
+
+  // Sorted within categories, the blocks and repeated genes stay
+  const byCategory = buildHeatmapData(dataset, { sort: { ...sort, scope: 'category' }, multiCategoryMode: 'repeat' });
+  expect(byCategory.genes.map(g => g.id)).toEqual(['G1', 'G3', 'G1', 'G4', 'G2']);
+  expect(byCategory.categoryGroups.map(group => group.category)).toEqual(['Lipid', 'Immune']);
+});
+
+test('blocks too large to cluster keep the sort order', () => {
+  const many = Array.from({ length: MAX_CLUSTER_SIZE + 1 }, (v, i) => gene(`L${i}`, 'Lipid', [i % 7, 0]));
+  const dataset = buildDataset({ ...imported, genes: [...many, gene('I1', 'Immune', [1, 1]), gene('I2', 'Immune', [0, 0])] });
+  const global = buildHeatmapData(dataset, { rowClustering: 'all' });
+  expect(global.clusteringSkipped).toBe(true);
+  expect(global.rowDendrograms).toEqual([]);
+  expect(global.genes.map(g => g.id)).toEqual(dataset.genes.map(g => g.id));
+  expect(global.categoryGroups.map(group => group.category)).toEqual(['Lipid', 'Immune']);
+
+  // Within categories, the small ones are still clustered
+  const byCategory = buildHeatmapData(dataset, { rowClustering: 'category' });
+  expect(byCategory.clusteringSkipped).toBe(true);
+  expect(byCategory.rowDendrograms).toEqual([{ offset: MAX_CLUSTER_SIZE + 1, links: [expect.objectContaining({ from: 0.5, to: 1.5 })] }]);
+  expect(buildHeatmapData(dataset, {}).clusteringSkipped).toBe(false);
+});
+
+test('renamed comparisons stay unique', () => {
+  const renamed = renameComparisons(imported, { A: 'KD vs WT', B: ' B ' });
+  expect(renamed.comparisons).toEqual(['KD vs WT', 'B']);
+  expect(renameComparisons(imported, { A: 'B', B: '' }).comparisons).toEqual(['A', 'B']);
+});
+
+test('custom orders for comparisons, category blocks and genes', () => {
+  const heatmapData = buildHeatmapData(buildDataset(imported), {
+    columnOrderMode: 'custom',
+    customColumnOrder: ['B', 'A'],
+    categoryOrder: ['Immune'],
+    sort: { key: 'manual', comparison: null, direction: 'asc', scope: 'category' },
+    manualGeneOrder: { Lipid: ['G1', 'G3'] }
+  });
+  expect(heatmapData.comparisons).toEqual(['B', 'A']);
+  expect(heatmapData.categories).toEqual(['Immune', 'Lipid']);
+  expect(heatmapData.genes.map(g => g.id)).toEqual(['G2', 'G1', 'G3']);
+  expect(heatmapData.genes[1].values).toEqual([1, 2]);
+});
+
+test('expression data is transformed per gene and keeps its sample annotations with the columns', () => {
+  const matrix = {
+    ...imported,
+    valueKind: 'expression',
+    sampleTracks: ['condition'],
+    sampleAnnotations: [{ condition: 'Ctrl' }, { condition: 'KD' }],
+    genes: [gene('G1', 'Lipid', [1, 3])]
+  };
+  const heatmapData = buildHeatmapData(buildDataset(matrix), {
+    columnOrderMode: 'custom',
+    customColumnOrder: ['B', 'A'],
+    expressionTransform: { log2: true, scaling: 'center' }
+  });
+  expect(heatmapData.genes[0].values).toEqual([0.5, -0.5]);
+  expect(heatmapData.genes[0].rawValues).toEqual([3, 1]);
+  expect(heatmapData.sampleAnnotations).toEqual([{ condition: 'KD' }, { condition: 'Ctrl' }]);
+});
@@ -0,0 +1,256 @@
+import { measureTextWidth, maxTextWidth, measureColumnWidths } from './textMeasure';
+import { sampleTrackLegend } from './expression';
+import { TRACK_GAP } from './annotationTracks';
+
+// Geometry of one heatmap panel: column widths and positions, wrapped
+// headers, the legend, the category boxes, dendrograms and the margins.
+// Positions are relative to the top-left cell; the margin places that inside
+// the SVG. HeatmapPanelSvg draws a panel at this layout, on the page and in
+// the SVG built in Node (heatmapSvg.js).
+
+export const MIN_COLUMN_WIDTH = 50;
+export const COLOR_LEGEND_WIDTH = 240;
+export const MEMBERSHIP_STEP = 14;
+export const SAMPLE_TRACK_STEP = 14;
+export const TRACK_LEGEND_LINE = 18;
+
+// The legend's extent below its baseline (legendY): the colour scale and its
+// tick labels
+const LEGEND_DEPTH = 35;
+
+// Space around the cells on the page; publication exports are cropped to the drawing
+const PAGE_MARGIN = { top: 100, right: 200, bottom: 50, left: 200 };
+
+// Row height: at least 10px more than the gene name font
+export const rowHeight = (fontSizes) => Math.max(30, fontSizes.geneName + 10);
+
+// The slow text measurements of a panel, which the heatmap caches so large
+// matrices aren't re-measured on every render. Column widths are in display order.
+export const measurePanel = (heatmapData, fontSizes) => ({
+  columnWidths: measureColumnWidths(heatmapData.comparisons, heatmapData.genes, {
+    headerFont: `bold ${fontSizes.header}px Arial`,
+    cellFont: `${fontSizes.foldChange}px Arial`,
+    minWidth: MIN_COLUMN_WIDTH
+  }),
+  maxGeneNameWidth: heatmapData.genes.length > 0
+    ? maxTextWidth([...new Set(heatmapData.genes.map(gene => gene.id))], `${fontSizes.geneName}px Arial`)
+    : 100
+});
+
+// Word wrap text into lines that fit maxWidth, less some padding
+export const wrapText = (text, maxWidth, font) => {
+  const words = text.split(' ');
+  const lines = [];
+  let line = '';
+  words.forEach(word => {
+    const testLine = line ? line + ' ' + word : word;
+    if (measureTextWidth(testLine, font) > maxWidth - 8 && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = testLine;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Layout of a panel. Options:
+// - fontSizes, multiCategoryMode: from the settings
+// - colWidths: widths set by resizing, by comparison name, so panels sharing
+//   a comparison share its width
+// - labelledIds: gene IDs that get a name when only some are labelled, or null for all
+// - legendTexts: the significance legend labels, left to right, and
+//   legendNote, the text after them (e.g. the fold change requirement)
+// - panelCount: panels in the figure; several get a title each
+// - cropped: lay out for a publication export, with or without the legend and sidebar
+// - annotationTracks: the row annotation tracks shown (see annotationTracks.js)
+// - showLegend also covers the track legend below the rows
+// - measured: the panel's measurePanel result, if already known
+export const panelLayout = (heatmapData, {
+  fontSizes,
+  colWidths: resizedWidths = {},
+  labelledIds = null,
+  multiCategoryMode = 'repeat',
+  legendTexts = [],
+  legendNote = null,
+  panelCount = 1,
+  cropped = false,
+  showLegend = true,
+  showSidebar = true,
+  annotationTracks = [],
+  measured = measurePanel(heatmapData, fontSizes)
+}) => {
+  const cellHeight = rowHeight(fontSizes);
+  const rowsHeight = cellHeight * heatmapData.genes.length;
+  const maxGeneNameWidth = labelledIds
+    ? (labelledIds.length > 0 ? maxTextWidth(labelledIds, `bold ${fontSizes.geneName}px Arial`) : 20)
+    : measured.maxGeneNameWidth;
+
+  const colWidths = heatmapData.comparisons.map((comparison, j) => resizedWidths[comparison] || measured.columnWidths[j]);
+  const colX = colWidths.reduce((acc, w, i) => {
+    acc.push(i === 0 ? 0 : acc[i - 1] + colWidths[i - 1]);
+    return acc;
+  }, []);
+  const totalColsWidth = colWidths.reduce((a, b) => a + b, 0);
+
+  // Sample annotation tracks of expression data sit between the headers and
+  // the cells, one row of boxes per track, named on the left
+  const sampleTracks = sampleTrackLegend(heatmapData);
+  const sampleTracksHeight = sampleTracks.length > 0 ? sampleTracks.length * SAMPLE_TRACK_STEP + 4 : 0;
+  const sampleTrackLabelWidth = maxTextWidth(sampleTracks.map(({ track }) => track), '10px Arial');
+
+  // Row annotation tracks sit between the gene names and the cells, left to
+  // right in the order chosen, with their names rotated above them
+  const rowTracksWidth = annotationTracks.length > 0
+    ? annotationTracks.reduce((acc, track) => acc + track.width + TRACK_GAP, 0) + 4
+    : 0;
+  const rowTrackX = annotationTracks.reduce((acc, track, k) => {
+    acc.push(k === 0 ? -rowTracksWidth : acc[k - 1] + annotationTracks[k - 1].width + TRACK_GAP);
+    return acc;
+  }, []);
+  const rowTrackLabelHeight = annotationTracks.length > 0
+    ? maxTextWidth(annotationTracks.map(track => track.name), '10px Arial') + 10
+    : 0;
+  const geneNameX = -15 - rowTracksWidth;
+  const sampleTrackLabelX = -6 - rowTracksWidth;
+
+  // Headers wrap to their column and move up above the sample tracks
+  const headerFont = `bold ${fontSizes.header}px Arial`;
+  const headerLinesByColumn = heatmapData.comparisons.map((comparison, j) => wrapText(comparison, colWidths[j], headerFont));
+  const maxHeaderLines = Math.max(1, ...headerLinesByColumn.map(lines => lines.length));
+  const headerOffset = -sampleTracksHeight;
+  const headerTop = headerOffset - 20 - (maxHeaderLines - 1) * fontSizes.header / 2 - fontSizes.header;
+
+  // Column dendrogram sits above the headers; the legend moves up to make room
+  const columnDendrogramHeight = heatmapData.columnDendrogram ? 50 : 0;
+  const columnDendrogramBottom = headerTop - 6;
+  const columnDendrogramMaxHeight = heatmapData.columnDendrogram
+    ? Math.max(1e-9, ...heatmapData.columnDendrogram.links.map(link => link.height))
+    : 1;
+  const columnCenterX = pos => {
+    const i = pos - 0.5;
+    const lo = Math.floor(i);
+    const hi = Math.ceil(i);
+    const center = k => colX[k] + colWidths[k] / 2;
+    return center(lo) + (center(hi) - center(lo)) * (i - lo);
+  };
+  const headersTop = columnDendrogramHeight > 0 ? columnDendrogramBottom - columnDendrogramHeight : headerTop;
+  const legendY = Math.min(-75, headersTop - 6 - LEGEND_DEPTH);
+
+  // The track legend runs below the rows, a line per sample track, then per
+  // row annotation track: its name, then a swatch and label per value. x
+  // positions are of the swatches.
+  const legendTracks = [
+    ...sampleTracks.map(({ track, levels }) => ({ name: track, levels })),
+    ...annotationTracks.map(({ name, levels }) => ({ name, levels }))
+  ];
+  const trackLegend = showLegend ? legendTracks.map(({ name, levels }, t) => {
+    let x = measureTextWidth(`${name}:`, 'bold 11px Arial') + 10;
+    const swatchX = levels.map(({ value }) => {
+      const at = x;
+      x += 14 + measureTextWidth(value, '11px Arial') + 12;
+      return at;
+    });
+    return { name, levels, y: rowsHeight + 24 + t * TRACK_LEGEND_LINE, swatchX, width: x };
+  }) : [];
+  const trackLegendHeight = trackLegend.length > 0 ? trackLegend.length * TRACK_LEGEND_LINE + 14 : 0;
+  const trackLegendWidth = Math.max(0, ...trackLegend.map(line => line.width));
+
+  // Category labels: wrap anything wider than 80px, use the same width for all boxes
+  const catFont = `bold ${fontSizes.categoryName}px Arial`;
+  let categoryBoxWidth = 0;
+  const categoryLabelLines = heatmapData.categoryGroups.map(group => {
+    const label = `${group.category} (${group.count})`;
+    const labelWidth = measureTextWidth(label, catFont);
+    if (labelWidth > 80) {
+      categoryBoxWidth = Math.max(categoryBoxWidth, 80);
+      return wrapText(label, 80, catFont);
+    }
+    categoryBoxWidth = Math.max(categoryBoxWidth, labelWidth);
+    return [label];
+  });
+
+  // Category membership matrix: one narrow column per category, labels rotated above
+  const membershipCategories = multiCategoryMode === 'matrix' ? heatmapData.categories : [];
+  const membershipWidth = membershipCategories.length > 0 ? membershipCategories.length * MEMBERSHIP_STEP + 8 : 0;
+  const membershipX = -(maxGeneNameWidth + 20 + rowTracksWidth + membershipWidth) + 4;
+  const membershipLabelHeight = membershipCategories.length > 0
+    ? Math.max(...membershipCategories.map(category => measureTextWidth(category, '10px Arial'))) + 10
+    : 0;
+
+  // Left side, right to left: annotation tracks, gene names, membership
+  // matrix, row dendrogram, category boxes
+  const rowDendrogramWidth = heatmapData.rowDendrograms.length > 0 ? 60 : 0;
+  const rowDendrogramRight = -(maxGeneNameWidth + 20 + rowTracksWidth + membershipWidth);
+  const rowDendrogramMaxHeight = Math.max(1e-9, ...heatmapData.rowDendrograms.flatMap(d => d.links.map(link => link.height)));
+  const categoryBoxRightEdge = rowDendrogramRight - (rowDendrogramWidth > 0 ? rowDendrogramWidth + 8 : 0);
+  if (!showSidebar) categoryBoxWidth = 0;
+  const categoryBoxX = categoryBoxRightEdge - categoryBoxWidth;
+
+  // Significance legend entries laid out left to right: marker, then its label
+  const significanceLegendX = legendTexts.reduce((acc, text) => {
+    acc.push(acc[acc.length - 1] + 12 + measureTextWidth(text, '11px Arial') + 16);
+    return acc;
+  }, [60]);
+
+  // Right end of the legend, which can reach past the cells. Without
+  // significance entries (expression data has no p-values) the colour legend ends it.
+  const legendRight = legendTexts.length > 0
+    ? 350 + significanceLegendX[legendTexts.length] + (legendNote ? measureTextWidth(legendNote, '11px Arial') : 0)
+    : 70 + COLOR_LEGEND_WIDTH + 10;
+
+  // Panels are titled with their sheet name above the legend
+  const panelTitleHeight = panelCount > 1 ? 30 : 0;
+  const margin = cropped ? {
+    top: Math.max(showLegend ? -legendY + 25 : -headersTop + 10, membershipLabelHeight + 10, rowTrackLabelHeight + 10) + panelTitleHeight,
+    right: Math.max(20, showLegend ? legendRight - totalColsWidth + 10 : 0, trackLegendWidth - totalColsWidth + 10),
+    bottom: 10 + trackLegendHeight,
+    left: Math.max(10, -categoryBoxX + 10, sampleTrackLabelWidth - sampleTrackLabelX + 10)
+  } : {
+    ...PAGE_MARGIN,
+    top: Math.max(PAGE_MARGIN.top, -legendY + 25, membershipLabelHeight + 10, rowTrackLabelHeight + 10) + panelTitleHeight,
+    right: Math.max(PAGE_MARGIN.right, trackLegendWidth - totalColsWidth + 10),
+    bottom: PAGE_MARGIN.bottom + trackLegendHeight,
+    left: Math.max(100, -categoryBoxX + 10, sampleTrackLabelWidth - sampleTrackLabelX + 10)
+  };
+
+  return {
+    cellHeight,
+    rowsHeight,
+    maxGeneNameWidth,
+    colWidths,
+    colX,
+    totalColsWidth,
+    headerLinesByColumn,
+    headerOffset,
+    sampleTracks,
+    sampleTracksHeight,
+    sampleTrackLabelX,
+    annotationTracks,
+    rowTracksWidth,
+    rowTrackX,
+    geneNameX,
+    trackLegend,
+    columnDendrogramHeight,
+    columnDendrogramBottom,
+    columnDendrogramMaxHeight,
+    columnDendrogramTop: headersTop,
+    columnCenterX,
+    legendY,
+    legendBottom: legendY + LEGEND_DEPTH,
+    categoryLabelLines,
+    categoryBoxWidth,
+    categoryBoxX,
+    membershipCategories,
+    membershipX,
+    rowDendrogramWidth,
+    rowDendrogramRight,
+    rowDendrogramMaxHeight,
+    significanceLegendX,
+    panelTitleHeight,
+    margin,
+    width: margin.left + totalColsWidth + margin.right,
+    height: margin.top + rowsHeight + margin.bottom + (cropped ? 0 : 40)
+  };
+};
@@ -0,0 +1,77 @@
+import { panelLayout, rowHeight } from './heatmapLayout';
+
+const fontSizes = { geneName: 12, header: 12, foldChange: 12, categoryName: 12 };
+const heatmapData = {
+  comparisons: ['A vs B', 'C vs D'],
+  genes: [
+    { id: 'Apoe', categories: ['Lipid'], values: [1, 2] },
+    { id: 'Ldlr', categories: ['Lipid'], values: [-1, 0] }
+  ],
+  categories: ['Lipid'],
+  categoryGroups: [{ category: 'Lipid', startIndex: 0, endIndex: 1, count: 2 }],
+  columnDendrogram: null,
+  rowDendrograms: []
+};
+const measured = { columnWidths: [60, 80], maxGeneNameWidth: 40 };
+
+beforeAll(() => {
+  // No canvas, so text is measured from the font metrics
+  HTMLCanvasElement.prototype.getContext = () => null;
+});
+
+test('columns take their resized or measured widths', () => {
+  const layout = panelLayout(heatmapData, { fontSizes, measured, colWidths: { 'C vs D': 120 } });
+  expect(layout.colWidths).toEqual([60, 120]);
+  expect(layout.colX).toEqual([0, 60]);
+  expect(layout.totalColsWidth).toBe(180);
+  expect(layout.cellHeight).toBe(rowHeight(fontSizes));
+  expect(layout.rowsHeight).toBe(60);
+});
+
+test('publication layouts are cropped to the drawing, legend included', () => {
+  const page = panelLayout(heatmapData, { fontSizes, measured });
+  expect(page.margin).toMatchObject({ top: 100, right: 200, bottom: 50 });
+  expect(page.height).toBe(100 + 60 + 50 + 40);
+
+  const legendTexts = ['p < 0.01', 'p < 0.05'];
+  const cropped = panelLayout(heatmapData, { fontSizes, measured, legendTexts, cropped: true });
+  expect(cropped.margin.bottom).toBe(10);
+  expect(cropped.margin.top).toBe(-cropped.legendY + 25);
+  // The significance legend starts 350px in, past the two columns
+  expect(cropped.margin.left + cropped.totalColsWidth + cropped.margin.right)
+    .toBeGreaterThan(cropped.margin.left + 350 + cropped.significanceLegendX[2]);
+
+  const bare = panelLayout(heatmapData, { fontSizes, measured, legendTexts, cropped: true, showLegend: false, showSidebar: false });
+  expect(bare.margin.right).toBe(20);
+  expect(bare.margin.top).toBeLessThan(cropped.margin.top);
+  expect(bare.categoryBoxWidth).toBe(0);
+  expect(bare.categoryBoxX).toBe(-(40 + 20));
+});
+
+test('the legend sits above the column dendrogram', () => {
+  const withDendrogram = {
+    ...heatmapData,
+    columnDendrogram: { links: [{ from: 0.5, to: 1.5, height: 2, leftHeight: 0, rightHeight: 0 }] }
+  };
+  [heatmapData, withDendrogram].forEach(data => {
+    const layout = panelLayout(data, { fontSizes, measured, cropped: true });
+    expect(layout.legendBottom).toBeLessThan(layout.columnDendrogramTop);
+    expect(layout.margin.top).toBeGreaterThanOrEqual(-layout.legendY);
+  });
+  const layout = panelLayout(withDendrogram, { fontSizes, measured });
+  expect(layout.columnDendrogramTop).toBe(layout.columnDendrogramBottom - layout.columnDendrogramHeight);
+});
+
+test('row annotation tracks push the gene names left and add a legend line', () => {
+  const tracks = [
+    { name: 'biotype', width: 12, levels: [{ value: 'lncRNA', color: '#66c2a5' }] },
+    { name: 'baseMean', width: 30, levels: [{ value: '50 – 100', color: '#7f7f7f' }] }
+  ];
+  const layout = panelLayout(heatmapData, { fontSizes, measured, annotationTracks: tracks, cropped: true });
+  expect(layout.rowTracksWidth).toBe(12 + 4 + 30 + 4 + 4);
+  expect(layout.rowTrackX).toEqual([-54, -38]);
+  expect(layout.geneNameX).toBe(-15 - 54);
+  expect(layout.categoryBoxX).toBeLessThan(-(40 + 20 + 54));
+  expect(layout.trackLegend.map(line => line.name)).toEqual(['biotype', 'baseMean']);
+  expect(layout.margin.bottom).toBe(10 + 2 * 18 + 14);
+});
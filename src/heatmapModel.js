@@ -0,0 +1,120 @@
+import { mergeImports } from './importers';
+import { buildDataset, buildHeatmapData, renameComparisons } from './heatmapData';
+import { sortedTiers } from './significance';
+import { buildColorScale, percentileDomain } from './colorScales';
+import { P_ADJUST_METHODS } from './stats';
+import { expressionValueLabel } from './expression';
+
+// From datasets and view settings to what the heatmap draws: the merged
+// datasets, the panels shown, the p-values behind the significance markers
+// and the colour scale. Used by ClusteredHeatmap, which memoizes each step,
+// and by the headless renderer (headless.js).
+
+// Datasets joined on gene ID, with the chosen merge rules and comparison names
+export const mergeDatasets = (datasets, { mergeSettings, categoryDelimiter, comparisonRenames }) =>
+  datasets.map(({ sheetName, imports }) => {
+    const merged = mergeImports(imports, { ...mergeSettings, delimiter: categoryDelimiter });
+    const fileNames = [...new Set(imports.map(imported => imported.fileName))];
+    return {
+      name: sheetName || fileNames.join(', '),
+      fileCount: imports.length,
+      categoryConflicts: merged.categoryConflicts || 0,
+      mergedComparisons: merged.comparisons,
+      data: buildDataset(renameComparisons(merged, comparisonRenames))
+    };
+  });
+
+// The selected dataset, or every dataset when activeDataset is 'panels'
+export const shownDatasetsOf = (mergedDatasets, activeDataset) =>
+  (activeDataset === 'panels' ? mergedDatasets : mergedDatasets.slice(activeDataset, activeDataset + 1));
+
+// Whether any comparison has adjusted p-values (FDR/q) to drive the markers
+export const hasAdjustedPValues = (shownDatasets) => shownDatasets.some(dataset =>
+  dataset.data.genes.some(gene => gene.adjPValues.some(v => v !== null && v !== undefined)));
+
+// Source actually used: file adjusted values or in-app correction fall back to raw p if unavailable
+export const activeSignificanceSource = (shownDatasets, { significanceSource, pAdjustMethod }) =>
+  ((significanceSource === 'adjPValue' && hasAdjustedPValues(shownDatasets)) ||
+    (significanceSource === 'corrected' && pAdjustMethod !== 'none')
+    ? significanceSource
+    : 'pValue');
+
+// One panel per shown dataset: [{ name, heatmapData }]. pValueSource is the
+// active significance source.
+export const buildPanels = (shownDatasets, {
+  pAdjustMethod, categoryDelimiter, multiCategoryMode, rowClustering, columnOrderMode, distanceMetric, linkageMethod,
+  filters, pValueSource, sortSettings, significanceSettings, categoryOrder, manualGeneOrder, customColumnOrder,
+  expressionTransform
+}) => {
+  const options = {
+    pAdjustMethod, categoryDelimiter, multiCategoryMode, rowClustering, columnOrderMode, distanceMetric, linkageMethod,
+    filters, pValueSource, sort: sortSettings, significanceSettings,
+    categoryOrder, manualGeneOrder, customColumnOrder, expressionTransform
+  };
+  return shownDatasets.map(({ name, data }) => ({ name, heatmapData: buildHeatmapData(data, options) }));
+};
+
+// Every step at once, for callers that don't cache them
+export const heatmapPanels = (datasets, settings) => {
+  const shownDatasets = shownDatasetsOf(mergeDatasets(datasets, settings), settings.activeDataset);
+  const significanceSource = activeSignificanceSource(shownDatasets, settings);
+  return { significanceSource, panels: buildPanels(shownDatasets, { ...settings, pValueSource: significanceSource }) };
+};
+
+// The p-value (raw, from the file's adjusted columns or corrected in-app) that drives the significance markers
+export const significanceValue = (gene, j, source) => {
+  const values = {
+    pValue: gene.pValues,
+    adjPValue: gene.adjPValues,
+    corrected: gene.correctedPValues
+  }[source];
+  const value = values ? values[j] : null;
+  return value !== undefined && value !== null ? value : null;
+};
+
+// Column label for in-app corrected p-values in the exports
+export const correctionLabelFor = (pAdjustMethod) =>
+  (pAdjustMethod !== 'none' ? `${P_ADJUST_METHODS[pAdjustMethod]}-adjusted` : null);
+
+// The significance legend: its heading, one entry per tier, strictest
+// first, and the fold change every marked cell also needs
+export const significanceLegend = (significanceSettings, source) => {
+  const label = source !== 'pValue' ? 'adj. p' : 'p';
+  return {
+    heading: source !== 'pValue' ? 'adj. p:' : 'p-value:',
+    entries: sortedTiers(significanceSettings).map((tier, index, tiers) => ({
+      marker: tier.marker,
+      level: tiers.length - index,
+      text: `${label} < ${tier.threshold}`
+    })),
+    log2FCRequirement: significanceSettings.minAbsLog2FC > 0 ? `|log₂FC| ≥ ${significanceSettings.minAbsLog2FC}` : null
+  };
+};
+
+// Cell colours: palette, scale type and domain from the colour settings.
+// Panels share one scale so they can be compared directly.
+export const panelsColorScale = (panels, { colorScaleType, colorSettings }) => {
+  const values = panels.flatMap(panel => panel.heatmapData.genes.flatMap(g => g.values));
+  const domain = colorSettings.domainMode === 'percentile'
+    ? { ...percentileDomain(values, colorSettings.clipPercentile), mid: colorSettings.domain.mid }
+    : colorSettings.domain;
+  return buildColorScale({
+    type: colorScaleType,
+    palette: colorSettings.palette,
+    customColors: colorSettings.customColors,
+    domain,
+    values
+  });
+};
+
+// Whether the panels show expression matrices rather than fold changes
+export const isExpressionData = (panels) =>
+  panels.length > 0 && panels.every(panel => panel.heatmapData.valueKind === 'expression');
+
+// What the cell values are: fold changes, or the transformed expression values
+export const valueLabelOf = (panels, expressionTransform) =>
+  (isExpressionData(panels) ? expressionValueLabel(expressionTransform) : 'Log₂ Fold Change');
+
+// Title of the colour legend
+export const colorLegendTitle = (colorScaleType, valueLabel = 'Log₂ Fold Change') =>
+  `${valueLabel}${colorScaleType === 'log' ? ' (log-scaled colours)' : ''}${colorScaleType === 'quantile' ? ' (quantile bins)' : ''}`;
@@ -0,0 +1,64 @@
+import { DEFAULT_COLOR_SETTINGS } from './colorScales';
+import { DEFAULT_SIGNIFICANCE_SETTINGS } from './significance';
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_SORT } from './sorting';
+import { DEFAULT_EXPORT_OPTIONS } from './exportFormats';
+import { DEFAULT_EXPRESSION_TRANSFORM } from './expression';
+
+// Every view setting of a heatmap, by name, with its default. These are the
+// settings a host can pass to ClusteredHeatmap and the ones saved in project
+// files.
+export const DEFAULT_HEATMAP_SETTINGS = {
+  activeDataset: 0, // index into the datasets, or 'panels' to show them all
+  mergeSettings: { categoryRule: 'first', comparisonNaming: 'suffix' },
+  comparisonRenames: {}, // merged comparison name -> name shown
+  showFoldChange: true,
+  colWidths: {}, // widths set by resizing, by comparison name
+  fontSizes: {
+    geneName: 12,
+    header: 12,
+    foldChange: 12,
+    categoryName: 12
+  },
+  expressionTransform: DEFAULT_EXPRESSION_TRANSFORM, // log2 and row scaling of expression matrices
+  annotationTracks: [], // extra table columns shown as row annotation tracks, by name
+  numericTrackStyle: 'bar', // bar, color
+  colorScaleType: 'linear', // linear, log, quantile
+  colorSettings: DEFAULT_COLOR_SETTINGS,
+  categoryColors: {}, // colour overrides by category name
+  categoryDelimiter: ';',
+  multiCategoryMode: 'repeat', // repeat, primary, matrix
+  rowClustering: 'none', // none, all, category
+  distanceMetric: 'euclidean',
+  linkageMethod: 'average',
+  columnOrderMode: 'file', // file, clustered, custom
+  significanceSource: 'pValue', // pValue, adjPValue, corrected
+  pAdjustMethod: 'none', // none, BH, BY, bonferroni, holm
+  significanceSettings: DEFAULT_SIGNIFICANCE_SETTINGS,
+  filters: DEFAULT_FILTERS,
+  sortSettings: DEFAULT_SORT,
+  // Custom orders set by dragging, as lists of names (see ordering.js)
+  customColumnOrder: null, // comparison names
+  categoryOrder: null, // category names
+  manualGeneOrder: {}, // category -> gene IDs
+  headerClickMode: 'sort', // sort, select
+  highlightedGenes: [], // gene IDs found with the search box
+  labelMode: 'all', // all, highlighted
+  renderMode: 'auto', // auto, full, virtual
+  exportOptions: DEFAULT_EXPORT_OPTIONS
+};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// The known settings among the given ones, with object settings filled in
+// from their defaults, so settings saved or passed in part (e.g. only some
+// font sizes) still hold every field. Objects that already have every field
+// are kept as they are, so memoized views don't recompute. Undefined and
+// unknown keys are dropped.
+export const fillSettings = (settings = {}) => Object.fromEntries(Object.entries(settings)
+  .filter(([key, value]) => key in DEFAULT_HEATMAP_SETTINGS && value !== undefined)
+  .map(([key, value]) => {
+    const defaults = DEFAULT_HEATMAP_SETTINGS[key];
+    const partial = isPlainObject(defaults) && isPlainObject(value) && Object.keys(defaults).some(field => !(field in value));
+    return [key, partial ? { ...defaults, ...value } : value];
+  }));
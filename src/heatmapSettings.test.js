@@ -0,0 +1,22 @@
+import { fillSettings, DEFAULT_HEATMAP_SETTINGS } from './heatmapSettings';
+
+// colorScales loads d3, which Jest can't read untransformed
+jest.mock('./colorScales', () => ({ DEFAULT_COLOR_SETTINGS: { palette: 'classic' } }));
+
+test('settings given in part are filled in from the defaults', () => {
+  const settings = fillSettings({
+    fontSizes: { header: 16 },
+    highlightedGenes: ['Apoe'],
+    customColumnOrder: ['B', 'A'],
+    rowClustering: undefined,
+    unknown: true
+  });
+  expect(settings).toEqual({
+    fontSizes: { ...DEFAULT_HEATMAP_SETTINGS.fontSizes, header: 16 },
+    highlightedGenes: ['Apoe'],
+    customColumnOrder: ['B', 'A']
+  });
+  expect(fillSettings()).toEqual({});
+  const filters = { ...DEFAULT_HEATMAP_SETTINGS.filters };
+  expect(fillSettings({ filters }).filters).toBe(filters);
+});
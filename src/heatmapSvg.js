@@ -0,0 +1,97 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { panelLayout } from './heatmapLayout';
+import { significanceLegend, panelsColorScale, valueLabelOf } from './heatmapModel';
+import { assignCategoryColors } from './categoryColors';
+import { annotationTracks } from './annotationTracks';
+import HeatmapPanelSvg from './HeatmapPanelSvg';
+
+// The heatmap figure as SVG markup, rendered from the component the app
+// shows (HeatmapPanelSvg) without a DOM, so it runs in Node. It draws what
+// the publication export of ClusteredHeatmap draws: the panels cropped to
+// the drawing, without selection or sort indicators.
+
+// Layout of one panel as the publication export lays it out
+const exportLayout = (heatmapData, { settings, panelCount, significanceSource, highlighted, showLegend, showSidebar, rowTracks }) => {
+  const legend = significanceLegend(settings.significanceSettings, significanceSource);
+  // Expression matrices have no p-values, so no significance legend
+  const significanceMarkers = heatmapData.valueKind !== 'expression';
+  return panelLayout(heatmapData, {
+    fontSizes: settings.fontSizes,
+    colWidths: settings.colWidths,
+    labelledIds: settings.labelMode === 'all' ? null : [...new Set(heatmapData.genes.map(gene => gene.id))].filter(id => highlighted.has(id)),
+    multiCategoryMode: settings.multiCategoryMode,
+    legendTexts: significanceMarkers ? legend.entries.map(entry => entry.text) : [],
+    legendNote: significanceMarkers && legend.log2FCRequirement && `and ${legend.log2FCRequirement}`,
+    panelCount,
+    cropped: true,
+    showLegend,
+    showSidebar,
+    annotationTracks: rowTracks
+  });
+};
+
+// The figure for the given panels ([{ name, heatmapData }], see heatmapModel.js)
+// and settings: { markup, width, height }, with width and height in pixels
+// of the drawing. Several panels are stacked top to bottom. Options:
+// - significanceSource: the active significance source
+// - fontFamily: CSS font family of the text
+// - fontFace: CSS @font-face rules to embed, for an uploaded font
+// - widthMm: physical width of the figure; the height keeps the aspect ratio
+export const heatmapSvg = (panels, settings, {
+  significanceSource = 'pValue', fontFamily = 'Arial, Helvetica, sans-serif', fontFace = null, widthMm = null
+} = {}) => {
+  const colorScale = panelsColorScale(panels, settings);
+  const valueLabel = valueLabelOf(panels, settings.expressionTransform);
+  const categoryColors = assignCategoryColors(
+    [...new Set(panels.flatMap(panel => panel.heatmapData.categories))],
+    settings.categoryColors
+  );
+  const highlighted = new Set(settings.highlightedGenes);
+  const { legend: showLegend, sidebar: showSidebar } = settings.exportOptions;
+
+  let offset = 0;
+  const placed = panels.map(({ name, heatmapData }, p) => {
+    const rowTracks = annotationTracks(heatmapData.rowAnnotations, settings.annotationTracks, { numericStyle: settings.numericTrackStyle });
+    const layout = exportLayout(heatmapData, {
+      settings, panelCount: panels.length, significanceSource, highlighted, showLegend, showSidebar, rowTracks
+    });
+    const y = offset;
+    offset += layout.height;
+    return { name, heatmapData, p, layout, rowTracks, y };
+  });
+  const width = Math.max(0, ...placed.map(panel => panel.layout.width));
+  const height = offset;
+  const mm = value => `${Math.round(value * 100) / 100}mm`;
+
+  const markup = renderToStaticMarkup(
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width={widthMm ? mm(widthMm) : width}
+      height={widthMm ? mm(widthMm * height / width) : height}
+      viewBox={`0 0 ${width} ${height}`}
+      fontFamily={fontFamily}
+    >
+      {fontFace && <style>{fontFace}</style>}
+      {placed.map(panel => (
+        <HeatmapPanelSvg
+          key={panel.p}
+          {...panel}
+          fontSizes={settings.fontSizes}
+          labelMode={settings.labelMode}
+          showFoldChange={settings.showFoldChange}
+          colorScale={colorScale}
+          colorScaleType={settings.colorScaleType}
+          valueLabel={valueLabel}
+          significanceSettings={settings.significanceSettings}
+          significanceSource={significanceSource}
+          categoryColors={categoryColors}
+          highlighted={highlighted}
+          showLegend={showLegend}
+          showSidebar={showSidebar}
+        />
+      ))}
+    </svg>
+  );
+  return { markup, width, height };
+};
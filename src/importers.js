@@ -0,0 +1,494 @@
+import * as XLSX from 'xlsx';
+import { joinCategories } from './categories';
+
+// Importers turn the rows of one result table into comparisons and genes.
+// Each importer declares which headers it recognises; the first one whose
+// detect() matches the table is used. Wide tables (Log2FC (X) / P value (X))
+// hold several comparisons; DESeq2, edgeR and limma tables hold one contrast
+// each, named after the file.
+
+export const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.csv', '.tsv', '.txt'];
+
+// Column names tried, in order, for the gene identifier. R writes row names
+// under an empty header, which sheet_to_json reports as __EMPTY.
+const ID_COLUMNS = ['Gene ID', 'GeneID', 'gene_id', 'Gene', 'gene', 'ID', 'Symbol', 'symbol', 'gene_name', '__EMPTY'];
+
+const comparisonPattern = /^Log2FC\s*\((.+)\)$/i;
+const pValuePattern = /^P value\s*\((.+)\)$/i;
+// Adjusted p-values: "Adj P value (X)", "Adjusted P value (X)", "P adj (X)", "padj (X)", "FDR (X)", "q value (X)"
+const adjPValuePattern = /^(?:adj(?:usted)?\.?\s*p[\s.-]*val(?:ue)?|p[\s.-]*adj(?:usted)?|FDR|q[\s.-]*val(?:ue)?)\s*\((.+)\)$/i;
+
+// Comparison names inside headers are matched case-insensitively, ignoring extra spaces
+const comparisonKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Parse a numeric cell; blanks, NA and other non-numbers become null
+export const parseNumber = (val) => {
+  if (val === undefined || val === null || val === '') return null;
+  const num = typeof val === 'number' ? val : parseFloat(val);
+  return Number.isFinite(num) ? num : null;
+};
+
+export const findIdColumn = (headers) => ID_COLUMNS.find(name => headers.includes(name));
+
+export const findCategoryColumn = (headers) => headers.find(h => h.toLowerCase().includes('category'));
+
+// Comparison name for single-contrast files: the file name without extension
+export const comparisonNameFromFile = (fileName) => fileName.replace(/\.[^.]+$/, '').replace(/_/g, ' ').trim();
+
+const readWorkbook = (arrayBuffer, fileName) => {
+  const isText = /\.(csv|tsv|txt)$/i.test(fileName);
+  let workbook;
+  if (isText) {
+    // Tab in the header line means TSV; raw keeps IDs such as "MARCH1" from turning into dates
+    const bytes = new Uint8Array(arrayBuffer);
+    const lineEnd = bytes.indexOf(10);
+    const separator = bytes.subarray(0, lineEnd === -1 ? bytes.length : lineEnd).includes(9) ? '\t' : ',';
+    workbook = XLSX.read(bytes, { type: 'array', FS: separator, raw: true });
+  } else {
+    workbook = XLSX.read(new Uint8Array(arrayBuffer), { cellDates: true });
+  }
+  if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+    throw new Error('No sheets found in the file');
+  }
+  return workbook;
+};
+
+// Header names and row objects for one sheet, or null if the sheet is empty
+const sheetTable = (sheet) => {
+  const rows = XLSX.utils.sheet_to_json(sheet);
+  if (!rows || rows.length === 0) return null;
+
+  // Take headers from the header row so columns that are blank in the first data row are kept
+  const headerRow = XLSX.utils.sheet_to_json(sheet, { header: 1, range: 0 })[0] || [];
+  // Blank headers are named the way sheet_to_json names them: __EMPTY, __EMPTY_1, ...
+  let blankCount = 0;
+  const headers = Array.from(headerRow, h => {
+    if (h !== undefined && h !== null && h !== '') return String(h);
+    blankCount += 1;
+    return blankCount === 1 ? '__EMPTY' : `__EMPTY_${blankCount - 1}`;
+  });
+  return { headers, rows };
+};
+
+// Read the first sheet of a workbook, or a CSV/TSV file, into header names and row objects
+export const readTable = (arrayBuffer, fileName = '') => {
+  const workbook = readWorkbook(arrayBuffer, fileName);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('Could not read the first sheet');
+  }
+  const table = sheetTable(sheet);
+  if (!table) {
+    throw new Error('No data found in the sheet');
+  }
+  return table;
+};
+
+// Read every non-empty sheet: [{ sheetName, headers, rows }] in workbook order.
+// CSV and TSV files have a single sheet.
+export const readSheets = (arrayBuffer, fileName = '') => {
+  const workbook = readWorkbook(arrayBuffer, fileName);
+  const sheets = workbook.SheetNames
+    .map(sheetName => ({ sheetName, table: workbook.Sheets[sheetName] && sheetTable(workbook.Sheets[sheetName]) }))
+    .filter(({ table }) => table)
+    .map(({ sheetName, table }) => ({ sheetName, ...table }));
+  if (sheets.length === 0) {
+    throw new Error('No data found in the sheet');
+  }
+  return sheets;
+};
+
+const PROGRESS_INTERVAL = 2000;
+
+// Columns the mapping doesn't use. Blank headers other than the gene ID are
+// left out; R writes row numbers there.
+const unmappedColumns = (headers, { idColumn, categoryColumn, comparisons }) => {
+  const used = new Set([idColumn, categoryColumn, ...comparisons.flatMap(comp => [comp.logFCColumn, comp.pValueColumn, comp.adjPValueColumn])]);
+  return headers.filter(h => !used.has(h) && !h.startsWith('__EMPTY'));
+};
+
+// A row's annotation cells by column: numbers as numbers, other text trimmed;
+// blank and NA cells are left out
+const annotationsOf = (row, columns) => {
+  const annotations = {};
+  columns.forEach(column => {
+    const cell = row[column];
+    const number = parseNumber(cell);
+    if (number !== null) {
+      annotations[column] = number;
+    } else if (cell !== undefined && cell !== null) {
+      const text = String(cell).trim();
+      if (text !== '' && text !== 'NA') annotations[column] = text;
+    }
+  });
+  return annotations;
+};
+
+// A column mapping says which columns hold the gene ID, the category and,
+// for each comparison, the fold change, p-value and adjusted p-value (FDR/q):
+// { idColumn, categoryColumn, comparisons: [{ name, logFCColumn, pValueColumn, adjPValueColumn }] }
+// An empty categoryColumn, pValueColumn or adjPValueColumn means the table has none.
+// Every other column (e.g. baseMean, biotype) is kept as a gene annotation,
+// for the row annotation tracks (see annotationTracks.js), unless the mapping
+// lists its annotationColumns.
+// onProgress, if given, is called with the fraction of rows done.
+export const importWithMapping = ({ headers, rows }, mapping, { onProgress } = {}) => {
+  const { idColumn, categoryColumn, comparisons } = mapping;
+  const annotationColumns = mapping.annotationColumns || unmappedColumns(headers, mapping);
+  if (!idColumn || !headers.includes(idColumn)) {
+    throw new Error(`Gene ID column not found: ${idColumn || '(none selected)'}`);
+  }
+  if (!comparisons || comparisons.length === 0) {
+    throw new Error('No comparison columns selected');
+  }
+  comparisons.forEach(comp => {
+    if (!headers.includes(comp.logFCColumn)) {
+      throw new Error(`Fold change column not found: ${comp.logFCColumn || '(none selected)'}`);
+    }
+  });
+  if (!categoryColumn) {
+    console.warn('No category column found. Using "Uncategorized" for all genes');
+  }
+
+  const genes = [];
+  rows.forEach((row, index) => {
+    if (onProgress && index % PROGRESS_INTERVAL === 0) onProgress(index / rows.length);
+    // Only accept rows with a valid gene ID (not empty/whitespace)
+    let geneId = row[idColumn];
+    if (typeof geneId === 'string') geneId = geneId.trim();
+    if (geneId === undefined || geneId === null || geneId === '') {
+      console.warn(`Skipping row ${index + 2}: Missing or blank Gene ID`);
+      return;
+    }
+
+    const values = comparisons.map(comp => parseNumber(row[comp.logFCColumn]));
+    if (values.every(v => v === null)) {
+      console.warn(`Gene ${geneId} has no valid comparison values`);
+    }
+
+    const gene = {
+      id: String(geneId),
+      category: (categoryColumn && row[categoryColumn]) || 'Uncategorized',
+      values,
+      pValues: comparisons.map(comp => (comp.pValueColumn ? parseNumber(row[comp.pValueColumn]) : null)),
+      adjPValues: comparisons.map(comp => (comp.adjPValueColumn ? parseNumber(row[comp.adjPValueColumn]) : null))
+    };
+    if (annotationColumns.length > 0) gene.annotations = annotationsOf(row, annotationColumns);
+    genes.push(gene);
+  });
+
+  if (genes.length === 0) {
+    throw new Error('No valid gene data found in the file');
+  }
+  if (onProgress) onProgress(1);
+
+  return {
+    comparisons: comparisons.map(comp => comp.name),
+    comparisonColumns: comparisons.map(comp => comp.logFCColumn),
+    pValueColumns: comparisons.map(comp => comp.pValueColumn || null),
+    adjPValueColumns: comparisons.map(comp => comp.adjPValueColumn || null),
+    annotationColumns,
+    genes
+  };
+};
+
+// Single-contrast formats differ only in their column names
+const singleContrastImporter = (id, name, columns) => ({
+  id,
+  name,
+  columns,
+  detect: (headers) => headers.includes(columns.logFC) && headers.includes(columns.pValue),
+  mapping: (headers, { fileName }) => ({
+    idColumn: findIdColumn(headers),
+    categoryColumn: findCategoryColumn(headers) || '',
+    comparisons: [{
+      name: comparisonNameFromFile(fileName) || name,
+      logFCColumn: columns.logFC,
+      pValueColumn: columns.pValue,
+      adjPValueColumn: headers.includes(columns.adjPValue) ? columns.adjPValue : ''
+    }]
+  })
+});
+
+export const IMPORTERS = [
+  {
+    id: 'wide',
+    name: 'Log2FC (X) / P value (X) columns',
+    detect: (headers) => headers.some(h => comparisonPattern.test(h)),
+    // P-value and adjusted p-value columns are paired with their Log2FC column by comparison name
+    mapping: (headers, { warn = () => {} } = {}) => {
+      const comparisonColumns = headers.filter(h => comparisonPattern.test(h));
+      const comparisonNames = comparisonColumns.map(col => col.match(comparisonPattern)[1].trim());
+      const comparisonKeys = comparisonNames.map(comparisonKey);
+
+      const columnsByComparison = (pattern, label) => {
+        const byKey = {};
+        headers.filter(h => pattern.test(h)).forEach(col => {
+          const key = comparisonKey(col.match(pattern)[1]);
+          if (!comparisonKeys.includes(key)) {
+            warn(`${label} column "${col}" has no matching Log2FC column and was ignored`);
+          } else if (byKey[key]) {
+            warn(`Duplicate ${label} column "${col}" was ignored`);
+          } else {
+            byKey[key] = col;
+          }
+        });
+        return byKey;
+      };
+      const pValueByKey = columnsByComparison(pValuePattern, 'P value');
+      const adjPValueByKey = columnsByComparison(adjPValuePattern, 'Adjusted p-value');
+
+      if (Object.keys(pValueByKey).length === 0 && Object.keys(adjPValueByKey).length === 0) {
+        console.warn('No p-value columns found with pattern: "P value (ComparisonName)"');
+      } else {
+        comparisonNames.forEach((name, j) => {
+          if (!pValueByKey[comparisonKeys[j]] && !adjPValueByKey[comparisonKeys[j]]) {
+            warn(`No p-value column found for comparison "${name}"`);
+          }
+        });
+      }
+
+      return {
+        idColumn: findIdColumn(headers),
+        categoryColumn: findCategoryColumn(headers) || '',
+        comparisons: comparisonColumns.map((col, j) => ({
+          name: comparisonNames[j],
+          logFCColumn: col,
+          pValueColumn: pValueByKey[comparisonKeys[j]] || '',
+          adjPValueColumn: adjPValueByKey[comparisonKeys[j]] || ''
+        }))
+      };
+    }
+  },
+  singleContrastImporter('deseq2', 'DESeq2', { logFC: 'log2FoldChange', pValue: 'pvalue', adjPValue: 'padj' }),
+  singleContrastImporter('edger', 'edgeR', { logFC: 'logFC', pValue: 'PValue', adjPValue: 'FDR' }),
+  singleContrastImporter('limma', 'limma', { logFC: 'logFC', pValue: 'P.Value', adjPValue: 'adj.P.Val' })
+];
+
+export const detectImporter = (headers) => IMPORTERS.find(importer => importer.detect(headers)) || null;
+
+// True when the columns can't be mapped automatically and the user has to choose them
+export const needsColumnMapping = (headers) => !detectImporter(headers) || !findIdColumn(headers);
+
+// Best-guess mapping to prefill the mapping dialog
+export const guessMapping = (headers, { fileName = '' } = {}) => {
+  const importer = detectImporter(headers);
+  if (importer) {
+    const mapping = importer.mapping(headers, { fileName });
+    return { ...mapping, idColumn: mapping.idColumn || headers[0] };
+  }
+  return {
+    idColumn: findIdColumn(headers) || headers[0],
+    categoryColumn: findCategoryColumn(headers) || '',
+    comparisons: []
+  };
+};
+
+// Parse one table with the importer that recognises its headers
+export const importTable = (table, { fileName = '', onProgress } = {}) => {
+  const importer = detectImporter(table.headers);
+  if (!importer) {
+    throw new Error('Unrecognised column layout. Expected "Log2FC (ComparisonName)" columns, or a DESeq2, edgeR or limma result table');
+  }
+  if (!findIdColumn(table.headers)) {
+    throw new Error(`No gene ID column found. Expected one of: ${ID_COLUMNS.filter(c => !c.startsWith('__')).join(', ')}`);
+  }
+  const warnings = [];
+  const warn = (message) => {
+    console.warn(message);
+    warnings.push(fileName ? `${fileName}: ${message}` : message);
+  };
+  const result = importWithMapping(table, importer.mapping(table.headers, { fileName, warn }), { onProgress });
+  return { ...result, format: importer.id, warnings };
+};
+
+// Mappings confirmed in the mapping dialog are saved per header layout, so a
+// file with the same columns maps automatically next time
+const MAPPING_STORAGE_KEY = 'geneHeatmap.columnMappings';
+const layoutKey = (headers) => headers.join('\u001f');
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(MAPPING_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// A single comparison named after its file is renamed after the new file
+export const loadSavedMapping = (headers, { fileName = '' } = {}) => {
+  const saved = readSavedMappings()[layoutKey(headers)];
+  if (!saved) return null;
+  const { nameFromFile, ...mapping } = saved;
+  if (nameFromFile && fileName) {
+    mapping.comparisons = [{ ...mapping.comparisons[0], name: comparisonNameFromFile(fileName) }];
+  }
+  return mapping;
+};
+
+export const saveMapping = (headers, mapping, { fileName = '' } = {}) => {
+  try {
+    const saved = readSavedMappings();
+    const nameFromFile = mapping.comparisons.length === 1 && mapping.comparisons[0].name === comparisonNameFromFile(fileName);
+    saved[layoutKey(headers)] = { ...mapping, nameFromFile };
+    window.localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(saved));
+  } catch (err) {
+    console.warn('Could not save column mapping:', err);
+  }
+};
+
+// An import from a table built outside the importers (a project file, or
+// { comparisons, genes } data handed to the heatmap): sparse or missing
+// value and p-value arrays are padded with nulls to the comparisons
+export const completeImport = (imported) => {
+  const count = imported.comparisons.length;
+  const column = values => (Array.isArray(values) ? values : []).concat(Array(count).fill(null)).slice(0, count);
+  return {
+    ...imported,
+    comparisonColumns: column(imported.comparisonColumns),
+    pValueColumns: column(imported.pValueColumns),
+    adjPValueColumns: column(imported.adjPValueColumns),
+    genes: imported.genes.map(gene => ({
+      ...gene,
+      id: String(gene.id),
+      category: gene.category || 'Uncategorized',
+      values: column(gene.values),
+      pValues: column(gene.pValues),
+      adjPValues: column(gene.adjPValues)
+    })),
+    warnings: []
+  };
+};
+
+export const MIXED_KINDS_MESSAGE = 'Expression matrices and fold change results can\'t be shown together. Load them as separate heatmaps';
+
+// Imports grouped into datasets ([{ sheetName, imports }]): single-sheet
+// files share the dataset with a null sheetName; sheets of multi-sheet
+// workbooks join the dataset named after the sheet. importsBySheet maps
+// sheet names to new imports; datasets are the ones loaded already.
+// Expression matrices and result tables can't be shown together, so mixing
+// the two kinds throws.
+export const addToDatasets = (datasets, importsBySheet) => {
+  const allImports = [
+    ...datasets.flatMap(dataset => dataset.imports),
+    ...[...importsBySheet.values()].flat()
+  ];
+  const expressionCount = allImports.filter(imported => imported.valueKind === 'expression').length;
+  if (expressionCount > 0 && expressionCount < allImports.length) {
+    throw new Error(MIXED_KINDS_MESSAGE);
+  }
+  const newDatasets = datasets.map(dataset => ({ ...dataset }));
+  importsBySheet.forEach((imports, sheetName) => {
+    const existing = newDatasets.find(dataset => dataset.sheetName === sheetName);
+    if (existing) {
+      existing.imports = [...existing.imports, ...imports];
+    } else {
+      newDatasets.push({ sheetName, imports });
+    }
+  });
+  return newDatasets;
+};
+
+// How a gene's category is chosen when files disagree
+export const CATEGORY_RULES = {
+  first: 'First file wins',
+  last: 'Last file wins',
+  combine: 'Combine all (multi-category)'
+};
+
+// How comparisons from different files are kept apart
+export const COMPARISON_NAMING = {
+  suffix: 'Number repeated names, e.g. "A (2)"',
+  prefix: 'Prefix with the file name'
+};
+
+// Outer-join several imports on gene ID. Comparison names are kept unique
+// and genes missing from an import get null values for its comparisons.
+// Imports may carry the fileName they came from, used by the 'prefix'
+// naming. Categories other than 'Uncategorized' are resolved by
+// categoryRule; 'combine' lists them all, joined with the category delimiter.
+// Expression matrices (see expression.js) stay expression data when every
+// import is one, and their sample annotations are joined with the samples.
+// Gene annotations from extra columns are joined too; where files share a
+// column the first file with a value wins.
+export const mergeImports = (imports, { categoryRule = 'first', comparisonNaming = 'suffix', delimiter = ';' } = {}) => {
+  if (imports.length === 1) return imports[0];
+
+  const comparisons = [];
+  const comparisonColumns = [];
+  const pValueColumns = [];
+  const adjPValueColumns = [];
+  const annotationColumns = [...new Set(imports.flatMap(result => result.annotationColumns || []))];
+  const genesById = new Map();
+  const categoriesById = new Map();
+  let offset = 0;
+
+  imports.forEach(result => {
+    const prefix = comparisonNaming === 'prefix' && result.fileName ? comparisonNameFromFile(result.fileName) : null;
+    result.comparisons.forEach((name, j) => {
+      const base = prefix && name !== prefix ? `${prefix}: ${name}` : name;
+      let unique = base;
+      for (let n = 2; comparisons.includes(unique); n++) unique = `${base} (${n})`;
+      comparisons.push(unique);
+      comparisonColumns.push(result.comparisonColumns[j]);
+      pValueColumns.push(result.pValueColumns[j]);
+      adjPValueColumns.push(result.adjPValueColumns[j]);
+    });
+
+    result.genes.forEach(gene => {
+      if (!genesById.has(gene.id)) {
+        genesById.set(gene.id, { id: gene.id, category: 'Uncategorized', values: [], pValues: [], adjPValues: [] });
+        categoriesById.set(gene.id, []);
+      }
+      const merged = genesById.get(gene.id);
+      if (gene.category !== 'Uncategorized') categoriesById.get(gene.id).push(gene.category);
+      if (gene.annotations) merged.annotations = { ...gene.annotations, ...merged.annotations };
+      result.comparisons.forEach((name, j) => {
+        merged.values[offset + j] = gene.values[j];
+        merged.pValues[offset + j] = gene.pValues[j];
+        merged.adjPValues[offset + j] = gene.adjPValues ? gene.adjPValues[j] : null;
+      });
+    });
+    offset += result.comparisons.length;
+  });
+
+  let categoryConflicts = 0;
+  categoriesById.forEach((found, id) => {
+    const distinct = [...new Set(found)];
+    if (distinct.length === 0) return;
+    if (distinct.length > 1) categoryConflicts += 1;
+    genesById.get(id).category = {
+      first: distinct[0],
+      last: found[found.length - 1],
+      combine: joinCategories(distinct, delimiter)
+    }[categoryRule] || distinct[0];
+  });
+
+  const orNull = (v) => (v !== undefined ? v : null);
+  const genes = [...genesById.values()].map(gene => ({
+    ...gene,
+    values: comparisons.map((name, j) => orNull(gene.values[j])),
+    pValues: comparisons.map((name, j) => orNull(gene.pValues[j])),
+    adjPValues: comparisons.map((name, j) => orNull(gene.adjPValues[j]))
+  }));
+
+  const expression = imports.every(result => result.valueKind === 'expression');
+  const annotated = imports.some(result => result.sampleAnnotations);
+
+  return {
+    comparisons,
+    comparisonColumns,
+    pValueColumns,
+    adjPValueColumns,
+    genes,
+    ...(annotationColumns.length > 0 && { annotationColumns }),
+    ...(expression && { valueKind: 'expression' }),
+    ...(annotated && {
+      sampleTracks: [...new Set(imports.flatMap(result => result.sampleTracks || []))],
+      sampleAnnotations: imports.flatMap(result => result.sampleAnnotations || result.comparisons.map(() => null))
+    }),
+    format: 'merged',
+    categoryConflicts,
+    warnings: imports.flatMap(result => result.warnings || [])
+  };
+};
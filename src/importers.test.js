@@ -0,0 +1,158 @@
+import * as XLSX from 'xlsx';
+import {
+  readTable, readSheets, importTable, importWithMapping, mergeImports, detectImporter, needsColumnMapping,
+  saveMapping, loadSavedMapping, completeImport, addToDatasets, MIXED_KINDS_MESSAGE
+} from './importers';
+
+const encode = (text) => Uint8Array.from(text, c => c.charCodeAt(0)).buffer;
+
+test('detects result table formats', () => {
+  expect(detectImporter(['Gene ID', 'Log2FC (A vs B)']).id).toBe('wide');
+  expect(detectImporter(['', 'baseMean', 'log2FoldChange', 'lfcSE', 'pvalue', 'padj']).id).toBe('deseq2');
+  expect(detectImporter(['gene', 'logFC', 'logCPM', 'PValue', 'FDR']).id).toBe('edger');
+  expect(detectImporter(['ID', 'logFC', 'AveExpr', 't', 'P.Value', 'adj.P.Val', 'B']).id).toBe('limma');
+  expect(detectImporter(['foo', 'bar'])).toBeNull();
+});
+
+test('reads a DESeq2 CSV with R row names', () => {
+  const csv = '"","baseMean","log2FoldChange","lfcSE","stat","pvalue","padj"\n"Apoe",100,1.5,0.2,7,0.001,0.01\n"Ldlr",50,-0.5,0.3,-1,0.2,NA\n';
+  const imported = importTable(readTable(encode(csv), 'KD_vs_Control.csv'), { fileName: 'KD_vs_Control.csv' });
+  expect(imported.comparisons).toEqual(['KD vs Control']);
+  expect(imported.genes).toEqual([
+    { id: 'Apoe', category: 'Uncategorized', values: [1.5], pValues: [0.001], adjPValues: [0.01], annotations: { baseMean: 100, lfcSE: 0.2, stat: 7 } },
+    { id: 'Ldlr', category: 'Uncategorized', values: [-0.5], pValues: [0.2], adjPValues: [null], annotations: { baseMean: 50, lfcSE: 0.3, stat: -1 } }
+  ]);
+  expect(imported.annotationColumns).toEqual(['baseMean', 'lfcSE', 'stat']);
+});
+
+test('extra columns are kept as gene annotations and joined when merged', () => {
+  const csv = 'Gene ID,Log2FC (A),biotype,length\nG1,1,protein_coding,1200\nG2,2,lncRNA,NA\n';
+  const first = importTable(readTable(encode(csv), 'a.csv'), { fileName: 'a.csv' });
+  expect(first.genes[0].annotations).toEqual({ biotype: 'protein_coding', length: 1200 });
+  expect(first.genes[1].annotations).toEqual({ biotype: 'lncRNA' });
+
+  const second = importTable(readTable(encode('Gene ID,Log2FC (B),biotype,chromosome\nG2,3,miRNA,chr1\n'), 'b.csv'), { fileName: 'b.csv' });
+  const merged = mergeImports([first, second]);
+  expect(merged.annotationColumns).toEqual(['biotype', 'length', 'chromosome']);
+  expect(merged.genes.find(gene => gene.id === 'G2').annotations).toEqual({ biotype: 'lncRNA', chromosome: 'chr1' });
+});
+
+test('reads every non-empty sheet of a workbook', () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Gene ID', 'Log2FC (A)'], ['G1', 1]]), 'Liver');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([]), 'Notes');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Gene ID', 'Log2FC (A)'], ['G2', -1]]), 'Kidney');
+  const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  const sheets = readSheets(buffer, 'tissues.xlsx');
+  expect(sheets.map(sheet => sheet.sheetName)).toEqual(['Liver', 'Kidney']);
+  expect(sheets[1]).toMatchObject({ headers: ['Gene ID', 'Log2FC (A)'], rows: [{ 'Gene ID': 'G2', 'Log2FC (A)': -1 }] });
+  expect(readSheets(encode('gene,logFC\nG1,1\n'), 'a.csv')).toHaveLength(1);
+});
+
+test('reads an edgeR TSV', () => {
+  const tsv = 'gene\tlogFC\tlogCPM\tPValue\tFDR\nApoe\t2\t5\t0.01\t0.02\n';
+  const imported = importTable(readTable(encode(tsv), 'rescue.tsv'), { fileName: 'rescue.tsv' });
+  expect(imported.format).toBe('edger');
+  expect(imported.genes[0]).toMatchObject({ id: 'Apoe', values: [2], pValues: [0.01], adjPValues: [0.02] });
+});
+
+test('pairs p-values with comparisons by name, not position', () => {
+  const table = {
+    headers: ['Gene ID', 'Log2FC (A)', 'Log2FC (B)', 'P value (B)', 'P value (A)', 'FDR (a)', 'P value (C)'],
+    rows: [{ 'Gene ID': 'G1', 'Log2FC (A)': 1, 'Log2FC (B)': 2, 'P value (B)': 0.2, 'P value (A)': 0.1, 'FDR (a)': 0.15, 'P value (C)': 0.5 }]
+  };
+  const imported = importTable(table, { fileName: 'wide.xlsx' });
+  expect(imported.genes[0]).toMatchObject({ values: [1, 2], pValues: [0.1, 0.2], adjPValues: [0.15, null] });
+  expect(imported.warnings).toEqual(['wide.xlsx: P value column "P value (C)" has no matching Log2FC column and was ignored']);
+});
+
+test('merges one file per contrast by gene ID', () => {
+  const a = { comparisons: ['A'], comparisonColumns: ['logFC'], pValueColumns: ['PValue'], adjPValueColumns: ['FDR'], genes: [{ id: 'X', category: 'Uncategorized', values: [1], pValues: [0.1], adjPValues: [0.3] }] };
+  const b = { comparisons: ['A'], comparisonColumns: ['logFC'], pValueColumns: ['PValue'], adjPValueColumns: [null], genes: [{ id: 'Y', category: 'Lipid', values: [2], pValues: [0.2], adjPValues: [null] }] };
+  const merged = mergeImports([a, b]);
+  expect(merged.comparisons).toEqual(['A', 'A (2)']);
+  expect(merged.genes).toEqual([
+    { id: 'X', category: 'Uncategorized', values: [1, null], pValues: [0.1, null], adjPValues: [0.3, null] },
+    { id: 'Y', category: 'Lipid', values: [null, 2], pValues: [null, 0.2], adjPValues: [null, null] }
+  ]);
+});
+
+test('merge options resolve category conflicts and prefix comparisons with file names', () => {
+  const result = (fileName, category, value) => ({
+    fileName, comparisons: ['KD vs WT'], comparisonColumns: ['logFC'], pValueColumns: ['PValue'], adjPValueColumns: [null],
+    genes: [{ id: 'X', category, values: [value], pValues: [0.01], adjPValues: [null] }]
+  });
+  const imports = [result('liver.csv', 'Lipid', 1), result('kidney.csv', 'Immune', 2), result('heart.csv', 'Uncategorized', 3)];
+
+  const first = mergeImports(imports);
+  expect(first.genes[0].category).toBe('Lipid');
+  expect(first.categoryConflicts).toBe(1);
+  expect(mergeImports(imports, { categoryRule: 'last' }).genes[0].category).toBe('Immune');
+  expect(mergeImports(imports, { categoryRule: 'combine', delimiter: '|' }).genes[0].category).toBe('Lipid | Immune');
+
+  const prefixed = mergeImports(imports, { comparisonNaming: 'prefix' });
+  expect(prefixed.comparisons).toEqual(['liver: KD vs WT', 'kidney: KD vs WT', 'heart: KD vs WT']);
+  expect(prefixed.genes[0].values).toEqual([1, 2, 3]);
+});
+
+test('expression matrices stay expression data when merged, with their sample annotations', () => {
+  const matrix = (samples, annotations) => ({
+    valueKind: 'expression', comparisons: samples, comparisonColumns: samples,
+    pValueColumns: samples.map(() => null), adjPValueColumns: samples.map(() => null),
+    genes: [{ id: 'X', category: 'Uncategorized', values: samples.map(() => 1), pValues: samples.map(() => null), adjPValues: samples.map(() => null) }],
+    ...(annotations && { sampleTracks: ['condition'], sampleAnnotations: annotations })
+  });
+  const merged = mergeImports([matrix(['S1'], [{ condition: 'KD' }]), matrix(['S2'])]);
+  expect(merged.valueKind).toBe('expression');
+  expect(merged.sampleTracks).toEqual(['condition']);
+  expect(merged.sampleAnnotations).toEqual([{ condition: 'KD' }, null]);
+  expect(mergeImports([matrix(['S1']), { ...matrix(['A']), valueKind: undefined }]).valueKind).toBeUndefined();
+});
+
+test('imports with a user mapping and reuses saved mappings by layout', () => {
+  const table = {
+    headers: ['Probe', 'Pathway', 'FC_a', 'p_a'],
+    rows: [{ Probe: 'Apoe', Pathway: 'Lipid', FC_a: '1.2', p_a: '0.03' }]
+  };
+  expect(needsColumnMapping(table.headers)).toBe(true);
+
+  const mapping = {
+    idColumn: 'Probe',
+    categoryColumn: 'Pathway',
+    comparisons: [{ name: 'KD vs WT', logFCColumn: 'FC_a', pValueColumn: 'p_a' }]
+  };
+  expect(importWithMapping(table, mapping).genes).toEqual([
+    { id: 'Apoe', category: 'Lipid', values: [1.2], pValues: [0.03], adjPValues: [null] }
+  ]);
+
+  saveMapping(table.headers, mapping, { fileName: 'KD_vs_WT.csv' });
+  expect(loadSavedMapping(table.headers, { fileName: 'Rescue.csv' }).comparisons[0].name).toBe('Rescue');
+  expect(loadSavedMapping(['Other'])).toBeNull();
+});
+
+test('tables built elsewhere are completed to the import shape', () => {
+  const imported = completeImport({
+    comparisons: ['A vs B', 'C vs D'],
+    genes: [{ id: 7, values: [1.5] }]
+  });
+  expect(imported.pValueColumns).toEqual([null, null]);
+  expect(imported.genes).toEqual([
+    { id: '7', category: 'Uncategorized', values: [1.5, null], pValues: [null, null], adjPValues: [null, null] }
+  ]);
+});
+
+test('new imports join the dataset with their sheet name or start one', () => {
+  const loaded = [{ sheetName: 'Liver', imports: ['a'] }];
+  const datasets = addToDatasets(loaded, new Map([['Liver', ['b']], ['Kidney', ['c']]]));
+  expect(datasets).toEqual([{ sheetName: 'Liver', imports: ['a', 'b'] }, { sheetName: 'Kidney', imports: ['c'] }]);
+  expect(loaded[0].imports).toEqual(['a']);
+});
+
+test('expression matrices are not added to result tables or the other way round', () => {
+  const results = [{ sheetName: null, imports: [{ comparisons: ['A vs B'] }] }];
+  const matrix = new Map([[null, [{ valueKind: 'expression' }]]]);
+  expect(() => addToDatasets(results, matrix)).toThrow(MIXED_KINDS_MESSAGE);
+  expect(() => addToDatasets([], new Map([['A', [{ valueKind: 'expression' }]], ['B', [{}]]])))
+    .toThrow(MIXED_KINDS_MESSAGE);
+  expect(addToDatasets([], matrix)).toEqual([{ sheetName: null, imports: [{ valueKind: 'expression' }] }]);
+});
@@ -0,0 +1,24 @@
+// Custom orders set by dragging: comparisons, category blocks and genes
+// within a block. Orders are lists of names, so they survive filtering,
+// re-imports and saving; names missing from an order keep their place after
+// the ordered ones.
+
+// Copy of list with the item at from moved to insert position to (0..length,
+// counted in the original list)
+export const moveItem = (list, from, to) => {
+  const moved = [...list];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to > from ? to - 1 : to, 0, item);
+  return moved;
+};
+
+// Items in the given order of keys; items whose key isn't listed follow in
+// their original order
+export const orderBy = (items, order, keyOf = item => item) => {
+  if (!order || order.length === 0) return items;
+  const rank = new Map(order.map((key, k) => [key, k]));
+  return items
+    .map((item, index) => ({ item, index, rank: rank.has(keyOf(item)) ? rank.get(keyOf(item)) : order.length + index }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ item }) => item);
+};
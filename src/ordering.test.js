@@ -0,0 +1,14 @@
+import { moveItem, orderBy } from './ordering';
+
+test('moves an item to an insert position', () => {
+  expect(moveItem(['a', 'b', 'c', 'd'], 0, 3)).toEqual(['b', 'c', 'a', 'd']);
+  expect(moveItem(['a', 'b', 'c', 'd'], 3, 0)).toEqual(['d', 'a', 'b', 'c']);
+  expect(moveItem(['a', 'b', 'c'], 1, 3)).toEqual(['a', 'c', 'b']);
+});
+
+test('orders by key, keeping unlisted items after the listed ones', () => {
+  expect(orderBy(['a', 'b', 'c', 'd'], ['c', 'a'])).toEqual(['c', 'a', 'b', 'd']);
+  const genes = [{ category: 'Lipid' }, { category: 'Immune' }, { category: 'Lipid' }];
+  expect(orderBy(genes, ['Immune'], gene => gene.category).map(gene => gene.category)).toEqual(['Immune', 'Lipid', 'Lipid']);
+  expect(orderBy(['a'], null)).toEqual(['a']);
+});
@@ -0,0 +1,75 @@
+import { completeImport } from './importers';
+
+// Project files: a whole session saved as one JSON file, so a figure can be
+// reopened exactly as it was left. A project holds the imported tables (so
+// the original uploads aren't needed), every view setting, the column widths,
+// custom orders and the selection.
+
+export const PROJECT_FORMAT = 'gene-heatmap-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.heatmap.json';
+
+export class ProjectFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectFileError';
+  }
+}
+
+// datasets are the session's [{ sheetName, imports }]; fileNames the names of
+// the uploaded files; settings a plain object of view settings by name
+export const serializeProject = ({ datasets, fileNames = [], settings = {} }) => JSON.stringify({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  fileNames,
+  datasets: datasets.map(({ sheetName, imports }) => ({
+    sheetName: sheetName === undefined ? null : sheetName,
+    // Warnings were shown when the files were loaded
+    imports: imports.map(({ warnings, ...imported }) => imported)
+  })),
+  settings
+});
+
+const isTable = imported => imported
+  && Array.isArray(imported.comparisons)
+  && Array.isArray(imported.genes)
+  && imported.genes.every(gene => gene && gene.id !== undefined && Array.isArray(gene.values));
+
+// Parse and check a saved project. Throws ProjectFileError with a message
+// for the user when the file isn't a project this version can open.
+export const parseProject = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (err) {
+    throw new ProjectFileError('This file is not a heatmap project (it is not valid JSON)');
+  }
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError('This file is not a heatmap project');
+  }
+  if (!(project.version <= PROJECT_VERSION)) {
+    throw new ProjectFileError(`This project was saved by a newer version of the app (project version ${project.version})`);
+  }
+  const datasets = Array.isArray(project.datasets) ? project.datasets : [];
+  if (datasets.length === 0 || !datasets.every(dataset => Array.isArray(dataset.imports) && dataset.imports.length > 0 && dataset.imports.every(isTable))) {
+    throw new ProjectFileError('The project file is damaged: its data tables could not be read');
+  }
+  return {
+    savedAt: project.savedAt || null,
+    fileNames: Array.isArray(project.fileNames) ? project.fileNames : [],
+    datasets: datasets.map(dataset => ({
+      sheetName: dataset.sheetName === null ? undefined : dataset.sheetName,
+      imports: dataset.imports.map(completeImport)
+    })),
+    settings: project.settings && typeof project.settings === 'object' ? project.settings : {}
+  };
+};
+
+// Read a project File as text
+export const readProjectFile = file => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+  reader.readAsText(file);
+});
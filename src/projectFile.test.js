@@ -0,0 +1,38 @@
+import { serializeProject, parseProject, ProjectFileError, PROJECT_FORMAT } from './projectFile';
+
+const imported = {
+  fileName: 'liver.csv',
+  format: 'deseq2',
+  comparisons: ['KD vs Control'],
+  comparisonColumns: ['log2FoldChange'],
+  pValueColumns: ['pvalue'],
+  adjPValueColumns: ['padj'],
+  genes: [
+    { id: 'Apoe', category: 'Lipid', values: [1.5], pValues: [0.001], adjPValues: [0.01] },
+    { id: 'Il6', category: 'Immune', values: [undefined], pValues: [null], adjPValues: [null] }
+  ],
+  warnings: ['liver.csv: No category column found']
+};
+
+test('projects round-trip the data and settings', () => {
+  const text = serializeProject({
+    datasets: [{ sheetName: undefined, imports: [imported] }],
+    fileNames: ['liver.csv'],
+    settings: { showFoldChange: false, colWidths: { 'KD vs Control': 80 }, selectedCells: [{ panel: 0, row: 1, col: 0 }] }
+  });
+  const project = parseProject(text);
+  expect(project.fileNames).toEqual(['liver.csv']);
+  expect(project.settings.colWidths).toEqual({ 'KD vs Control': 80 });
+  const [dataset] = project.datasets;
+  expect(dataset.sheetName).toBeUndefined();
+  expect(dataset.imports[0].warnings).toEqual([]);
+  expect(dataset.imports[0].genes[1].values).toEqual([null]);
+  expect(dataset.imports[0].genes[0]).toEqual(imported.genes[0]);
+});
+
+test('files that are not projects are rejected with a message', () => {
+  expect(() => parseProject('not json')).toThrow(ProjectFileError);
+  expect(() => parseProject('{"rows": []}')).toThrow('not a heatmap project');
+  expect(() => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: 99, datasets: [] }))).toThrow('newer version');
+  expect(() => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: 1, datasets: [{ imports: [{}] }] }))).toThrow('damaged');
+});
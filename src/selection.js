@@ -0,0 +1,91 @@
+import { joinCategories } from './categories';
+
+// Cell selection on the heatmap. A selection is a list of { panel, row, col }
+// cells, with rows and columns in display order. Gestures build rectangles of
+// cells (a cell, a row, a column, a category block or a dragged range), which
+// replace the selection, are added to it or toggle it.
+
+export const cellKey = ({ panel, row, col }) => `${panel}:${row}:${col}`;
+
+// Every cell between two corners, inclusive, in either order
+export const rectangleCells = (panel, rowA, rowB, colA, colB) => {
+  const cells = [];
+  for (let row = Math.min(rowA, rowB); row <= Math.max(rowA, rowB); row++) {
+    for (let col = Math.min(colA, colB); col <= Math.max(colA, colB); col++) {
+      cells.push({ panel, row, col });
+    }
+  }
+  return cells;
+};
+
+// mode is 'replace', 'add' or 'toggle'. Toggling removes the cells when all
+// of them are already selected, and adds them otherwise.
+export const updateSelection = (current, cells, mode = 'replace') => {
+  if (mode === 'replace') return cells;
+  const selected = new Set(current.map(cellKey));
+  if (mode === 'toggle' && cells.every(cell => selected.has(cellKey(cell)))) {
+    const removed = new Set(cells.map(cellKey));
+    return current.filter(cell => !removed.has(cellKey(cell)));
+  }
+  return [...current, ...cells.filter(cell => !selected.has(cellKey(cell)))];
+};
+
+// The selected part of one panel: the genes (in display order, each once;
+// a gene repeated in several category blocks keeps the cells selected in any
+// of them) and the columns with any selected cell. Values outside the
+// selected cells are set to null.
+export const selectedSubset = (heatmapData, cells) => {
+  const rows = [...new Set(cells.map(cell => cell.row))].sort((a, b) => a - b);
+  const cols = [...new Set(cells.map(cell => cell.col))].sort((a, b) => a - b);
+  const selected = new Set(cells
+    .filter(cell => heatmapData.genes[cell.row])
+    .map(cell => `${heatmapData.genes[cell.row].id}:${cell.col}`));
+  const pick = (id, values) => values && cols.map(col => (selected.has(`${id}:${col}`) ? values[col] : null));
+  const seen = new Set();
+  const genes = [];
+  rows.forEach(row => {
+    const gene = heatmapData.genes[row];
+    if (!gene || seen.has(gene.id)) return;
+    seen.add(gene.id);
+    genes.push({
+      ...gene,
+      values: pick(gene.id, gene.values),
+      rawValues: pick(gene.id, gene.rawValues),
+      pValues: pick(gene.id, gene.pValues),
+      adjPValues: pick(gene.id, gene.adjPValues),
+      correctedPValues: pick(gene.id, gene.correctedPValues)
+    });
+  });
+  return { genes, comparisons: cols.map(col => heatmapData.comparisons[col]), cols };
+};
+
+// An import-shaped table from the selection, so it can be opened as a
+// heatmap of its own. Categories are written back with the delimiter they
+// were split on. Expression data keeps its samples' annotations and the
+// values as loaded, to be transformed again over the samples selected.
+export const selectionToImport = (heatmapData, cells, { delimiter = ';' } = {}) => {
+  const { genes, comparisons, cols } = selectedSubset(heatmapData, cells);
+  const expression = heatmapData.valueKind === 'expression';
+  return {
+    comparisons,
+    comparisonColumns: cols.map(col => heatmapData.comparisonColumns[col]),
+    pValueColumns: cols.map(() => null),
+    adjPValueColumns: cols.map(() => null),
+    genes: genes.map(gene => ({
+      id: gene.id,
+      category: joinCategories(gene.categories || [gene.category], delimiter),
+      values: expression ? gene.rawValues : gene.values,
+      pValues: gene.pValues,
+      adjPValues: gene.adjPValues,
+      ...(gene.annotations && { annotations: gene.annotations })
+    })),
+    annotationColumns: (heatmapData.rowAnnotations || []).map(column => column.name),
+    ...(expression && { valueKind: 'expression' }),
+    ...(heatmapData.sampleAnnotations && {
+      sampleTracks: heatmapData.sampleTracks,
+      sampleAnnotations: cols.map(col => heatmapData.sampleAnnotations[col])
+    }),
+    format: 'selection',
+    warnings: []
+  };
+};
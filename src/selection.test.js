@@ -0,0 +1,33 @@
+import { rectangleCells, updateSelection, selectedSubset, selectionToImport } from './selection';
+
+const heatmapData = {
+  comparisons: ['A', 'B', 'C'],
+  comparisonColumns: ['Log2FC (A)', 'Log2FC (B)', 'Log2FC (C)'],
+  genes: [
+    { id: 'G1', category: 'Lipid', categories: ['Lipid', 'Immune'], values: [1, 2, 3], pValues: [0.1, 0.2, 0.3], adjPValues: [null, null, null], correctedPValues: null },
+    { id: 'G2', category: 'Lipid', categories: ['Lipid'], values: [4, 5, 6], pValues: [0.4, 0.5, 0.6], adjPValues: [null, null, null], correctedPValues: null },
+    { id: 'G1', category: 'Immune', categories: ['Lipid', 'Immune'], values: [1, 2, 3], pValues: [0.1, 0.2, 0.3], adjPValues: [null, null, null], correctedPValues: null }
+  ]
+};
+
+test('rectangles replace, add to or toggle the selection', () => {
+  const rect = rectangleCells(0, 1, 0, 2, 1);
+  expect(rect).toEqual([{ panel: 0, row: 0, col: 1 }, { panel: 0, row: 0, col: 2 }, { panel: 0, row: 1, col: 1 }, { panel: 0, row: 1, col: 2 }]);
+  const cell = [{ panel: 0, row: 2, col: 0 }];
+  expect(updateSelection(rect, cell, 'add')).toHaveLength(5);
+  expect(updateSelection(rect, cell, 'replace')).toEqual(cell);
+  expect(updateSelection(rect, rect.slice(0, 2), 'toggle')).toEqual(rect.slice(2));
+  expect(updateSelection(rect.slice(2), rect, 'toggle')).toHaveLength(4);
+});
+
+test('the subset keeps selected cells only, one row per gene', () => {
+  const cells = [{ panel: 0, row: 0, col: 0 }, { panel: 0, row: 1, col: 2 }, { panel: 0, row: 2, col: 0 }];
+  const subset = selectedSubset(heatmapData, cells);
+  expect(subset.comparisons).toEqual(['A', 'C']);
+  expect(subset.genes.map(gene => [gene.id, gene.values])).toEqual([['G1', [1, null]], ['G2', [null, 6]]]);
+  expect(selectedSubset(heatmapData, [cells[0], { panel: 0, row: 2, col: 2 }]).genes[0].values).toEqual([1, 3]);
+
+  const imported = selectionToImport(heatmapData, cells, { delimiter: '|' });
+  expect(imported.comparisonColumns).toEqual(['Log2FC (A)', 'Log2FC (C)']);
+  expect(imported.genes[0]).toMatchObject({ id: 'G1', category: 'Lipid | Immune', pValues: [0.1, null] });
+});
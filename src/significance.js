@@ -0,0 +1,40 @@
+// Significance tiers: each tier has a p-value cutoff and a marker style. A
+// cell falls in the strictest tier its p-value passes, provided its fold
+// change also meets the optional minimum |log2FC|.
+
+export const MARKER_STYLES = {
+  circle: 'Circles',
+  asterisk: 'Asterisks',
+  outline: 'Cell outline',
+  bold: 'Bold value'
+};
+
+export const DEFAULT_SIGNIFICANCE_SETTINGS = {
+  tiers: [
+    { threshold: 0.01, marker: 'circle' },
+    { threshold: 0.05, marker: 'circle' }
+  ],
+  minAbsLog2FC: 0
+};
+
+// Tiers from strictest (smallest cutoff) to loosest, ignoring invalid cutoffs
+export const sortedTiers = (settings) =>
+  settings.tiers
+    .filter(tier => Number.isFinite(tier.threshold) && tier.threshold > 0)
+    .sort((a, b) => a.threshold - b.threshold);
+
+// Marker for one cell, or null when it isn't significant. level counts up
+// from 1 for the loosest tier, so the strictest of three tiers gets "***".
+export const significanceMarker = (pValue, log2FC, settings) => {
+  if (pValue === undefined || pValue === null) return null;
+  if (settings.minAbsLog2FC > 0 && !(Math.abs(log2FC) >= settings.minAbsLog2FC)) return null;
+  const tiers = sortedTiers(settings);
+  const index = tiers.findIndex(tier => pValue < tier.threshold);
+  if (index === -1) return null;
+  return { marker: tiers[index].marker, level: tiers.length - index, threshold: tiers[index].threshold };
+};
+
+// Circle radius per level: 3px for the loosest tier, 2px more per stricter tier
+export const circleRadius = (level) => 1 + 2 * level;
+
+export const asterisks = (level) => '*'.repeat(level);
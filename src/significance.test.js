@@ -0,0 +1,58 @@
+import { significanceMarker, sortedTiers, circleRadius, asterisks, DEFAULT_SIGNIFICANCE_SETTINGS } from './significance';
+import { significanceValue, activeSignificanceSource, significanceLegend } from './heatmapModel';
+
+const threeTiers = {
+  tiers: [
+    { threshold: 0.05, marker: 'asterisk' },
+    { threshold: 0.001, marker: 'asterisk' },
+    { threshold: 0.01, marker: 'asterisk' }
+  ],
+  minAbsLog2FC: 0
+};
+
+test('tiers run from the strictest cutoff, which gets the highest level', () => {
+  expect(sortedTiers({ tiers: [...threeTiers.tiers, { threshold: 0, marker: 'circle' }, { threshold: NaN, marker: 'circle' }] })
+    .map(tier => tier.threshold)).toEqual([0.001, 0.01, 0.05]);
+  expect(significanceMarker(0.0005, 1, threeTiers)).toEqual({ marker: 'asterisk', level: 3, threshold: 0.001 });
+  expect(significanceMarker(0.005, 1, threeTiers)).toMatchObject({ level: 2, threshold: 0.01 });
+  expect(significanceMarker(0.03, 1, threeTiers)).toMatchObject({ level: 1, threshold: 0.05 });
+  // Cutoffs are strict
+  expect(significanceMarker(0.05, 1, threeTiers)).toBeNull();
+  expect(asterisks(3)).toBe('***');
+  expect(circleRadius(1)).toBe(3);
+});
+
+test('the fold change requirement applies on top of the p-value', () => {
+  const settings = { ...DEFAULT_SIGNIFICANCE_SETTINGS, minAbsLog2FC: 1 };
+  expect(significanceMarker(0.001, 1.2, settings)).toMatchObject({ marker: 'circle', level: 2 });
+  expect(significanceMarker(0.001, -1, settings)).toMatchObject({ level: 2 });
+  expect(significanceMarker(0.001, 0.5, settings)).toBeNull();
+  expect(significanceMarker(0.001, null, settings)).toBeNull();
+  expect(significanceLegend(settings, 'pValue').log2FCRequirement).toBe('|log₂FC| ≥ 1');
+});
+
+test('missing and NaN p-values are never significant', () => {
+  expect(significanceMarker(null, 3, DEFAULT_SIGNIFICANCE_SETTINGS)).toBeNull();
+  expect(significanceMarker(undefined, 3, DEFAULT_SIGNIFICANCE_SETTINGS)).toBeNull();
+  expect(significanceMarker(NaN, 3, DEFAULT_SIGNIFICANCE_SETTINGS)).toBeNull();
+});
+
+test('markers use the p-value or adjusted p-value chosen, falling back to p-values', () => {
+  const gene = { pValues: [0.001, 0.2], adjPValues: [0.04, null], correctedPValues: [0.02, 0.6] };
+  expect(significanceValue(gene, 0, 'pValue')).toBe(0.001);
+  expect(significanceValue(gene, 0, 'adjPValue')).toBe(0.04);
+  expect(significanceValue(gene, 1, 'adjPValue')).toBeNull();
+  expect(significanceValue(gene, 0, 'corrected')).toBe(0.02);
+  expect(significanceValue({ pValues: [0.1], adjPValues: [null] }, 0, 'corrected')).toBeNull();
+
+  const withAdjusted = [{ data: { genes: [gene] } }];
+  const withoutAdjusted = [{ data: { genes: [{ ...gene, adjPValues: [null, null] }] } }];
+  expect(activeSignificanceSource(withAdjusted, { significanceSource: 'adjPValue', pAdjustMethod: 'none' })).toBe('adjPValue');
+  expect(activeSignificanceSource(withoutAdjusted, { significanceSource: 'adjPValue', pAdjustMethod: 'none' })).toBe('pValue');
+  expect(activeSignificanceSource(withAdjusted, { significanceSource: 'corrected', pAdjustMethod: 'none' })).toBe('pValue');
+  expect(activeSignificanceSource(withAdjusted, { significanceSource: 'corrected', pAdjustMethod: 'BH' })).toBe('corrected');
+  expect(significanceLegend(threeTiers, 'adjPValue')).toMatchObject({
+    heading: 'adj. p:',
+    entries: [{ level: 3, text: 'adj. p < 0.001' }, { level: 2, text: 'adj. p < 0.01' }, { level: 1, text: 'adj. p < 0.05' }]
+  });
+});
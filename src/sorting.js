@@ -0,0 +1,114 @@
+// Row order when genes aren't clustered. Genes are sorted by a comparison's
+// log2FC or p-value, by mean or max |log2FC|, by how many comparisons are
+// significant, by name, or in a manual order set by dragging genes; within
+// their category blocks or across all genes. Missing values always sort last.
+
+export const SORT_KEYS = {
+  log2FC: 'Log2FC in a comparison',
+  pValue: 'P-value in a comparison',
+  meanAbsLog2FC: 'Mean |log2FC|',
+  maxAbsLog2FC: 'Max |log2FC|',
+  significantCount: 'Significant comparisons',
+  name: 'Gene name',
+  manual: 'Manual (drag gene names)'
+};
+
+export const SORT_SCOPES = {
+  category: 'Within categories',
+  global: 'Across all genes'
+};
+
+// comparison is a comparison name; null, or a name not in the data, means the first one
+export const DEFAULT_SORT = { key: 'log2FC', comparison: null, direction: 'asc', scope: 'category' };
+
+// Keys that need a comparison
+export const sortUsesComparison = (key) => key === 'log2FC' || key === 'pValue';
+
+const isValue = (v) => v !== undefined && v !== null && !Number.isNaN(v);
+
+// Sort value of one gene for the given settings, or null when it has none.
+// pValuesOf(gene) and isSignificant(gene, j) follow the significance settings;
+// manualOrder maps each category to its gene IDs in the dragged order.
+const sortValue = (gene, sort, j, { pValuesOf, isSignificant, manualOrder }) => {
+  const present = gene.values.filter(isValue);
+  switch (sort.key) {
+    case 'pValue': {
+      const pValues = pValuesOf(gene);
+      return pValues && isValue(pValues[j]) ? pValues[j] : null;
+    }
+    case 'meanAbsLog2FC':
+      return present.length ? present.reduce((sum, v) => sum + Math.abs(v), 0) / present.length : null;
+    case 'maxAbsLog2FC':
+      return present.length ? Math.max(...present.map(Math.abs)) : null;
+    case 'significantCount':
+      return gene.values.filter((v, k) => isSignificant(gene, k)).length;
+    case 'name':
+      return gene.id;
+    case 'manual': {
+      const position = (manualOrder[gene.category] || []).indexOf(gene.id);
+      return position === -1 ? null : position;
+    }
+    default:
+      return isValue(gene.values[j]) ? gene.values[j] : null;
+  }
+};
+
+// Sorted copy of the rows. comparisons are the names in the genes' value
+// order. With scope 'category' rows stay in their category blocks, in the
+// order the blocks first appear.
+export const sortGenes = (genes, sort, comparisons, {
+  pValuesOf = gene => gene.pValues,
+  isSignificant = () => false,
+  manualOrder = {}
+} = {}) => {
+  const j = Math.max(0, comparisons.indexOf(sort.comparison));
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  const blockOrder = new Map();
+  genes.forEach(gene => {
+    if (!blockOrder.has(gene.category)) blockOrder.set(gene.category, blockOrder.size);
+  });
+
+  const keyed = genes.map((gene, index) => ({
+    gene,
+    index,
+    value: sortValue(gene, sort, j, { pValuesOf, isSignificant, manualOrder })
+  }));
+  keyed.sort((a, b) => {
+    if (sort.scope !== 'global') {
+      const block = blockOrder.get(a.gene.category) - blockOrder.get(b.gene.category);
+      if (block !== 0) return block;
+    }
+    if (a.value === null || b.value === null) {
+      if (a.value === b.value) return a.index - b.index;
+      return a.value === null ? 1 : -1;
+    }
+    const order = typeof a.value === 'string'
+      ? a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: 'base' })
+      : a.value - b.value;
+    return order !== 0 ? sign * order : a.index - b.index;
+  });
+  return keyed.map(({ gene }) => gene);
+};
+
+// How the rows are ordered, for the legend, e.g. "sorted from lowest to
+// highest log₂FC in KD vs WT"
+export const describeSort = (sort, comparisons) => {
+  const comparison = comparisons.includes(sort.comparison) ? sort.comparison : comparisons[0];
+  const asc = sort.direction !== 'desc';
+  switch (sort.key) {
+    case 'pValue':
+      return `sorted by p-value in the ${comparison} comparison, ${asc ? 'most' : 'least'} significant first`;
+    case 'meanAbsLog2FC':
+      return `sorted from ${asc ? 'lowest to highest' : 'highest to lowest'} mean |log₂FC| across comparisons`;
+    case 'maxAbsLog2FC':
+      return `sorted from ${asc ? 'lowest to highest' : 'highest to lowest'} maximum |log₂FC| across comparisons`;
+    case 'significantCount':
+      return `sorted by the number of comparisons in which they are significant, ${asc ? 'fewest' : 'most'} first`;
+    case 'name':
+      return `sorted by gene name, ${asc ? 'A to Z' : 'Z to A'}`;
+    case 'manual':
+      return 'shown in a custom order';
+    default:
+      return `sorted from ${asc ? 'lowest to highest' : 'highest to lowest'} log₂FC in the ${comparison} comparison`;
+  }
+};
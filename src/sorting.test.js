@@ -0,0 +1,36 @@
+import { sortGenes, describeSort, DEFAULT_SORT } from './sorting';
+
+const genes = [
+  { id: 'B2', category: 'Lipid', values: [1, -3], pValues: [0.04, 0.001] },
+  { id: 'a10', category: 'Immune', values: [-2, 0.5], pValues: [0.5, 0.2] },
+  { id: 'A9', category: 'Lipid', values: [null, 2], pValues: [null, 0.01] },
+  { id: 'C1', category: 'Lipid', values: [-1, 0], pValues: [0.01, 0.9] }
+];
+const comparisons = ['KD vs WT', 'Rescue vs KD'];
+const ids = rows => rows.map(gene => gene.id);
+
+test('default sort keeps category blocks and puts missing values last', () => {
+  expect(ids(sortGenes(genes, DEFAULT_SORT, comparisons))).toEqual(['C1', 'B2', 'A9', 'a10']);
+  expect(ids(sortGenes(genes, { ...DEFAULT_SORT, direction: 'desc' }, comparisons))).toEqual(['B2', 'C1', 'A9', 'a10']);
+});
+
+test('global sorts by comparison, statistic or name', () => {
+  const global = { ...DEFAULT_SORT, scope: 'global' };
+  expect(ids(sortGenes(genes, { ...global, comparison: 'Rescue vs KD' }, comparisons))).toEqual(['B2', 'C1', 'a10', 'A9']);
+  expect(ids(sortGenes(genes, { ...global, key: 'pValue' }, comparisons))).toEqual(['C1', 'B2', 'a10', 'A9']);
+  expect(ids(sortGenes(genes, { ...global, key: 'maxAbsLog2FC', direction: 'desc' }, comparisons))).toEqual(['B2', 'a10', 'A9', 'C1']);
+  expect(ids(sortGenes(genes, { ...global, key: 'name' }, comparisons))).toEqual(['A9', 'a10', 'B2', 'C1']);
+  const isSignificant = (gene, j) => gene.pValues[j] !== null && gene.pValues[j] < 0.05;
+  expect(ids(sortGenes(genes, { ...global, key: 'significantCount', direction: 'desc' }, comparisons, { isSignificant })))
+    .toEqual(['B2', 'A9', 'C1', 'a10']);
+});
+
+test('manual order follows the dragged gene IDs per category', () => {
+  const manual = { ...DEFAULT_SORT, key: 'manual' };
+  expect(ids(sortGenes(genes, manual, comparisons, { manualOrder: { Lipid: ['A9', 'B2'] } }))).toEqual(['A9', 'B2', 'C1', 'a10']);
+});
+
+test('describes the order for the legend', () => {
+  expect(describeSort(DEFAULT_SORT, comparisons)).toBe('sorted from lowest to highest log₂FC in the KD vs WT comparison');
+  expect(describeSort({ ...DEFAULT_SORT, key: 'name', direction: 'desc' }, comparisons)).toBe('sorted by gene name, Z to A');
+});
@@ -0,0 +1,57 @@
+// Multiple-testing correction, matching R's p.adjust. Missing p-values (null)
+// are left as null and don't count towards the number of tests.
+
+export const P_ADJUST_METHODS = {
+  none: 'None',
+  BH: 'Benjamini-Hochberg',
+  BY: 'Benjamini-Yekutieli',
+  bonferroni: 'Bonferroni',
+  holm: 'Holm'
+};
+
+export const adjustPValues = (pValues, method) => {
+  const indices = pValues
+    .map((p, i) => i)
+    .filter(i => pValues[i] !== undefined && pValues[i] !== null && !Number.isNaN(pValues[i]));
+  const m = indices.length;
+  const adjusted = pValues.map(() => null);
+  if (m === 0 || method === 'none') {
+    indices.forEach(i => { adjusted[i] = pValues[i]; });
+    return adjusted;
+  }
+
+  const sorted = [...indices].sort((a, b) => pValues[a] - pValues[b]);
+  switch (method) {
+    case 'bonferroni':
+      indices.forEach(i => { adjusted[i] = Math.min(1, pValues[i] * m); });
+      break;
+    case 'holm': {
+      // Step-down: running maximum of (m - rank + 1) * p from the smallest p
+      let running = 0;
+      sorted.forEach((i, rank) => {
+        running = Math.max(running, (m - rank) * pValues[i]);
+        adjusted[i] = Math.min(1, running);
+      });
+      break;
+    }
+    case 'BH':
+    case 'BY': {
+      // Step-up: running minimum of p * m / rank from the largest p
+      let scale = 1;
+      if (method === 'BY') {
+        scale = 0;
+        for (let k = 1; k <= m; k++) scale += 1 / k;
+      }
+      let running = Infinity;
+      for (let rank = m; rank >= 1; rank--) {
+        const i = sorted[rank - 1];
+        running = Math.min(running, (pValues[i] * m * scale) / rank);
+        adjusted[i] = Math.min(1, running);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown p-value adjustment method: ${method}`);
+  }
+  return adjusted;
+};
@@ -0,0 +1,27 @@
+import { adjustPValues } from './stats';
+
+const p = [0.001, 0.008, 0.039, 0.041, 0.042, 0.06, 0.074, 0.205];
+
+const expectClose = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((v, i) => expect(v).toBeCloseTo(expected[i], 6));
+};
+
+test('Benjamini-Hochberg', () => {
+  expectClose(adjustPValues(p, 'BH'), [0.008, 0.032, 0.0672, 0.0672, 0.0672, 0.08, 0.0845714, 0.205]);
+});
+
+test('Benjamini-Yekutieli scales BH by the harmonic sum', () => {
+  const harmonic = 1 + 1 / 2 + 1 / 3 + 1 / 4 + 1 / 5 + 1 / 6 + 1 / 7 + 1 / 8;
+  const bh = adjustPValues(p, 'BH');
+  adjustPValues(p, 'BY').forEach((v, i) => expect(v).toBeCloseTo(Math.min(1, bh[i] * harmonic), 6));
+});
+
+test('Bonferroni and Holm', () => {
+  expectClose(adjustPValues(p, 'bonferroni'), [0.008, 0.064, 0.312, 0.328, 0.336, 0.48, 0.592, 1]);
+  expectClose(adjustPValues(p, 'holm'), [0.008, 0.056, 0.234, 0.234, 0.234, 0.234, 0.234, 0.234]);
+});
+
+test('missing p-values stay missing and are not counted', () => {
+  expect(adjustPValues([0.01, null, 0.02], 'bonferroni')).toEqual([0.02, null, 0.04]);
+});
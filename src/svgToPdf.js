@@ -0,0 +1,462 @@
+import { measureTextWidth } from './textMeasure';
+
+// Vector PDF from an exported heatmap SVG. Covers what the heatmap draws:
+// rect, line, circle, polyline/polygon, path (M, L, H, V, C, Z), text with
+// tspans, group transforms, solid colours with opacity, dashes and linear
+// gradients. Text is set in a standard PDF font (Helvetica, Times or
+// Courier), which every PDF reader provides, so it stays selectable and
+// needs no embedding.
+
+const PDF_FONTS = {
+  Helvetica: ['Helvetica', 'Helvetica-Bold'],
+  Times: ['Times-Roman', 'Times-Bold'],
+  Courier: ['Courier', 'Courier-Bold']
+};
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  orange: [255, 165, 0]
+};
+
+// { rgb: [r, g, b] in 0..1, alpha } for a colour value, or null for none
+const parseColor = (value) => {
+  if (!value || value === 'none' || value === 'transparent') return null;
+  const color = value.trim().toLowerCase();
+  let rgb = null;
+  let alpha = 1;
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  const functional = color.match(/^rgba?\(([^)]+)\)$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d) : hex[1].match(/../g);
+    rgb = digits.map(d => parseInt(d, 16));
+  } else if (functional) {
+    const parts = functional[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    rgb = parts.slice(0, 3);
+    if (parts.length > 3) alpha = parts[3];
+  } else {
+    rgb = NAMED_COLORS[color] || [0, 0, 0];
+  }
+  if (alpha === 0) return null;
+  return { rgb: rgb.map(c => Math.min(255, Math.max(0, c)) / 255), alpha };
+};
+
+const num = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Numbers in PDF operators: at most three decimals, never exponents
+const fmt = n => String(Math.round(n * 1000) / 1000);
+
+const multiply = ([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) => [
+  a * a2 + c * b2, b * a2 + d * b2,
+  a * c2 + c * d2, b * c2 + d * d2,
+  a * e2 + c * f2 + e, b * e2 + d * f2 + f
+];
+
+// An SVG transform attribute as one [a b c d e f] matrix
+const parseTransform = (value) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const pattern = /(matrix|translate|scale|rotate)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value || '')) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    let step;
+    switch (match[1]) {
+      case 'matrix':
+        step = args;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      default: {
+        const angle = (args[0] || 0) * Math.PI / 180;
+        const [cx = 0, cy = 0] = args.slice(1);
+        const rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+        step = multiply(multiply([1, 0, 0, 1, cx, cy], rotation), [1, 0, 0, 1, -cx, -cy]);
+      }
+    }
+    matrix = multiply(matrix, step);
+  }
+  return matrix;
+};
+
+// Bytes 128-159 of WinAnsiEncoding; 160-255 match Latin-1
+const WIN_ANSI = {
+  '€': 128, '‚': 130, 'ƒ': 131, '„': 132, '…': 133, '†': 134, '‡': 135, 'ˆ': 136, '‰': 137, 'Š': 138,
+  '‹': 139, 'Œ': 140, 'Ž': 142, '‘': 145, '’': 146, '“': 147, '”': 148, '•': 149, '–': 150, '—': 151,
+  '˜': 152, '™': 153, 'š': 154, '›': 155, 'œ': 156, 'ž': 158, 'Ÿ': 159
+};
+// Characters the heatmap uses that the standard fonts lack
+const SPELLED_OUT = { '₂': '2', '≥': '>=', '≤': '<=', '−': '-', '▲': '', '▼': '' };
+
+const toWinAnsiText = text => [...text].map(ch => (SPELLED_OUT[ch] !== undefined ? SPELLED_OUT[ch] : ch)).join('');
+
+// A PDF string literal in WinAnsiEncoding, kept to ASCII with octal escapes
+const pdfString = text => `(${[...text].map(ch => {
+  const code = ch.charCodeAt(0);
+  if (ch === '\\' || ch === '(' || ch === ')') return `\\${ch}`;
+  if (code >= 32 && code < 127) return ch;
+  const byte = code >= 160 && code <= 255 ? code : WIN_ANSI[ch];
+  return byte ? `\\${byte.toString(8).padStart(3, '0')}` : '?';
+}).join('')})`;
+
+const KAPPA = 0.5523;
+const ellipseOps = (cx, cy, rx, ry) => {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    `${fmt(cx + rx)} ${fmt(cy)} m`,
+    `${fmt(cx + rx)} ${fmt(cy + ky)} ${fmt(cx + kx)} ${fmt(cy + ry)} ${fmt(cx)} ${fmt(cy + ry)} c`,
+    `${fmt(cx - kx)} ${fmt(cy + ry)} ${fmt(cx - rx)} ${fmt(cy + ky)} ${fmt(cx - rx)} ${fmt(cy)} c`,
+    `${fmt(cx - rx)} ${fmt(cy - ky)} ${fmt(cx - kx)} ${fmt(cy - ry)} ${fmt(cx)} ${fmt(cy - ry)} c`,
+    `${fmt(cx + kx)} ${fmt(cy - ry)} ${fmt(cx + rx)} ${fmt(cy - ky)} ${fmt(cx + rx)} ${fmt(cy)} c`,
+    'h'
+  ];
+};
+
+const rectOps = (x, y, width, height, rx) => {
+  if (!(rx > 0)) return [`${fmt(x)} ${fmt(y)} ${fmt(width)} ${fmt(height)} re`];
+  const r = Math.min(rx, width / 2, height / 2);
+  const k = r * (1 - KAPPA);
+  const right = x + width;
+  const bottom = y + height;
+  return [
+    `${fmt(x + r)} ${fmt(y)} m`,
+    `${fmt(right - r)} ${fmt(y)} l`,
+    `${fmt(right - k)} ${fmt(y)} ${fmt(right)} ${fmt(y + k)} ${fmt(right)} ${fmt(y + r)} c`,
+    `${fmt(right)} ${fmt(bottom - r)} l`,
+    `${fmt(right)} ${fmt(bottom - k)} ${fmt(right - k)} ${fmt(bottom)} ${fmt(right - r)} ${fmt(bottom)} c`,
+    `${fmt(x + r)} ${fmt(bottom)} l`,
+    `${fmt(x + k)} ${fmt(bottom)} ${fmt(x)} ${fmt(bottom - k)} ${fmt(x)} ${fmt(bottom - r)} c`,
+    `${fmt(x)} ${fmt(y + r)} l`,
+    `${fmt(x)} ${fmt(y + k)} ${fmt(x + k)} ${fmt(y)} ${fmt(x + r)} ${fmt(y)} c`,
+    'h'
+  ];
+};
+
+// Path data with absolute or relative M, L, H, V, C and Z commands
+const pathOps = (d) => {
+  const tokens = (d || '').match(/[MLHVCZmlhvcz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const ops = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let command = null;
+  let i = 0;
+  const next = () => Number(tokens[i++]);
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) command = tokens[i++];
+    if (!command) break;
+    const relative = command === command.toLowerCase();
+    const dx = relative ? x : 0;
+    const dy = relative ? y : 0;
+    switch (command.toUpperCase()) {
+      case 'M':
+        x = next() + dx;
+        y = next() + dy;
+        startX = x;
+        startY = y;
+        ops.push(`${fmt(x)} ${fmt(y)} m`);
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        x = next() + dx;
+        y = next() + dy;
+        ops.push(`${fmt(x)} ${fmt(y)} l`);
+        break;
+      case 'H':
+        x = next() + dx;
+        ops.push(`${fmt(x)} ${fmt(y)} l`);
+        break;
+      case 'V':
+        y = next() + dy;
+        ops.push(`${fmt(x)} ${fmt(y)} l`);
+        break;
+      case 'C': {
+        const points = [next() + dx, next() + dy, next() + dx, next() + dy, next() + dx, next() + dy];
+        ops.push(`${points.map(fmt).join(' ')} c`);
+        [x, y] = points.slice(4);
+        break;
+      }
+      case 'Z':
+        ops.push('h');
+        x = startX;
+        y = startY;
+        break;
+      default:
+        i++;
+    }
+  }
+  return ops;
+};
+
+const inheritedStyle = {
+  fill: 'black',
+  stroke: 'none',
+  strokeWidth: 1,
+  fillOpacity: 1,
+  strokeOpacity: 1,
+  opacity: 1,
+  dash: null,
+  fontSize: 16,
+  fontWeight: 'normal',
+  fontFamily: 'Arial',
+  textAnchor: 'start',
+  dominantBaseline: 'auto'
+};
+
+const styleOf = (el, parent) => {
+  const attr = name => el.getAttribute(name);
+  const has = name => el.hasAttribute(name);
+  return {
+    ...parent,
+    fill: has('fill') ? attr('fill') : parent.fill,
+    stroke: has('stroke') ? attr('stroke') : parent.stroke,
+    strokeWidth: has('stroke-width') ? num(attr('stroke-width'), 1) : parent.strokeWidth,
+    fillOpacity: has('fill-opacity') ? num(attr('fill-opacity'), 1) : parent.fillOpacity,
+    strokeOpacity: has('stroke-opacity') ? num(attr('stroke-opacity'), 1) : parent.strokeOpacity,
+    opacity: parent.opacity * (has('opacity') ? num(attr('opacity'), 1) : 1),
+    dash: has('stroke-dasharray') ? attr('stroke-dasharray') : parent.dash,
+    fontSize: has('font-size') ? num(attr('font-size'), parent.fontSize) : parent.fontSize,
+    fontWeight: has('font-weight') ? attr('font-weight') : parent.fontWeight,
+    fontFamily: has('font-family') ? attr('font-family') : parent.fontFamily,
+    textAnchor: has('text-anchor') ? attr('text-anchor') : parent.textAnchor,
+    dominantBaseline: has('dominant-baseline') ? attr('dominant-baseline') : parent.dominantBaseline
+  };
+};
+
+const isBold = weight => weight === 'bold' || weight === 'bolder' || num(weight, 400) >= 600;
+
+const SKIPPED = new Set(['title', 'desc', 'defs', 'style', 'metadata', 'lineargradient', 'radialgradient', 'clippath']);
+
+// svg is an <svg> element (attached or not); the page is pageWidth ×
+// pageHeight points and the figure is scaled to fill it. font is a key of
+// PDF_FONTS. measure(text, cssFont) gives text widths for anchoring.
+// Returns the PDF as an ASCII string.
+export const svgToPdf = (svg, { pageWidth, pageHeight, font = 'Helvetica', measure = measureTextWidth }) => {
+  const figureWidth = num(svg.getAttribute('width'), 1);
+  const scale = pageWidth / figureWidth;
+  const content = [`${fmt(scale)} 0 0 ${fmt(-scale)} 0 ${fmt(pageHeight)} cm`];
+  const graphicStates = new Map(); // 'fill/stroke' alpha -> resource name
+  const shadings = []; // shading dictionaries, named Sh1, Sh2, ...
+
+  const gradients = new Map();
+  svg.querySelectorAll('linearGradient').forEach(gradient => {
+    const stops = [...gradient.querySelectorAll('stop')].map(stop => {
+      const offset = stop.getAttribute('offset') || '0';
+      const color = parseColor(stop.getAttribute('stop-color') || 'black');
+      return {
+        offset: Math.min(1, Math.max(0, offset.endsWith('%') ? num(offset) / 100 : num(offset))),
+        rgb: color ? color.rgb : [0, 0, 0]
+      };
+    });
+    if (stops.length === 0) return;
+    const coord = (name, fallback) => {
+      const value = gradient.getAttribute(name);
+      if (value === null) return fallback;
+      return value.endsWith('%') ? num(value) / 100 : num(value);
+    };
+    gradients.set(gradient.getAttribute('id'), {
+      stops,
+      x1: coord('x1', 0), y1: coord('y1', 0), x2: coord('x2', 1), y2: coord('y2', 0)
+    });
+  });
+
+  const alphaState = (fillAlpha, strokeAlpha) => {
+    if (fillAlpha >= 1 && strokeAlpha >= 1) return null;
+    const key = `${fmt(fillAlpha)}/${fmt(strokeAlpha)}`;
+    if (!graphicStates.has(key)) graphicStates.set(key, `GS${graphicStates.size + 1}`);
+    return graphicStates.get(key);
+  };
+
+  // Axial shading for a gradient over the box { x, y, width, height }
+  const shadingFor = (gradient, box) => {
+    const stops = [...gradient.stops].sort((a, b) => a.offset - b.offset);
+    if (stops[0].offset > 0) stops.unshift({ ...stops[0], offset: 0 });
+    if (stops[stops.length - 1].offset < 1) stops.push({ ...stops[stops.length - 1], offset: 1 });
+    const segment = (from, to) => `<< /FunctionType 2 /Domain [0 1] /C0 [${from.rgb.map(fmt).join(' ')}] /C1 [${to.rgb.map(fmt).join(' ')}] /N 1 >>`;
+    const segments = stops.slice(1).map((stop, k) => segment(stops[k], stop));
+    const fn = segments.length === 1
+      ? segments[0]
+      : `<< /FunctionType 3 /Domain [0 1] /Functions [${segments.join(' ')}] /Bounds [${stops.slice(1, -1).map(s => fmt(s.offset)).join(' ')}] /Encode [${segments.map(() => '0 1').join(' ')}] >>`;
+    const coords = [
+      box.x + gradient.x1 * box.width, box.y + gradient.y1 * box.height,
+      box.x + gradient.x2 * box.width, box.y + gradient.y2 * box.height
+    ];
+    shadings.push(`<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords [${coords.map(fmt).join(' ')}] /Function ${fn} /Extend [true true] >>`);
+    return `Sh${shadings.length}`;
+  };
+
+  // Fill and stroke a shape built by geometry, following the style
+  const paint = (geometry, style, box) => {
+    const gradientId = (style.fill || '').match(/^url\(#([^)]+)\)/);
+    const gradient = gradientId ? gradients.get(gradientId[1]) : null;
+    const fill = gradient ? null : parseColor(style.fill);
+    const stroke = style.strokeWidth > 0 ? parseColor(style.stroke) : null;
+    if (!fill && !stroke && !gradient) return;
+    const ops = ['q'];
+    const state = alphaState(
+      style.opacity * style.fillOpacity * (fill ? fill.alpha : 1),
+      style.opacity * style.strokeOpacity * (stroke ? stroke.alpha : 1)
+    );
+    if (state) ops.push(`/${state} gs`);
+    // Colours and line style are set before the path is built
+    if (fill) ops.push(`${fill.rgb.map(fmt).join(' ')} rg`);
+    if (stroke) {
+      ops.push(`${stroke.rgb.map(fmt).join(' ')} RG`, `${fmt(style.strokeWidth)} w`);
+      const dash = (style.dash || '').split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+      if (dash.length) ops.push(`[${dash.map(fmt).join(' ')}] 0 d`);
+    }
+    if (gradient && box) {
+      ops.push(...geometry, 'W n', `/${shadingFor(gradient, box)} sh`);
+      if (stroke) ops.push(...geometry);
+    } else {
+      ops.push(...geometry);
+    }
+    if (fill && stroke) ops.push('B');
+    else if (fill) ops.push('f');
+    else if (stroke) ops.push('S');
+    else ops.push('n');
+    ops.push('Q');
+    content.push(...ops);
+  };
+
+  // One run of text at (x, y) in the current user space
+  const drawText = (text, x, y, style) => {
+    const shown = toWinAnsiText(text.replace(/\s+/g, ' ').trim());
+    const fill = parseColor(style.fill);
+    if (!shown || !fill) return;
+    const bold = isBold(style.fontWeight);
+    const width = measure(shown, `${bold ? 'bold ' : ''}${style.fontSize}px ${style.fontFamily}`);
+    const anchorShift = { middle: width / 2, end: width }[style.textAnchor] || 0;
+    const baselineShift = {
+      middle: 0.35, central: 0.35, hanging: 0.8, 'text-before-edge': 0.8
+    }[style.dominantBaseline] || 0;
+    const state = alphaState(style.opacity * style.fillOpacity * fill.alpha, 1);
+    content.push(
+      'q',
+      ...(state ? [`/${state} gs`] : []),
+      'BT',
+      `/${bold ? 'F2' : 'F1'} ${fmt(style.fontSize)} Tf`,
+      `${fill.rgb.map(fmt).join(' ')} rg`,
+      `1 0 0 -1 ${fmt(x - anchorShift)} ${fmt(y + baselineShift * style.fontSize)} Tm`,
+      `${pdfString(shown)} Tj`,
+      'ET',
+      'Q'
+    );
+  };
+
+  const textRuns = (el, style) => {
+    let x = num(el.getAttribute('x'));
+    let y = num(el.getAttribute('y'));
+    el.childNodes.forEach(node => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) drawText(node.textContent, x, y, style);
+        return;
+      }
+      if (node.nodeType !== 1 || node.localName !== 'tspan') return;
+      const spanStyle = styleOf(node, style);
+      if (node.hasAttribute('x')) x = num(node.getAttribute('x'));
+      if (node.hasAttribute('y')) y = num(node.getAttribute('y'));
+      x += num(node.getAttribute('dx'));
+      y += num(node.getAttribute('dy'));
+      drawText(node.textContent, x, y, spanStyle);
+    });
+  };
+
+  const walk = (el, parentStyle, root) => {
+    const tag = el.localName.toLowerCase();
+    if (SKIPPED.has(tag) || el.getAttribute('display') === 'none' || el.getAttribute('visibility') === 'hidden') return;
+    const style = styleOf(el, parentStyle);
+    let matrix = parseTransform(el.getAttribute('transform'));
+    if (tag === 'svg' && !root) matrix = multiply([1, 0, 0, 1, num(el.getAttribute('x')), num(el.getAttribute('y'))], matrix);
+    const transformed = matrix.some((v, k) => v !== [1, 0, 0, 1, 0, 0][k]);
+    if (transformed) content.push('q', `${matrix.map(fmt).join(' ')} cm`);
+    const attr = name => num(el.getAttribute(name));
+    switch (tag) {
+      case 'rect': {
+        const box = { x: attr('x'), y: attr('y'), width: attr('width'), height: attr('height') };
+        if (box.width > 0 && box.height > 0) paint(rectOps(box.x, box.y, box.width, box.height, attr('rx')), style, box);
+        break;
+      }
+      case 'circle': {
+        const r = attr('r');
+        const box = { x: attr('cx') - r, y: attr('cy') - r, width: 2 * r, height: 2 * r };
+        if (r > 0) paint(ellipseOps(attr('cx'), attr('cy'), r, r), style, box);
+        break;
+      }
+      case 'line':
+        paint([`${fmt(attr('x1'))} ${fmt(attr('y1'))} m`, `${fmt(attr('x2'))} ${fmt(attr('y2'))} l`], { ...style, fill: 'none' });
+        break;
+      case 'polyline':
+      case 'polygon': {
+        const points = (el.getAttribute('points') || '').split(/[\s,]+/).filter(Boolean).map(Number);
+        const ops = [];
+        for (let k = 0; k + 1 < points.length; k += 2) ops.push(`${fmt(points[k])} ${fmt(points[k + 1])} ${k === 0 ? 'm' : 'l'}`);
+        if (tag === 'polygon') ops.push('h');
+        if (ops.length) paint(ops, tag === 'polyline' ? { ...style, fill: 'none' } : style);
+        break;
+      }
+      case 'path': {
+        const ops = pathOps(el.getAttribute('d'));
+        if (ops.length) paint(ops, style);
+        break;
+      }
+      case 'text':
+        textRuns(el, style);
+        break;
+      default:
+        el.childNodes.forEach(child => {
+          if (child.nodeType === 1) walk(child, style, false);
+        });
+    }
+    if (transformed) content.push('Q');
+  };
+
+  walk(svg, { ...inheritedStyle, fontFamily: svg.getAttribute('font-family') || inheritedStyle.fontFamily }, true);
+
+  // Objects: catalog, page tree, page, content, fonts, then the resources
+  const stream = content.join('\n');
+  const [regular, bold] = PDF_FONTS[font] || PDF_FONTS.Helvetica;
+  const fontObject = name => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+  const states = [...graphicStates.entries()].map(([key, name]) => {
+    const [fillAlpha, strokeAlpha] = key.split('/');
+    return `/${name} << /Type /ExtGState /ca ${fillAlpha} /CA ${strokeAlpha} >>`;
+  });
+  const resources = [
+    '/Font << /F1 5 0 R /F2 6 0 R >>',
+    states.length ? `/ExtGState << ${states.join(' ')} >>` : '',
+    shadings.length ? `/Shading << ${shadings.map((shading, k) => `/Sh${k + 1} ${shading}`).join(' ')} >>` : ''
+  ].filter(Boolean).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] /Contents 4 0 R /Resources << ${resources} >> >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    fontObject(regular),
+    fontObject(bold)
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, k) => {
+    const offset = pdf.length;
+    pdf += `${k + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+};
@@ -0,0 +1,38 @@
+import { svgToPdf } from './svgToPdf';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const svgFrom = (markup) => {
+  const doc = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}" width="200" height="100">${markup}</svg>`, 'image/svg+xml');
+  return doc.documentElement;
+};
+const measure = text => text.length * 6;
+
+test('shapes, text and gradients become PDF drawing operators', () => {
+  const svg = svgFrom(`
+    <defs><linearGradient id="g"><stop offset="0" stop-color="#0000ff"/><stop offset="0.5" stop-color="white"/><stop offset="1" stop-color="rgb(255, 0, 0)"/></linearGradient></defs>
+    <g transform="translate(10, 20)">
+      <rect width="50" height="10" fill="url(#g)"/>
+      <rect y="12" width="20" height="10" fill="#ff9800" stroke="none" fill-opacity="0.1"/>
+      <text x="25" y="40" text-anchor="middle" font-size="12px" font-weight="bold">Log₂ (A)<title>tooltip</title></text>
+      <text transform="translate(5, 60) rotate(-90)"><tspan x="0" dy="0">first</tspan><tspan x="0" dy="12">second</tspan></text>
+      <path d="M0,0V10H20V5" fill="none" stroke="#555"/>
+      <circle cx="5" cy="5" r="2"/>
+    </g>`);
+  const pdf = svgToPdf(svg, { pageWidth: 100, pageHeight: 50, font: 'Times', measure });
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf).toContain('0.5 0 0 -0.5 0 50 cm');
+  expect(pdf).toContain('/BaseFont /Times-Bold');
+  expect(pdf).toContain('/FunctionType 3');
+  expect(pdf).toContain('/Sh1 sh');
+  expect(pdf).toContain('/ca 0.1');
+  expect(pdf).toContain('1 0 0 -1 1 40 Tm');
+  expect(pdf).toContain('(Log2 \\(A\\)) Tj');
+  expect(pdf).not.toContain('tooltip');
+  expect(pdf).toContain('(second) Tj');
+  expect(pdf).toContain('0 0 m\n0 10 l\n20 10 l\n20 5 l');
+
+  // The cross-reference table points at each object
+  const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  const offsets = pdf.slice(xref).match(/\d{10} 00000 n/g).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, k) => expect(pdf.slice(offset, offset + 10)).toMatch(new RegExp(`^${k + 1} 0 obj`)));
+});
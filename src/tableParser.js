@@ -0,0 +1,105 @@
+import { handleTableRequest } from './tableRequests';
+import createTableWorker from './createTableWorker';
+
+// Parsing front end for uploads. Tables are parsed and imported in a Web
+// Worker when the browser has one, otherwise on the page; either way callers
+// get the same promise-based API with progress callbacks and cancellation.
+
+export class ParseCancelledError extends Error {
+  constructor() {
+    super('Loading cancelled');
+    this.name = 'ParseCancelledError';
+  }
+}
+
+// Read a File into an ArrayBuffer, reporting the fraction loaded
+const readFileBuffer = (file, onProgress, setReader) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  setReader(reader);
+  reader.onprogress = (event) => {
+    if (event.lengthComputable) onProgress(event.loaded / event.total);
+  };
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+  reader.onabort = () => reject(new ParseCancelledError());
+  reader.readAsArrayBuffer(file);
+});
+
+// One parser per upload. read() resolves with the headers and preview rows;
+// the parsed table stays with the parser until import() turns it into genes
+// (or, with valueKind 'expression', into samples of an expression matrix),
+// or samples() reads it as a sample sheet.
+// Progress callbacks get (fraction, stage) with stage 'loading', 'parsing'
+// or 'importing'. cancel() stops the work in flight and rejects with
+// ParseCancelledError; close() releases the worker once the upload is done.
+export const createTableParser = () => {
+  const worker = createTableWorker();
+  const tables = new Map();
+  const pending = new Map();
+  let nextId = 1;
+  let cancelled = false;
+  let reader = null;
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      if (data.type === 'progress') {
+        request.onProgress(data.fraction);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.type === 'error') {
+        request.reject(new Error(data.message));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      pending.forEach(request => request.reject(new Error(event.message || 'Parser worker failed')));
+      pending.clear();
+    };
+  }
+
+  const send = (request, transfer, onProgress) => {
+    if (cancelled) return Promise.reject(new ParseCancelledError());
+    const id = nextId++;
+    if (!worker) {
+      // Yield first so the progress bar can paint before the page blocks
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+        if (cancelled) throw new ParseCancelledError();
+        return handleTableRequest({ ...request, id }, tables, onProgress);
+      });
+    }
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ ...request, id }, transfer);
+    });
+  };
+
+  return {
+    read: async (file, onProgress = () => {}) => {
+      const buffer = await readFileBuffer(file, fraction => onProgress(fraction, 'loading'), r => { reader = r; });
+      reader = null;
+      onProgress(0, 'parsing');
+      const table = await send({ type: 'read', fileName: file.name, buffer }, [buffer], () => {});
+      onProgress(1, 'parsing');
+      return table;
+    },
+    import: (tableId, { fileName, mapping = null, valueKind = null }, onProgress = () => {}) =>
+      send({ type: 'import', tableId, fileName, mapping, valueKind }, [], fraction => onProgress(fraction, 'importing')),
+    samples: (tableId) => send({ type: 'samples', tableId }, [], () => {}),
+    cancel: () => {
+      cancelled = true;
+      if (reader) reader.abort();
+      if (worker) worker.terminate();
+      pending.forEach(request => request.reject(new ParseCancelledError()));
+      pending.clear();
+      tables.clear();
+    },
+    close: () => {
+      if (worker) worker.terminate();
+      tables.clear();
+    }
+  };
+};
@@ -0,0 +1,70 @@
+import { createTableParser, ParseCancelledError } from './tableParser';
+import { handleTableRequest } from './tableRequests';
+import createTableWorker from './createTableWorker';
+
+jest.mock('./createTableWorker', () => ({ __esModule: true, default: jest.fn() }));
+
+const csvFile = (name, text) => new File([Uint8Array.from(text, c => c.charCodeAt(0))], name);
+
+const deseq2 = csvFile('KD_vs_Control.csv', [
+  'gene,baseMean,log2FoldChange,lfcSE,stat,pvalue,padj',
+  'ACTB,100,1.5,0.2,7.5,0.0001,0.001',
+  'GAPDH,200,-0.5,0.3,-1.6,0.1,0.2'
+].join('\n'));
+
+// Stand-in for the worker: answers messages with the same request handler
+const fakeWorker = () => {
+  const tables = new Map();
+  const worker = {
+    terminated: false,
+    postMessage: (request) => setTimeout(() => {
+      if (worker.terminated) return;
+      const onProgress = fraction => worker.onmessage({ data: { id: request.id, type: 'progress', fraction } });
+      try {
+        const result = handleTableRequest(request, tables, onProgress);
+        worker.onmessage({ data: { id: request.id, type: 'result', result } });
+      } catch (err) {
+        worker.onmessage({ data: { id: request.id, type: 'error', message: err.message } });
+      }
+    }, 0),
+    terminate: () => { worker.terminated = true; }
+  };
+  return worker;
+};
+
+test.each([
+  ['on the page', () => null],
+  ['in a worker', fakeWorker]
+])('reads headers first, then imports the table (%s)', async (label, makeWorker) => {
+  createTableWorker.mockImplementation(makeWorker);
+  const parser = createTableParser();
+  const stages = new Set();
+  const { sheets } = await parser.read(deseq2, (fraction, stage) => stages.add(stage));
+  expect(sheets).toHaveLength(1);
+  const [table] = sheets;
+  expect(table.headers).toContain('log2FoldChange');
+  expect(table.preview).toHaveLength(2);
+  expect(table.rowCount).toBe(2);
+
+  const imported = await parser.import(table.tableId, { fileName: deseq2.name }, (fraction, stage) => stages.add(stage));
+  expect(imported.comparisons).toEqual(['KD vs Control']);
+  expect(imported.genes.map(g => g.values[0])).toEqual([1.5, -0.5]);
+  expect([...stages]).toEqual(expect.arrayContaining(['parsing', 'importing']));
+  parser.close();
+});
+
+test('errors from the worker reject the request', async () => {
+  createTableWorker.mockImplementation(fakeWorker);
+  const parser = createTableParser();
+  await expect(parser.import(42, { fileName: 'x.csv' })).rejects.toThrow('Table is no longer loaded');
+});
+
+test('cancel rejects work in flight and later requests', async () => {
+  createTableWorker.mockImplementation(fakeWorker);
+  const parser = createTableParser();
+  const { sheets: [table] } = await parser.read(deseq2);
+  const pending = parser.import(table.tableId, { fileName: deseq2.name });
+  parser.cancel();
+  await expect(pending).rejects.toBeInstanceOf(ParseCancelledError);
+  await expect(parser.read(deseq2)).rejects.toBeInstanceOf(ParseCancelledError);
+});
@@ -0,0 +1,49 @@
+import { readSheets, importTable, importWithMapping } from './importers';
+import { importMatrix, parseSampleSheet } from './expression';
+
+// Requests handled by the table parser, in the worker or on the page. Parsed
+// tables are kept in `tables` between the read and import steps, so only the
+// headers and a few preview rows have to cross back from the worker.
+
+const PREVIEW_ROWS = 5;
+
+// Handle one request against a store of parsed tables. Used by the worker and
+// by the on-page fallback.
+//   { type: 'read', id, fileName, buffer }
+//     -> { sheets: [{ tableId, sheetName, headers, preview, rowCount }] }, one per non-empty sheet
+//   { type: 'import', id, tableId, fileName, mapping, valueKind } -> import result
+//   { type: 'samples', id, tableId } -> sample sheet { tracks, samples }
+// A null mapping imports with the importer that recognises the headers;
+// valueKind 'expression' imports the table as an expression matrix.
+export const handleTableRequest = (request, tables, onProgress) => {
+  if (request.type === 'read') {
+    const sheets = readSheets(request.buffer, request.fileName).map((sheet, k) => {
+      const tableId = `${request.id}:${k}`;
+      tables.set(tableId, { headers: sheet.headers, rows: sheet.rows });
+      return {
+        tableId,
+        sheetName: sheet.sheetName,
+        headers: sheet.headers,
+        preview: sheet.rows.slice(0, PREVIEW_ROWS),
+        rowCount: sheet.rows.length
+      };
+    });
+    return { sheets };
+  }
+  if (request.type === 'import') {
+    const table = tables.get(request.tableId);
+    if (!table) throw new Error('Table is no longer loaded');
+    tables.delete(request.tableId);
+    if (request.valueKind === 'expression') return importMatrix(table, { onProgress });
+    return request.mapping
+      ? importWithMapping(table, request.mapping, { onProgress })
+      : importTable(table, { fileName: request.fileName, onProgress });
+  }
+  if (request.type === 'samples') {
+    const table = tables.get(request.tableId);
+    if (!table) throw new Error('Table is no longer loaded');
+    tables.delete(request.tableId);
+    return parseSampleSheet(table);
+  }
+  throw new Error(`Unknown request: ${request.type}`);
+};
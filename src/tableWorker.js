@@ -0,0 +1,16 @@
+import { handleTableRequest } from './tableRequests';
+
+// Web Worker entry for the table parser: reads and imports uploads off the
+// main thread and reports import progress back to the page.
+const ctx = globalThis;
+const tables = new Map();
+
+ctx.onmessage = ({ data: request }) => {
+  const onProgress = (fraction) => ctx.postMessage({ id: request.id, type: 'progress', fraction });
+  try {
+    const result = handleTableRequest(request, tables, onProgress);
+    ctx.postMessage({ id: request.id, type: 'result', result });
+  } catch (err) {
+    ctx.postMessage({ id: request.id, type: 'error', message: err.message });
+  }
+};
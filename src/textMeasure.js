@@ -0,0 +1,78 @@
+// Text measurement for the heatmap layout. Widths are cached per font and
+// string: a large matrix repeats the same few hundred formatted values, so
+// after the first pass every lookup is a Map hit instead of a canvas call.
+
+const MAX_CACHE_SIZE = 50000;
+const widthCache = new Map();
+let canvas = null;
+
+// Advance widths of printable ASCII (space to ~) in Helvetica, which Arial
+// matches, in 1/1000 em. Used where there is no canvas, e.g. in Node.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Width from the font metrics above, for a CSS font such as 'bold 12px Arial'.
+// Characters outside ASCII count as a digit's width.
+export const estimateTextWidth = (text, font = '11px Arial') => {
+  const sizeMatch = /(\d+(?:\.\d+)?)px/.exec(font);
+  const size = sizeMatch ? Number(sizeMatch[1]) : 11;
+  const widths = /\bbold\b/.test(font) ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return units * size / 1000;
+};
+
+// A 2D canvas context to measure with, or null outside the browser
+const canvasContext = () => {
+  if (typeof document === 'undefined') return null;
+  if (!canvas) canvas = document.createElement('canvas');
+  return canvas.getContext('2d') || null;
+};
+
+export const measureTextWidth = (text, font = '11px Arial') => {
+  const key = `${font}\u0000${text}`;
+  const cached = widthCache.get(key);
+  if (cached !== undefined) return cached;
+  const context = canvasContext();
+  let width;
+  if (context) {
+    context.font = font;
+    width = context.measureText(text).width;
+  } else {
+    width = estimateTextWidth(text, font);
+  }
+  if (widthCache.size >= MAX_CACHE_SIZE) widthCache.clear();
+  widthCache.set(key, width);
+  return width;
+};
+
+export const maxTextWidth = (texts, font) =>
+  texts.reduce((max, text) => Math.max(max, measureTextWidth(text, font)), 0);
+
+export const formatCellValue = (value) => (value !== undefined && value !== null ? value.toFixed(1) : 'N/A');
+
+// Width of each comparison column: the wider of its header and its longest
+// formatted value, plus padding
+export const measureColumnWidths = (comparisons, genes, { headerFont, cellFont, minWidth = 50 }) =>
+  comparisons.map((comparison, j) => {
+    const texts = new Set(genes.map(gene => formatCellValue(gene.values[j])));
+    const maxWidth = Math.max(measureTextWidth(comparison, headerFont), maxTextWidth([...texts], cellFont));
+    return Math.ceil(Math.max(maxWidth + 18, minWidth));
+  });
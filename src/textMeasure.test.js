@@ -0,0 +1,36 @@
+import { measureTextWidth, estimateTextWidth, measureColumnWidths, formatCellValue } from './textMeasure';
+
+let measureCalls = 0;
+const measureText = (text) => {
+  measureCalls += 1;
+  return { width: String(text).length * 6 };
+};
+
+beforeAll(() => {
+  HTMLCanvasElement.prototype.getContext = () => ({ measureText, font: '' });
+});
+
+test('widths are cached per font and string', () => {
+  measureCalls = 0;
+  expect(measureTextWidth('ACTB', '12px Arial')).toBe(24);
+  expect(measureTextWidth('ACTB', '12px Arial')).toBe(24);
+  expect(measureCalls).toBe(1);
+  measureTextWidth('ACTB', 'bold 12px Arial');
+  expect(measureCalls).toBe(2);
+});
+
+test('column widths fit the header or the longest value, with a minimum', () => {
+  const genes = [{ values: [1.23, -12.5] }, { values: [null, 0] }];
+  const widths = measureColumnWidths(['A vs B', 'A much longer comparison name'], genes, {
+    headerFont: 'bold 12px Arial',
+    cellFont: '12px Arial'
+  });
+  expect(widths).toEqual([54, Math.ceil(29 * 6 + 18)]);
+  expect(formatCellValue(null)).toBe('N/A');
+});
+
+test('without a canvas, widths come from the Helvetica metrics', () => {
+  expect(estimateTextWidth('ACTB', '10px Arial')).toBeCloseTo(26.67);
+  expect(estimateTextWidth('ACTB', 'bold 10px Arial')).toBeCloseTo(27.77);
+  expect(estimateTextWidth('β', '10px Arial')).toBeCloseTo(5.56);
+});
@@ -0,0 +1,50 @@
+import { useState, useRef, useCallback } from 'react';
+
+// State a host component can take over through props. The value comes from
+// the prop when it is defined, otherwise from the component's own state.
+// Changes update the own state and are reported to onChange, so the
+// component works with no props, with only the callback, or fully
+// controlled. Like useState, the setter also takes an updater function.
+const useControlledState = (value, defaultValue, onChange) => {
+  const [own, setOwn] = useState(defaultValue);
+  const current = value !== undefined ? value : own;
+  // Latest value and callback, so several updates in one event build on
+  // each other and the setter never goes stale
+  const latestRef = useRef(current);
+  latestRef.current = current;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const set = useCallback((update) => {
+    const next = typeof update === 'function' ? update(latestRef.current) : update;
+    latestRef.current = next;
+    setOwn(next);
+    if (onChangeRef.current) onChangeRef.current(next);
+  }, []);
+  return [current, set];
+};
+
+// The same for an object of named settings, each of which can be passed in
+// or left to the component. onChange is called with only the settings that
+// changed, e.g. { fontSizes: {...} }.
+export const useControlledSettings = (settings, defaults, onChange) => {
+  const [own, setOwn] = useState(defaults);
+  const given = settings
+    ? Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined))
+    : {};
+  const current = { ...own, ...given };
+  const latestRef = useRef(current);
+  latestRef.current = current;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const setterFor = useCallback(key => (update) => {
+    const next = typeof update === 'function' ? update(latestRef.current[key]) : update;
+    latestRef.current = { ...latestRef.current, [key]: next };
+    setOwn(prev => ({ ...prev, [key]: next }));
+    if (onChangeRef.current) onChangeRef.current({ [key]: next });
+  }, []);
+  return [current, setterFor];
+};
+
+export default useControlledState;
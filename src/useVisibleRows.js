@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+
+// Row virtualization for the heatmap SVG. Returns the [start, end) range of
+// rows on screen, plus some overscan, and tracks page scroll and resizes.
+// elementRef is the SVG; offsetTopRef holds the y of the first row inside it,
+// which is only known once the layout has been computed during render.
+const useVisibleRows = (elementRef, offsetTopRef, { enabled, rowCount, rowHeight, overscan = 20 }) => {
+  const [range, setRange] = useState({ start: 0, end: 5 * overscan });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!elementRef.current) return;
+      const rowsTop = elementRef.current.getBoundingClientRect().top + (offsetTopRef.current || 0);
+      const start = Math.min(rowCount, Math.max(0, Math.floor(-rowsTop / rowHeight) - overscan));
+      const end = Math.min(rowCount, Math.max(start, Math.ceil((window.innerHeight - rowsTop) / rowHeight) + overscan));
+      setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+    };
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, true);
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule, true);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [elementRef, offsetTopRef, enabled, rowCount, rowHeight, overscan]);
+
+  return range;
+};
+
+export default useVisibleRows;